@@ -0,0 +1,90 @@
+/**
+ * Action guardrails
+ * Sits in front of every automated action and decides whether it may run.
+ * Actions with side effects on the SIM (reprovision) get a per-SIM cooldown and
+ * a cap on automated runs per time window; once a limit is hit the caller
+ * must escalate instead.
+ */
+
+require('dotenv').config();
+const caseStore = require('../store/caseStore');
+const { envNumber } = require('../utils/env');
+
+const MINUTE = 60 * 1000;
+
+class ActionGuard {
+  constructor() {
+    // Only actions listed here are limited; everything else is always allowed
+    this.policies = {
+      reprovision: {
+        cooldownMs: envNumber('REPROVISION_COOLDOWN_MINUTES', 30) * MINUTE,
+        maxPerWindow: envNumber('REPROVISION_MAX_PER_WINDOW', 3),
+        windowMs: envNumber('REPROVISION_WINDOW_HOURS', 24) * 60 * MINUTE
+      }
+    };
+    this.history = new Map(); // "action:simId" -> timestamps (ms)
+    this._seedFromCases();
+  }
+
+  /**
+   * Check whether an action may run for a SIM and, if so, reserve it.
+   * Reserving at check time means concurrent requests cannot both slip through.
+   * @param {string} action - Action name
+   * @param {string} simId - Gigs SIM ID
+   * @returns {{allowed: boolean, reason?: string, retryAfterSeconds?: number}}
+   */
+  authorize(action, simId) {
+    const policy = this.policies[action];
+    if (!policy || !simId) {
+      return { allowed: true };
+    }
+
+    const now = Date.now();
+    const key = `${action}:${simId}`;
+    const recent = (this.history.get(key) || []).filter(time => now - time < policy.windowMs);
+    const last = recent[recent.length - 1];
+
+    if (last !== undefined && now - last < policy.cooldownMs) {
+      const retryAfterSeconds = Math.ceil((policy.cooldownMs - (now - last)) / 1000);
+      return {
+        allowed: false,
+        reason: `${action} already ran for SIM ${simId} ${Math.floor((now - last) / MINUTE)} minute(s) ago (cooldown ${policy.cooldownMs / MINUTE} min)`,
+        retryAfterSeconds
+      };
+    }
+
+    if (recent.length >= policy.maxPerWindow) {
+      return {
+        allowed: false,
+        reason: `${action} limit reached for SIM ${simId}: ${recent.length} automated runs in the last ${policy.windowMs / (60 * MINUTE)} hour(s) (max ${policy.maxPerWindow})`,
+        retryAfterSeconds: Math.ceil((policy.windowMs - (now - recent[0])) / 1000)
+      };
+    }
+
+    recent.push(now);
+    this.history.set(key, recent);
+    return { allowed: true };
+  }
+
+  /**
+   * Rebuild recent action history from stored cases so limits survive a restart
+   * @private
+   */
+  _seedFromCases() {
+    for (const record of caseStore.all()) {
+      const simId = record.subscriptionSnapshot?.sim?.id;
+      // A failed action is stored with action 'escalate'; it still used up an attempt, as it did in memory
+      const action = record.actionResult?.action || record.action;
+      if (!simId || !record.actionResult || !this.policies[action]) {
+        continue;
+      }
+
+      const key = `${action}:${simId}`;
+      const times = this.history.get(key) || [];
+      times.push(new Date(record.createdAt).getTime());
+      this.history.set(key, times.sort((a, b) => a - b));
+    }
+  }
+}
+
+module.exports = new ActionGuard();
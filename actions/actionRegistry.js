@@ -0,0 +1,143 @@
+/**
+ * Action registry
+ * One handler per action a rule or the LLM can choose. A handler declares
+ *   action         - the action name it handles
+ *   preconditions  - [{ name, description, check: context => boolean }], all of
+ *                    which must pass before the action may run
+ *   execute()      - async context => result fields, merged into actionResult;
+ *                    { success: false, error } reports a failure
+ *   describeCalls() - optional, apiCalls entries for the calls it made
+ *   verifiable     - optional, whether post-action verification applies
+ *
+ * The context is { simId, subscriptionId, snapshot, principal, justification,
+ * locale, device, followUpOf }. 'escalate' has no handler: handing a case to
+ * a human is the escalation service's job (see escalation/escalationService.js).
+ */
+
+require('dotenv').config();
+const ReprovisionHandler = require('./handlers/reprovision');
+const PaymentLinkHandler = require('./handlers/paymentLink');
+const SettingsGuideHandler = require('./handlers/settingsGuide');
+const WaitHandler = require('./handlers/wait');
+const InformOnlyHandler = require('./handlers/informOnly');
+const { envNumber } = require('../utils/env');
+const { createLogger } = require('../observability/logger');
+const metrics = require('../observability/metrics');
+
+const logger = createLogger('actions');
+
+class ActionRegistry {
+  /**
+   * @param {object[]} handlers - Handler instances (defaults to the built-in handlers)
+   */
+  constructor(handlers = defaultHandlers()) {
+    this.handlers = new Map();
+    handlers.forEach(handler => this.register(handler));
+  }
+
+  /**
+   * Add or replace the handler for an action
+   * @param {object} handler - Handler instance
+   */
+  register(handler) {
+    this.handlers.set(handler.action, handler);
+  }
+
+  /**
+   * Handler for an action
+   * @param {string} action - Action name
+   * @returns {object|null}
+   */
+  get(action) {
+    return this.handlers.get(action) || null;
+  }
+
+  /**
+   * Evaluate an action's preconditions
+   * @param {string} action - Action name
+   * @param {object} context - Action context
+   * @returns {object[]} [{ name, description, passed }] - empty when the action has no handler
+   */
+  checkPreconditions(action, context) {
+    return (this.get(action)?.preconditions || []).map(({ name, description, check }) => ({
+      name,
+      description,
+      passed: Boolean(check(context))
+    }));
+  }
+
+  /**
+   * Run an action's handler
+   * Preconditions are checked again; a failing one stops the handler from running.
+   * @param {string} action - Action name
+   * @param {object} context - Action context
+   * @returns {Promise<object|null>} actionResult { action, status: 'completed'|'failed'|'precondition_failed',
+   *   success, preconditions, ...handler fields }, or null if the action has no handler
+   */
+  async execute(action, context) {
+    const handler = this.get(action);
+    if (!handler) {
+      return null;
+    }
+
+    const preconditions = this.checkPreconditions(action, context);
+    const unmet = preconditions.filter(precondition => !precondition.passed);
+    let actionResult;
+    if (unmet.length > 0) {
+      actionResult = {
+        action,
+        status: 'precondition_failed',
+        success: false,
+        preconditions,
+        error: { kind: 'precondition', message: `Precondition not met: ${unmet.map(precondition => precondition.description).join('; ')}` }
+      };
+    } else {
+      try {
+        const result = await handler.execute(context);
+        const success = result.success !== false;
+        actionResult = { action, status: success ? 'completed' : 'failed', preconditions, ...result, success };
+      } catch (error) {
+        logger.error('Action handler failed', { action, subscriptionId: context.subscriptionId, error });
+        actionResult = { action, status: 'failed', success: false, preconditions, error: { kind: 'handler', message: error.message } };
+      }
+    }
+
+    metrics.actions.inc({ action, status: actionResult.status });
+    return actionResult;
+  }
+
+  /**
+   * apiCalls entries for an executed action
+   * @param {object} context - Action context
+   * @param {object|null} actionResult - Result of execute()
+   * @returns {string[]}
+   */
+  describeCalls(context, actionResult) {
+    const handler = actionResult && this.get(actionResult.action);
+    if (!handler?.describeCalls || actionResult.status === 'precondition_failed') {
+      return [];
+    }
+    return handler.describeCalls(context, actionResult);
+  }
+}
+
+/**
+ * @private
+ */
+function defaultHandlers(env = process.env) {
+  const payment = {
+    portalUrl: env.PAYMENT_PORTAL_URL || null,
+    secret: env.PAYMENT_LINK_SECRET || null,
+    ttlMinutes: envNumber('PAYMENT_LINK_TTL_MINUTES', 24 * 60, env)
+  };
+  return [
+    new ReprovisionHandler(),
+    new PaymentLinkHandler({ action: 'route_to_payment', purpose: 'activation', ...payment }),
+    new PaymentLinkHandler({ action: 'route_to_payment_restoration', purpose: 'restoration', ...payment }),
+    new SettingsGuideHandler(),
+    new WaitHandler(),
+    new InformOnlyHandler()
+  ];
+}
+
+module.exports = new ActionRegistry();
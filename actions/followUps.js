@@ -0,0 +1,77 @@
+/**
+ * Follow-up re-checks
+ * A 'wait' diagnosis schedules a re-check for when the wait should be over.
+ * The re-check runs the diagnosis pipeline again, rules only, as the same
+ * caller, so a SIM that got stuck in the meantime is reprovisioned (behind
+ * the usual guardrails) or escalated without the customer having to come back.
+ * A re-check that ends in 'wait' again schedules the next one, up to
+ * FOLLOW_UP_MAX_CHECKS. Like verification, pending re-checks live in memory
+ * and do not survive a restart.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const caseStore = require('../store/caseStore');
+const { envNumber } = require('../utils/env');
+const { runWithContext } = require('../observability/context');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger('follow-up');
+
+class FollowUpScheduler {
+  /**
+   * @param {object} options - { delayMs, maxChecks }
+   */
+  constructor({
+    delayMs = envNumber('FOLLOW_UP_DELAY_MINUTES', 15) * 60 * 1000,
+    maxChecks = envNumber('FOLLOW_UP_MAX_CHECKS', 3)
+  } = {}) {
+    this.delayMs = delayMs;
+    this.maxChecks = maxChecks;
+  }
+
+  /**
+   * Schedule a re-check for a case
+   * @param {string} caseId - Case that ended in 'wait'
+   * @param {object} target - { check, recheckAt, request } - request is what to diagnose again
+   * @param {Function} recheck - async (request) => { status, body }, the diagnosis pipeline
+   * @returns {object} Initial follow-up state (status 'scheduled')
+   */
+  schedule(caseId, { check, recheckAt, request }, recheck) {
+    const followUp = { status: 'scheduled', check, recheckAt, completedAt: null, result: null };
+    caseStore.update(caseId, { followUp });
+
+    const timer = setTimeout(() => {
+      // The request that scheduled the re-check is long finished, so it gets its own request ID
+      runWithContext({ requestId: `fup_${crypto.randomBytes(8).toString('hex')}` }, () =>
+        this._run(caseId, followUp, request, recheck)
+      ).catch(error => logger.error('Follow-up re-check crashed', { caseId, error }));
+    }, Math.max(0, new Date(recheckAt).getTime() - Date.now()));
+    timer.unref();
+
+    logger.info('Follow-up re-check scheduled', { caseId, subscriptionId: request.subscriptionId, check, recheckAt });
+    return followUp;
+  }
+
+  /**
+   * @private
+   */
+  async _run(caseId, scheduled, request, recheck) {
+    const { status, body } = await recheck({ ...request, followUpOf: { caseId, check: scheduled.check } });
+
+    // Copy rather than mutate: the stored case still references the scheduled state
+    const followUp = {
+      ...scheduled,
+      status: status >= 400 ? 'failed' : 'completed',
+      completedAt: new Date().toISOString(),
+      result: status >= 400
+        ? { error: body.error, details: body.details ?? null }
+        : { caseId: body.caseId, method: body.method, rule: body.rule ?? null, action: body.action }
+    };
+    caseStore.update(caseId, { followUp });
+    logger.info('Follow-up re-check finished', { caseId, check: followUp.check, status: followUp.status, ...followUp.result });
+    return followUp;
+  }
+}
+
+module.exports = new FollowUpScheduler();
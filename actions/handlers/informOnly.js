@@ -0,0 +1,15 @@
+/**
+ * Nothing to change: the customer is told the state of their subscription
+ */
+class InformOnlyHandler {
+  constructor() {
+    this.action = 'inform_only';
+    this.preconditions = [];
+  }
+
+  async execute({ snapshot }) {
+    return { subscriptionStatus: snapshot?.status ?? null, simStatus: snapshot?.sim?.status ?? null };
+  }
+}
+
+module.exports = InformOnlyHandler;
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { createLogger } = require('../../observability/logger');
+
+const logger = createLogger('actions');
+
+/**
+ * Builds a deep link into the payment portal where the customer can update
+ * their payment method. With a secret the link is signed with HMAC-SHA256
+ * over "<subscriptionId>.<purpose>.<expires>" so the portal can reject
+ * forged or expired links. Without a portal URL the rule's message still
+ * goes out, just without a link.
+ */
+class PaymentLinkHandler {
+  /**
+   * @param {object} options - { action, purpose, portalUrl, secret, ttlMinutes }
+   */
+  constructor({ action, purpose, portalUrl, secret, ttlMinutes }) {
+    this.action = action;
+    this.purpose = purpose;
+    this.portalUrl = portalUrl;
+    this.secret = secret;
+    this.ttlMinutes = ttlMinutes;
+    this.preconditions = [
+      { name: 'subscription_not_ended', description: 'The subscription has not ended', check: context => context.snapshot?.status !== 'ended' }
+    ];
+  }
+
+  async execute({ subscriptionId, locale }) {
+    if (!this.portalUrl) {
+      logger.warn('PAYMENT_PORTAL_URL is not set - sending the message without a payment link', { subscriptionId });
+      return { purpose: this.purpose, link: null, expiresAt: null, signed: false };
+    }
+
+    const expiresAt = new Date(Date.now() + this.ttlMinutes * 60 * 1000);
+    const expires = Math.floor(expiresAt.getTime() / 1000);
+
+    const url = new URL(this.portalUrl);
+    url.searchParams.set('subscription', subscriptionId);
+    url.searchParams.set('purpose', this.purpose);
+    url.searchParams.set('lang', locale);
+    url.searchParams.set('expires', String(expires));
+    if (this.secret) {
+      const signature = crypto.createHmac('sha256', this.secret).update(`${subscriptionId}.${this.purpose}.${expires}`).digest('hex');
+      url.searchParams.set('sig', signature);
+    } else {
+      logger.warn('PAYMENT_LINK_SECRET is not set - sending an unsigned payment link', { subscriptionId });
+    }
+
+    return { purpose: this.purpose, link: url.toString(), expiresAt: expiresAt.toISOString(), signed: Boolean(this.secret) };
+  }
+}
+
+module.exports = PaymentLinkHandler;
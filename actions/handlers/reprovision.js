@@ -0,0 +1,38 @@
+const gigsClient = require('../../api/gigsClient');
+const auditLog = require('../../store/auditLog');
+const { createLogger } = require('../../observability/logger');
+
+const logger = createLogger('actions');
+
+/**
+ * Reprovisions the SIM through Gigs and records the call in the audit log
+ */
+class ReprovisionHandler {
+  constructor() {
+    this.action = 'reprovision';
+    // A successful reprovision can be verified by polling the SIM (see actions/verifier.js)
+    this.verifiable = true;
+    this.preconditions = [
+      { name: 'sim_present', description: 'The subscription has a SIM', check: context => Boolean(context.simId) },
+      { name: 'subscription_not_ended', description: 'The subscription has not ended', check: context => context.snapshot?.status !== 'ended' }
+    ];
+  }
+
+  async execute({ simId, subscriptionId, snapshot, principal, justification }) {
+    logger.info('Triggering SIM reprovision', { simId, principal: principal?.id, role: principal?.role });
+    const { request, ...result } = await gigsClient.reprovisionSIM(simId);
+    const entry = auditLog.recordAction({ action: this.action, simId, subscriptionId, principal, justification, snapshot, result: { ...result, request } });
+    // The request (with its credentials) only goes to the audit log, redacted
+    return { ...result, auditId: entry.id };
+  }
+
+  describeCalls({ simId }, actionResult) {
+    const call = `POST /sims/${simId}/reprovision`;
+    if (actionResult.mocked) {
+      return [`${call} (mocked)`];
+    }
+    return [actionResult.success ? call : `${call} - failed`];
+  }
+}
+
+module.exports = ReprovisionHandler;
@@ -0,0 +1,21 @@
+const { settingsGuide } = require('../../devices/guides');
+const { profileDevice } = require('../../devices/deviceCatalog');
+
+/**
+ * Picks the step-by-step settings guide for the customer's device and OS version
+ */
+class SettingsGuideHandler {
+  constructor() {
+    this.action = 'route_to_settings_guide';
+    this.preconditions = [
+      // Device settings cannot help until the line is active on the network side
+      { name: 'sim_active', description: 'The SIM is active', check: context => context.snapshot?.sim?.status === 'active' }
+    ];
+  }
+
+  async execute({ device, locale }) {
+    return { device: device || null, guide: settingsGuide(device && profileDevice(device), locale) };
+  }
+}
+
+module.exports = SettingsGuideHandler;
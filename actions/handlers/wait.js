@@ -0,0 +1,26 @@
+const followUps = require('../followUps');
+
+/**
+ * Plans a follow-up re-check of the subscription once the wait is over.
+ * The re-check itself is scheduled when the case is recorded (see actions/followUps.js).
+ */
+class WaitHandler {
+  constructor() {
+    this.action = 'wait';
+    this.preconditions = [
+      { name: 'subscription_not_ended', description: 'The subscription has not ended', check: context => context.snapshot?.status !== 'ended' },
+      { name: 'sim_not_active', description: 'The SIM is not active yet', check: context => context.snapshot?.sim?.status !== 'active' }
+    ];
+  }
+
+  async execute({ followUpOf }) {
+    const check = (followUpOf?.check || 0) + 1;
+    if (check > followUps.maxChecks) {
+      return { followUp: null, reason: `${followUps.maxChecks} follow-up re-check(s) already ran` };
+    }
+    const recheckAt = new Date(Date.now() + followUps.delayMs).toISOString();
+    return { followUp: { check, recheckAt } };
+  }
+}
+
+module.exports = WaitHandler;
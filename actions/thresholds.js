@@ -0,0 +1,66 @@
+/**
+ * Auto-action confidence thresholds
+ * An LLM diagnosis only runs its recommended action when its confidence
+ * reaches that action's threshold; below it the case escalates (or, in a
+ * session with clarifying turns left, asks the customer). CONFIDENCE_THRESHOLD
+ * is the default for every action and CONFIDENCE_THRESHOLDS overrides it per
+ * action, e.g. "reprovision:90,route_to_settings_guide:70". Rule matches are
+ * not gated: a rule acts whenever it matches. Use the replay harness
+ * (npm run eval, see evaluation/replay.js) to pick the values.
+ */
+
+require('dotenv').config();
+const { LLM_ACTIONS } = require('../llm/diagnosisSchema');
+const { envNumber } = require('../utils/env');
+
+const DEFAULT_THRESHOLD = 80;
+
+/**
+ * Read the thresholds from the environment
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {{default: number, byAction: object}} byAction maps an action to its override
+ * @throws {Error} If a threshold is outside 0-100 or names an unknown action
+ */
+function loadThresholds(env = process.env) {
+  const fallback = envNumber('CONFIDENCE_THRESHOLD', DEFAULT_THRESHOLD, env);
+  if (!isPercentage(fallback)) {
+    throw new Error(`CONFIDENCE_THRESHOLD must be between 0 and 100, got '${env.CONFIDENCE_THRESHOLD}'`);
+  }
+
+  const byAction = {};
+  for (const entry of (env.CONFIDENCE_THRESHOLDS || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const [action, value] = entry.split(':').map(part => part.trim());
+    if (!LLM_ACTIONS.includes(action)) {
+      throw new Error(`CONFIDENCE_THRESHOLDS: '${action}' is not one of ${LLM_ACTIONS.join(', ')}`);
+    }
+    if (value === undefined || value === '' || !isPercentage(Number(value))) {
+      throw new Error(`CONFIDENCE_THRESHOLDS: threshold for ${action} must be between 0 and 100, got '${value ?? ''}'`);
+    }
+    byAction[action] = Number(value);
+  }
+
+  return { default: fallback, byAction };
+}
+
+/**
+ * Threshold an action's confidence must reach before it runs automatically
+ * @param {string} action - Recommended action
+ * @param {object} thresholds - Output of loadThresholds()
+ * @returns {number}
+ */
+function thresholdFor(action, thresholds) {
+  return thresholds.byAction[action] ?? thresholds.default;
+}
+
+/**
+ * @private
+ */
+function isPercentage(value) {
+  return Number.isFinite(value) && value >= 0 && value <= 100;
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  loadThresholds,
+  thresholdFor
+};
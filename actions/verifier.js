@@ -0,0 +1,127 @@
+/**
+ * Post-action verification
+ * After a reprovision, polls Gigs until the SIM is active or a timeout passes,
+ * records the outcome on the case and optionally POSTs it to a callback URL
+ * (signed like every other webhook, see jobs/webhook.js).
+ * A reprovision that did not fix the SIM escalates the case.
+ */
+
+require('dotenv').config();
+const gigsClient = require('../api/gigsClient');
+const caseStore = require('../store/caseStore');
+const escalationService = require('../escalation/escalationService');
+const { deliverWebhook } = require('../jobs/webhook');
+const { envNumber } = require('../utils/env');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger('verifier');
+
+class ReprovisionVerifier {
+  constructor() {
+    this.enabledByDefault = process.env.VERIFY_REPROVISION === 'true';
+    this.pollIntervalMs = envNumber('VERIFY_POLL_INTERVAL_MS', 15000);
+    this.timeoutMs = envNumber('VERIFY_TIMEOUT_MS', 10 * 60 * 1000);
+  }
+
+  /**
+   * Whether a diagnosis should be verified
+   * @param {boolean|undefined} requested - Per-request override
+   * @returns {boolean}
+   */
+  isEnabled(requested) {
+    return requested === undefined ? this.enabledByDefault : Boolean(requested);
+  }
+
+  /**
+   * Start verifying a case in the background
+   * @param {string} caseId - Case the reprovision belongs to
+   * @param {object} target - { simId, subscriptionId, callbackUrl }
+   * @returns {object} Initial verification state (status 'pending')
+   */
+  start(caseId, { simId, subscriptionId, callbackUrl = null }) {
+    const verification = {
+      status: 'pending',
+      simId,
+      subscriptionId,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      checks: 0,
+      lastSimStatus: null,
+      lastSubscriptionStatus: null,
+      callback: callbackUrl ? { url: callbackUrl, delivered: false } : null
+    };
+    caseStore.update(caseId, { verification });
+
+    this._poll(caseId, verification).catch(error => {
+      logger.error('Verification crashed', { caseId, error });
+    });
+
+    return verification;
+  }
+
+  /**
+   * Poll until the SIM is active or the timeout passes, then finish the case
+   * @private
+   */
+  async _poll(caseId, verification) {
+    const deadline = Date.now() + this.timeoutMs;
+
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+
+      // Polling is watching for a change, so it must not be answered from the cache
+      const [sim, subscription] = await Promise.all([
+        gigsClient.getSIM(verification.simId, { fresh: true }),
+        gigsClient.getSubscription(verification.subscriptionId, { fresh: true })
+      ]);
+      verification.checks++;
+      verification.lastSimStatus = sim.success ? sim.data.status : null;
+      verification.lastSubscriptionStatus = subscription.success ? subscription.data.status : null;
+
+      if (verification.lastSimStatus === 'active') {
+        return this._finish(caseId, verification, 'verified');
+      }
+      caseStore.update(caseId, { verification });
+    }
+
+    return this._finish(caseId, verification, 'failed');
+  }
+
+  /**
+   * Record the final outcome, escalate if the fix did not take, and fire the callback
+   * @private
+   */
+  async _finish(caseId, polled, status) {
+    // Copy rather than mutate: the stored case still references the polling state
+    const verification = { ...polled, status, completedAt: new Date().toISOString() };
+    if (polled.callback) {
+      verification.callback = { ...polled.callback };
+    }
+    logger.info('Verification finished', { caseId, simId: verification.simId, status, checks: verification.checks, lastSimStatus: verification.lastSimStatus });
+
+    // Escalate (which records the ticket on the case) before publishing the
+    // final status so readers never see 'failed' without a ticket
+    if (status === 'failed') {
+      escalationService.escalate({ ...caseStore.get(caseId), verification }, {
+        code: 'verification_failed',
+        detail: `Reprovision did not activate SIM ${verification.simId} within ${Math.round(this.timeoutMs / 1000)}s (last status: ${verification.lastSimStatus || 'unknown'})`
+      });
+    }
+    let record = caseStore.update(caseId, { verification });
+
+    if (verification.callback) {
+      const delivery = await deliverWebhook(verification.callback.url, {
+        event: 'verification.completed',
+        caseId,
+        verification,
+        escalation: record.escalation || null
+      });
+      Object.assign(verification.callback, delivery);
+      record = caseStore.update(caseId, { verification });
+    }
+
+    return record;
+  }
+}
+
+module.exports = new ReprovisionVerifier();
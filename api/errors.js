@@ -0,0 +1,104 @@
+/**
+ * Typed errors for Gigs API calls
+ * Every failure is classified so callers can tell a transient problem
+ * (worth retrying) from a fatal one (bad credentials, unknown SIM, ...)
+ */
+
+// kind -> whether a retry can help
+const ERROR_KINDS = {
+  timeout: true,
+  network: true,
+  rate_limited: true,
+  server: true,
+  auth: false,
+  not_found: false,
+  conflict: false,
+  client: false,
+  not_configured: false
+};
+
+class GigsApiError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {object} fields - { kind, status, details, attempts, retryAfterMs }
+   */
+  constructor(message, { kind, status = null, details = null, attempts = 1, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'GigsApiError';
+    this.kind = kind;
+    this.status = status;
+    this.details = details;
+    this.attempts = attempts;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /**
+   * Whether retrying the same request may succeed
+   */
+  get retryable() {
+    return ERROR_KINDS[this.kind] === true;
+  }
+
+  toJSON() {
+    return {
+      type: this.name,
+      kind: this.kind,
+      message: this.message,
+      status: this.status,
+      retryable: this.retryable,
+      attempts: this.attempts,
+      details: this.details
+    };
+  }
+}
+
+/**
+ * Convert an axios error into a classified GigsApiError
+ * @param {Error} error - Error thrown by axios
+ * @returns {GigsApiError}
+ */
+function classifyError(error) {
+  const response = error.response;
+
+  if (!response) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new GigsApiError(`Gigs API timed out: ${error.message}`, { kind: 'timeout' });
+    }
+    return new GigsApiError(`Gigs API unreachable: ${error.message}`, { kind: 'network', details: { code: error.code } });
+  }
+
+  const status = response.status;
+  const details = response.data || null;
+  const message = `Gigs API responded ${status}${details?.message ? `: ${details.message}` : ''}`;
+
+  if (status === 401 || status === 403) {
+    return new GigsApiError(message, { kind: 'auth', status, details });
+  }
+  if (status === 404) {
+    return new GigsApiError(message, { kind: 'not_found', status, details });
+  }
+  if (status === 409) {
+    return new GigsApiError(message, { kind: 'conflict', status, details });
+  }
+  if (status === 408) {
+    return new GigsApiError(message, { kind: 'timeout', status, details });
+  }
+  if (status === 429) {
+    const retryAfter = Number(response.headers?.['retry-after']);
+    return new GigsApiError(message, {
+      kind: 'rate_limited',
+      status,
+      details,
+      retryAfterMs: Number.isNaN(retryAfter) ? null : retryAfter * 1000
+    });
+  }
+  if (status >= 500) {
+    return new GigsApiError(message, { kind: 'server', status, details });
+  }
+  return new GigsApiError(message, { kind: 'client', status, details });
+}
+
+module.exports = {
+  GigsApiError,
+  classifyError
+};
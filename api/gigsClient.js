@@ -1,13 +1,31 @@
 const axios = require('axios');
+const crypto = require('crypto');
 require('dotenv').config();
+const { GigsApiError, classifyError } = require('./errors');
+const ReadCache = require('./readCache');
+const { envNumber } = require('../utils/env');
+const { currentContext } = require('../observability/context');
+const { tracer } = require('../observability/tracing');
+const { createLogger } = require('../observability/logger');
+const metrics = require('../observability/metrics');
+
+const logger = createLogger('gigs');
 
 class GigsClient {
   constructor() {
     this.baseURL = process.env.GIGS_API_BASE_URL;
     this.apiKey = process.env.GIGS_API_KEY;
 
+    // Mock mode must be switched on explicitly; it is never used as an error fallback
+    this.mockMode = process.env.GIGS_MOCK_MODE === 'true';
+    this.maxRetries = envNumber('GIGS_MAX_RETRIES', 2);
+    this.retryBaseMs = envNumber('GIGS_RETRY_BASE_MS', 250);
+    // Subscription and SIM reads; 0 turns caching off but keeps coalescing
+    this.cache = new ReadCache({ ttlMs: envNumber('GIGS_CACHE_TTL_MS', 10000) });
+
     this.client = axios.create({
       baseURL: this.baseURL,
+      timeout: envNumber('GIGS_TIMEOUT_MS', 10000),
       headers: {
         'Authorization': `Bearer ${this.apiKey}`,
         'Content-Type': 'application/json'
@@ -18,62 +36,62 @@ class GigsClient {
   /**
    * Get subscription details including SIM status
    * @param {string} subscriptionId - Gigs subscription ID
-   * @returns {Promise<object>} Subscription object with nested SIM data
+   * @param {object} options - { fresh: boolean } - bypass the read cache
+   * @returns {Promise<object>} Subscription object with nested SIM data; cache is 'hit', 'miss' or 'coalesced'
    */
-  async getSubscription(subscriptionId) {
-    try {
-      const response = await this.client.get(`/subscriptions/${subscriptionId}`);
-      return {
-        success: true,
-        data: response.data
-      };
-    } catch (error) {
-      console.error('Gigs API Error:', error.response?.data || error.message);
-      return {
-        success: false,
-        error: error.response?.data || { message: error.message }
-      };
-    }
+  async getSubscription(subscriptionId, { fresh = false } = {}) {
+    return this._cachedGet('subscription', subscriptionId, `/subscriptions/${subscriptionId}`, fresh);
   }
 
   /**
    * Get SIM details directly
    * @param {string} simId - Gigs SIM ID
-   * @returns {Promise<object>} SIM object
+   * @param {object} options - { fresh: boolean } - bypass the read cache
+   * @returns {Promise<object>} SIM object; cache is 'hit', 'miss' or 'coalesced'
    */
-  async getSIM(simId) {
-    try {
-      const response = await this.client.get(`/v1/sims/${simId}`);
-      return {
-        success: true,
-        data: response.data
-      };
-    } catch (error) {
-      console.error('Gigs API Error:', error.response?.data || error.message);
-      return {
-        success: false,
-        error: error.response?.data || { message: error.message }
-      };
+  async getSIM(simId, { fresh = false } = {}) {
+    return this._cachedGet('sim', simId, `/v1/sims/${simId}`, fresh);
+  }
+
+  /**
+   * List subscriptions one page at a time
+   * @param {object} options - { limit, after } - after is the previous page's moreItemsAfter cursor
+   * @returns {Promise<object>} On success, data is { items, moreItemsAfter }
+   */
+  async listSubscriptions({ limit = 100, after = null } = {}) {
+    const query = new URLSearchParams({ limit: String(limit), ...(after ? { after } : {}) });
+    return this._request('get', `/subscriptions?${query}`);
+  }
+
+  /**
+   * Readiness probe: one cheap, authenticated read with no retries
+   * @returns {Promise<object>} { status } on success
+   * @throws {GigsApiError} If Gigs is unreachable, rejects the key or fails
+   */
+  async ping() {
+    const result = await this._request('get', '/subscriptions?limit=1', { retries: 0 });
+    if (!result.success) {
+      throw result.error;
     }
+    return { status: result.status };
   }
 
   /**
    * Trigger SIM reprovisioning (proposed endpoint - may not exist yet)
    * @param {string} simId - Gigs SIM ID
-   * @returns {Promise<object>} Reprovision response
+   * @param {object} options - { idempotencyKey: string } - reused across retries
+   * @returns {Promise<object>} Reprovision response, including the request that was (or would have been) sent
    */
-  async reprovisionSIM(simId) {
-    try {
-      // NOTE: This endpoint might not exist in Gigs API yet
-      // This is a proposed endpoint for the automation prototype
-      const response = await this.client.post(`/v1/sims/${simId}/reprovision`);
-      return {
-        success: true,
-        data: response.data
-      };
-    } catch (error) {
-      // If endpoint doesn't exist, return mock success for prototype
-      console.warn('Reprovision endpoint may not exist - returning mock response');
+  async reprovisionSIM(simId, { idempotencyKey = crypto.randomUUID() } = {}) {
+    const request = {
+      method: 'POST',
+      url: `${this.baseURL || ''}/v1/sims/${simId}/reprovision`,
+      headers: { 'Authorization': `Bearer ${this.apiKey}`, 'Idempotency-Key': idempotencyKey },
+      body: null
+    };
+
+    if (this.mockMode) {
+      logger.warn('GIGS_MOCK_MODE is on - reprovision not sent to Gigs', { simId });
       return {
         success: true,
         data: {
@@ -82,9 +100,106 @@ class GigsClient {
           message: 'SIM reprovisioning initiated (mocked for prototype)',
           timestamp: new Date().toISOString()
         },
-        mocked: true
+        mocked: true,
+        idempotencyKey,
+        request
       };
     }
+
+    // NOTE: This endpoint might not exist in Gigs API yet
+    // This is a proposed endpoint for the automation prototype
+    const result = await this._request('post', `/v1/sims/${simId}/reprovision`, { idempotencyKey });
+    // Even a failed reprovision may have changed the SIM, so cached reads of it are dropped either way
+    this.cache.invalidate((key, cached) => key === `sim:${simId}` || cached.data?.sim?.id === simId);
+    return { ...result, mocked: false, idempotencyKey, request };
+  }
+
+  /**
+   * Read through the cache; only successful reads are cached, and every
+   * caller gets its own copy of the data
+   * @private
+   */
+  async _cachedGet(resource, id, url, fresh) {
+    const { value, cache } = await this.cache.get(`${resource}:${id}`, () => this._request('get', url), {
+      fresh,
+      cacheIf: result => result.success
+    });
+    metrics.gigsCache.inc({ resource, result: cache });
+    return { ...value, ...(value.data ? { data: structuredClone(value.data) } : {}), cache };
+  }
+
+  /**
+   * Send a request, retrying retryable failures with exponential backoff and jitter
+   * @private
+   * @param {object} options - { data, idempotencyKey, retries } - retries defaults to GIGS_MAX_RETRIES
+   * @returns {Promise<{success: boolean, data?: object, status?: number, error?: GigsApiError, attempts: number}>}
+   */
+  async _request(method, url, options = {}) {
+    // IDs are collapsed so the endpoint label stays low-cardinality
+    const endpoint = url.split('?')[0].replace(/\/(subscriptions|sims)\/[^/]+/, '/$1/:id');
+
+    return tracer.withSpan('gigs.request', { 'http.method': method.toUpperCase(), 'gigs.endpoint': endpoint }, async span => {
+      const result = await this._send(method, url, options);
+      const outcome = result.success ? 'success' : result.error.kind;
+
+      metrics.gigsRequests.inc({ method: method.toUpperCase(), endpoint, outcome });
+      span.setAttributes({ 'gigs.attempts': result.attempts, 'http.status_code': result.status ?? result.error?.status });
+      if (!result.success) {
+        span.setError(result.error);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _send(method, url, { data, idempotencyKey, retries = this.maxRetries } = {}) {
+    if (!this.baseURL || !this.apiKey) {
+      const error = new GigsApiError('Gigs API is not configured (GIGS_API_BASE_URL / GIGS_API_KEY)', { kind: 'not_configured' });
+      return { success: false, error, attempts: 0 };
+    }
+
+    const context = currentContext();
+    const headers = {
+      ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
+      ...(context?.requestId ? { 'X-Request-Id': context.requestId } : {}),
+      ...(context?.span ? { 'traceparent': context.span.traceparent() } : {})
+    };
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await this.client.request({ method, url, data, headers });
+        return {
+          success: true,
+          data: response.data,
+          status: response.status,
+          attempts: attempt
+        };
+      } catch (rawError) {
+        const error = classifyError(rawError);
+        error.attempts = attempt;
+
+        if (!error.retryable || attempt > retries) {
+          logger.error('Gigs API request failed', { method: method.toUpperCase(), url, attempt, kind: error.kind, error: error.message });
+          return { success: false, error, attempts: attempt };
+        }
+
+        const delay = this._backoff(attempt, error.retryAfterMs);
+        logger.warn('Retrying Gigs API request', { method: method.toUpperCase(), url, kind: error.kind, delayMs: delay, attempt, maxAttempts: retries + 1 });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Exponential backoff with jitter, honouring Retry-After when given
+   * @private
+   */
+  _backoff(attempt, retryAfterMs) {
+    const exponential = this.retryBaseMs * 2 ** (attempt - 1);
+    const jittered = Math.round(exponential / 2 + Math.random() * exponential / 2);
+    return retryAfterMs ? Math.max(retryAfterMs, jittered) : jittered;
   }
 }
 
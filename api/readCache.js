@@ -0,0 +1,88 @@
+/**
+ * Short-lived read cache with single-flight loading
+ * Concurrent reads of the same key share one upstream request. Results are
+ * kept for ttlMs, and invalidate() drops entries the caller's own writes have
+ * made stale. A load that was already running when an invalidation happened
+ * is returned to its callers but not stored, since it may predate the write.
+ */
+
+class ReadCache {
+  /**
+   * @param {object} options - { ttlMs, maxEntries }
+   */
+  constructor({ ttlMs, maxEntries = 1000 }) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.inflight = new Map(); // key -> Promise
+    this.epoch = 0;
+  }
+
+  /**
+   * Read through the cache
+   * @param {string} key - Cache key
+   * @param {Function} load - async () => value
+   * @param {object} options - { fresh: skip the cache and any in-flight load, cacheIf: value => boolean }
+   * @returns {Promise<{value: *, cache: string}>} cache is 'hit', 'miss' or 'coalesced'
+   */
+  async get(key, load, { fresh = false, cacheIf = () => true } = {}) {
+    if (!fresh) {
+      const entry = this.entries.get(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        return { value: entry.value, cache: 'hit' };
+      }
+      if (this.inflight.has(key)) {
+        return { value: await this.inflight.get(key), cache: 'coalesced' };
+      }
+    }
+
+    const epoch = this.epoch;
+    const pending = load().then(value => {
+      if (epoch === this.epoch && cacheIf(value)) {
+        this._store(key, value);
+      }
+      return value;
+    });
+
+    if (fresh) {
+      return { value: await pending, cache: 'miss' };
+    }
+    this.inflight.set(key, pending);
+    try {
+      return { value: await pending, cache: 'miss' };
+    } finally {
+      this.inflight.delete(key);
+    }
+  }
+
+  /**
+   * Drop every entry matching the predicate
+   * @param {Function} predicate - (key, value) => boolean
+   */
+  invalidate(predicate) {
+    this.epoch++;
+    for (const [key, entry] of this.entries) {
+      if (predicate(key, entry.value)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _store(key, value) {
+    if (this.ttlMs <= 0) {
+      return;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+    // Map order is insertion order, so the first key is the oldest write
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+module.exports = ReadCache;
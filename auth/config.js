@@ -0,0 +1,80 @@
+/**
+ * Authentication configuration
+ * API keys, JWT settings and rate limits are read from environment variables
+ * so credentials can be rotated per deployment without code changes
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { envNumber } = require('../utils/env');
+
+// Roles in ascending order; each role may do everything the roles before it can
+const ROLES = ['chatbot', 'agent', 'admin'];
+
+/**
+ * Build the authentication configuration
+ * API_KEYS is a comma-separated list of id:role:key[:requestsPerMinute] entries
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {object} { disabled, apiKeys: Map<keyHash, entry>, jwt, defaultRateLimit }
+ * @throws {Error} If an API key entry is malformed
+ */
+function loadAuthConfig(env = process.env) {
+  const defaultRateLimit = envNumber('RATE_LIMIT_PER_MINUTE', 60, env);
+  const apiKeys = new Map();
+  const ids = new Set();
+
+  for (const entry of (env.API_KEYS || '').split(',').map(value => value.trim()).filter(Boolean)) {
+    const [id, role, key, limit] = entry.split(':');
+    if (!id || !key || !ROLES.includes(role)) {
+      throw new Error(`Invalid API_KEYS entry for '${id || entry.slice(0, 8)}' - expected id:role:key[:requestsPerMinute] with role one of ${ROLES.join(', ')}`);
+    }
+    if (ids.has(id)) {
+      throw new Error(`Duplicate API_KEYS id '${id}'`);
+    }
+    const rateLimit = limit === undefined ? defaultRateLimit : Number(limit);
+    if (!Number.isInteger(rateLimit) || rateLimit <= 0) {
+      throw new Error(`Invalid API_KEYS rate limit for '${id}' - expected a positive integer`);
+    }
+
+    ids.add(id);
+    apiKeys.set(hashKey(key), { id, role, rateLimit });
+  }
+
+  return {
+    disabled: env.AUTH_DISABLED === 'true',
+    apiKeys,
+    jwt: env.JWT_SECRET ? {
+      secret: env.JWT_SECRET,
+      issuer: env.JWT_ISSUER || null,
+      audience: env.JWT_AUDIENCE || null,
+      maxLifetimeSeconds: envNumber('JWT_MAX_LIFETIME_SECONDS', 3600, env)
+    } : null,
+    defaultRateLimit
+  };
+}
+
+/**
+ * Hash an API key so the plain key is never kept in memory longer than needed
+ * @param {string} key - API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Whether a role is allowed to do what the required role can
+ * @param {string} role - Role of the caller
+ * @param {string} required - Minimum role
+ * @returns {boolean}
+ */
+function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+module.exports = {
+  ROLES,
+  loadAuthConfig,
+  hashKey,
+  hasRole
+};
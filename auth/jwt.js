@@ -0,0 +1,99 @@
+/**
+ * Minimal HS256 JSON Web Tokens
+ * Only the shared-secret HS256 algorithm is accepted, so a token cannot
+ * downgrade itself to "none" or to a key the service does not hold.
+ * Every token must expire, and a leaked one stays usable for at most the
+ * configured maximum lifetime.
+ */
+
+const crypto = require('crypto');
+
+class JwtError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JwtError';
+  }
+}
+
+/**
+ * Sign a payload as an HS256 JWT
+ * @param {object} payload - Claims
+ * @param {string} secret - Shared secret
+ * @returns {string} Compact JWT
+ */
+function signJwt(payload, secret) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  return `${header}.${body}.${signature(`${header}.${body}`, secret)}`;
+}
+
+/**
+ * Verify an HS256 JWT and return its claims
+ * @param {string} token - Compact JWT
+ * @param {object} options - { secret, issuer?, audience?, maxLifetimeSeconds?, now? (ms) } -
+ *   maxLifetimeSeconds caps exp - iat (or exp - now without iat)
+ * @returns {object} Claims
+ * @throws {JwtError} If the token is malformed, badly signed, expired, lives too long or is for someone else
+ */
+function verifyJwt(token, { secret, issuer = null, audience = null, maxLifetimeSeconds = null, now = Date.now() }) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new JwtError('Malformed token');
+  }
+
+  const [header, body, signed] = parts;
+  let decodedHeader;
+  let claims;
+  try {
+    decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new JwtError('Malformed token');
+  }
+
+  if (decodedHeader.alg !== 'HS256') {
+    throw new JwtError(`Unsupported algorithm '${decodedHeader.alg}'`);
+  }
+
+  const expected = Buffer.from(signature(`${header}.${body}`, secret));
+  const actual = Buffer.from(signed);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new JwtError('Invalid signature');
+  }
+
+  const seconds = Math.floor(now / 1000);
+  if (typeof claims.exp !== 'number') {
+    throw new JwtError('Token must carry an exp claim');
+  }
+  if (seconds >= claims.exp) {
+    throw new JwtError('Token expired');
+  }
+  if (maxLifetimeSeconds && claims.exp - (typeof claims.iat === 'number' ? claims.iat : seconds) > maxLifetimeSeconds) {
+    throw new JwtError(`Token lifetime exceeds ${maxLifetimeSeconds} seconds`);
+  }
+  if (typeof claims.nbf === 'number' && seconds < claims.nbf) {
+    throw new JwtError('Token not yet valid');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new JwtError('Unexpected issuer');
+  }
+  if (audience && ![].concat(claims.aud).includes(audience)) {
+    throw new JwtError('Unexpected audience');
+  }
+
+  return claims;
+}
+
+function base64url(text) {
+  return Buffer.from(text).toString('base64url');
+}
+
+function signature(input, secret) {
+  return crypto.createHmac('sha256', secret).update(input).digest('base64url');
+}
+
+module.exports = {
+  JwtError,
+  signJwt,
+  verifyJwt
+};
@@ -0,0 +1,125 @@
+/**
+ * Authentication and role-based access middleware
+ * Callers present an API key (X-API-Key or Authorization: Bearer <key>) or an
+ * HS256 JWT (Authorization: Bearer <jwt>). The resolved principal is put on
+ * req.principal so handlers can tie any action they trigger to the caller.
+ *
+ * Roles: chatbot may diagnose, agent may also read cases, admin may also
+ * manage rule packs. Each principal has its own per-minute rate limit.
+ */
+
+const { loadAuthConfig, hashKey, hasRole } = require('./config');
+const { verifyJwt, JwtError } = require('./jwt');
+const RateLimiter = require('./rateLimiter');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger('auth');
+const config = loadAuthConfig();
+const limiter = new RateLimiter();
+
+if (config.disabled) {
+  logger.warn('AUTH_DISABLED=true - every request is treated as an anonymous admin. Do not use this in production.');
+} else if (config.apiKeys.size === 0 && !config.jwt) {
+  logger.warn('Neither API_KEYS nor JWT_SECRET is set - every protected endpoint will answer 401');
+}
+
+/**
+ * Resolve the caller from the request headers
+ * @param {object} req - Express request
+ * @returns {{principal?: object, error?: string}} principal is { id, role, type, rateLimit }
+ */
+function resolvePrincipal(req) {
+  if (config.disabled) {
+    return { principal: { id: 'anonymous', role: 'admin', type: 'anonymous', rateLimit: Infinity } };
+  }
+
+  const authorization = req.get('authorization') || '';
+  const bearer = /^Bearer\s+(\S+)$/i.exec(authorization)?.[1];
+  const credential = req.get('x-api-key') || bearer;
+
+  if (!credential) {
+    return { error: 'Authentication required' };
+  }
+
+  const key = config.apiKeys.get(hashKey(credential));
+  if (key) {
+    return { principal: { id: key.id, role: key.role, type: 'api_key', rateLimit: key.rateLimit } };
+  }
+
+  if (config.jwt && credential.split('.').length === 3) {
+    try {
+      const claims = verifyJwt(credential, config.jwt);
+      if (!claims.sub || !hasRole(claims.role, 'chatbot')) {
+        return { error: 'Token must carry a sub and a valid role claim' };
+      }
+      return { principal: { id: claims.sub, role: claims.role, type: 'jwt', rateLimit: config.defaultRateLimit } };
+    } catch (error) {
+      if (error instanceof JwtError) {
+        return { error: `Invalid token: ${error.message}` };
+      }
+      throw error;
+    }
+  }
+
+  return { error: 'Invalid API key' };
+}
+
+/**
+ * Require a known caller within its rate limit
+ */
+function authenticate(req, res, next) {
+  const { principal, error } = resolvePrincipal(req);
+
+  if (!principal) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error });
+  }
+
+  const quota = limiter.take(`${principal.type}:${principal.id}`, principal.rateLimit);
+  if (Number.isFinite(quota.limit)) {
+    res.set('X-RateLimit-Limit', String(quota.limit));
+    res.set('X-RateLimit-Remaining', String(quota.remaining));
+  }
+  if (!quota.allowed) {
+    logger.info('Rate limit exceeded', { principal: principal.id, limit: quota.limit, method: req.method, path: req.originalUrl });
+    res.set('Retry-After', String(quota.retryAfterSeconds));
+    return res.status(429).json({
+      error: 'Rate limit exceeded',
+      limitPerMinute: quota.limit,
+      retryAfterSeconds: quota.retryAfterSeconds
+    });
+  }
+
+  const { rateLimit, ...publicPrincipal } = principal;
+  req.principal = publicPrincipal;
+  next();
+}
+
+/**
+ * Require the authenticated caller to hold at least a role
+ * @param {string} role - Minimum role (chatbot, agent or admin)
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.principal?.role, role)) {
+      logger.info('Access denied', { principal: req.principal?.id, role: req.principal?.role, requiredRole: role, method: req.method, path: req.originalUrl });
+      return res.status(403).json({ error: 'Forbidden', requiredRole: role, role: req.principal?.role || null });
+    }
+    next();
+  };
+}
+
+/**
+ * Authenticate and check the role in one step, for use on a route
+ * @param {string} role - Minimum role (chatbot, agent or admin)
+ * @returns {Function[]} Express middleware
+ */
+function authorize(role) {
+  return [authenticate, requireRole(role)];
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  authorize
+};
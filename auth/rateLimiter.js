@@ -0,0 +1,42 @@
+/**
+ * Per-principal rate limiter
+ * Fixed one-minute windows kept in memory, one counter per API key or JWT subject
+ */
+
+const WINDOW_MS = 60 * 1000;
+
+class RateLimiter {
+  constructor({ windowMs = WINDOW_MS } = {}) {
+    this.windowMs = windowMs;
+    this.windows = new Map();
+  }
+
+  /**
+   * Count one request against a principal's limit
+   * @param {string} key - Principal identifier
+   * @param {number} limit - Requests allowed per window
+   * @param {number} now - Current time in ms
+   * @returns {{allowed: boolean, limit: number, remaining: number, retryAfterSeconds: number}}
+   */
+  take(key, limit, now = Date.now()) {
+    let window = this.windows.get(key);
+    if (!window || now - window.startedAt >= this.windowMs) {
+      window = { startedAt: now, count: 0 };
+      this.windows.set(key, window);
+    }
+
+    const allowed = window.count < limit;
+    if (allowed) {
+      window.count++;
+    }
+
+    return {
+      allowed,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      retryAfterSeconds: Math.ceil((window.startedAt + this.windowMs - now) / 1000)
+    };
+  }
+}
+
+module.exports = RateLimiter;
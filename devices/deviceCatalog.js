@@ -0,0 +1,198 @@
+/**
+ * Local device knowledge
+ * Looks up the customer's phone in devices/catalog.json: whether the model
+ * supports eSIM, the OS version it needs and known eSIM bugs in particular OS
+ * versions. The result is exposed to rules as `device.*` (see rules/rulePack.js),
+ * so a rule pack can route incompatible phones or buggy OS versions without
+ * a code change. What the request says about the device wins over the
+ * catalog; anything neither knows stays null.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CATALOG_PATH = path.join(__dirname, 'catalog.json');
+
+// Operating systems a request's device.os may name
+const PLATFORMS = ['ios', 'android'];
+
+// Device metadata a request may send, and the type of each field
+const DEVICE_FIELDS = {
+  os: 'string',
+  osVersion: 'string',
+  manufacturer: 'string',
+  model: 'string',
+  esimCapable: 'boolean',
+  carrierLocked: 'boolean'
+};
+
+const OS_NAMES = { ios: 'iOS', android: 'Android' };
+const VERSION_PATTERN = /^\d+(\.\d+){0,2}$/;
+
+const catalog = loadCatalog();
+
+/**
+ * Check request device metadata
+ * @param {*} device - device field of a request
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateDevice(device) {
+  if (!device || typeof device !== 'object' || Array.isArray(device)) {
+    return ['device must be an object'];
+  }
+
+  const errors = [];
+  for (const [field, value] of Object.entries(device)) {
+    if (!DEVICE_FIELDS[field]) {
+      errors.push(`device.${field} is not one of ${Object.keys(DEVICE_FIELDS).join(', ')}`);
+    } else if (typeof value !== DEVICE_FIELDS[field]) {
+      errors.push(`device.${field} must be a ${DEVICE_FIELDS[field]}`);
+    }
+  }
+  if (typeof device.os === 'string' && !PLATFORMS.includes(device.os.toLowerCase())) {
+    errors.push(`device.os must be one of ${PLATFORMS.join(', ')}`);
+  }
+  if (typeof device.osVersion === 'string' && !VERSION_PATTERN.test(device.osVersion)) {
+    errors.push('device.osVersion must look like 17, 17.1 or 17.1.2');
+  }
+  return errors;
+}
+
+/**
+ * Keep the known device fields, with os in lower case
+ * @param {object|undefined} device - Validated request device metadata
+ * @returns {object|null}
+ */
+function normalizeDevice(device) {
+  if (!device) {
+    return null;
+  }
+  const normalized = {};
+  for (const field of Object.keys(DEVICE_FIELDS)) {
+    if (device[field] !== undefined) {
+      normalized[field] = field === 'os' ? device[field].toLowerCase() : device[field];
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Combine request device metadata with the catalog
+ * @param {object|null} device - Normalized request device metadata
+ * @returns {object} { os, osName, osVersion, manufacturer, model, known, esimCapable, carrierLocked,
+ *   knownIssue, knownIssueSummary, fixedInVersion } - knownIssue is the ID of the first matching
+ *   known issue, or 'os_below_minimum' when the model needs a newer OS for eSIM
+ */
+function profileDevice(device) {
+  const entry = device?.model ? findModel(device.model, device.manufacturer) : null;
+  const os = device?.os || entry?.os || null;
+  const osVersion = device?.osVersion || null;
+  const manufacturer = device?.manufacturer || entry?.manufacturer || null;
+
+  const profile = {
+    os,
+    osName: OS_NAMES[os] || null,
+    osVersion,
+    manufacturer,
+    model: entry?.model || device?.model || null,
+    known: Boolean(entry),
+    esimCapable: device?.esimCapable ?? entry?.esimCapable ?? null,
+    carrierLocked: device?.carrierLocked ?? null,
+    knownIssue: null,
+    knownIssueSummary: null,
+    fixedInVersion: null
+  };
+
+  if (!os || !osVersion) {
+    return profile;
+  }
+
+  if (entry?.minOsVersion && compareVersions(osVersion, entry.minOsVersion) < 0) {
+    return {
+      ...profile,
+      knownIssue: 'os_below_minimum',
+      knownIssueSummary: `eSIM on the ${entry.model} needs ${profile.osName} ${entry.minOsVersion} or later`,
+      fixedInVersion: entry.minOsVersion
+    };
+  }
+
+  const issue = catalog.knownIssues.find(candidate =>
+    candidate.os === os &&
+    (!candidate.manufacturer || sameName(candidate.manufacturer, manufacturer)) &&
+    compareVersions(osVersion, candidate.fromVersion) >= 0 &&
+    compareVersions(osVersion, candidate.fixedInVersion) < 0
+  );
+  return issue
+    ? { ...profile, knownIssue: issue.id, knownIssueSummary: issue.summary, fixedInVersion: issue.fixedInVersion }
+    : profile;
+}
+
+/**
+ * Compare dotted version strings numerically ("17.0.2" < "17.0.10")
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative, zero or positive
+ */
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let index = 0; index < Math.max(left.length, right.length); index++) {
+    const difference = (left[index] || 0) - (right[index] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Catalog entry for a model name, ignoring case, spacing and a leading manufacturer name
+ * @private
+ */
+function findModel(model, manufacturer) {
+  const key = modelKey(model);
+  return catalog.models.find(entry =>
+    (!manufacturer || sameName(entry.manufacturer, manufacturer)) &&
+    [entry.model, ...(entry.aliases || [])].some(name => modelKey(name) === key || modelKey(`${entry.manufacturer} ${name}`) === key)
+  ) || null;
+}
+
+/**
+ * @private
+ */
+function modelKey(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9+]/g, '');
+}
+
+/**
+ * @private
+ */
+function sameName(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Read and sanity-check the catalog file
+ * @private
+ */
+function loadCatalog(filePath = CATALOG_PATH) {
+  const document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(document.models) || !Array.isArray(document.knownIssues)) {
+    throw new Error(`Device catalog ${filePath} must have models and knownIssues arrays`);
+  }
+  for (const issue of document.knownIssues) {
+    if (!PLATFORMS.includes(issue.os) || !VERSION_PATTERN.test(issue.fromVersion) || !VERSION_PATTERN.test(issue.fixedInVersion)) {
+      throw new Error(`Device catalog ${filePath}: known issue '${issue.id}' needs os, fromVersion and fixedInVersion`);
+    }
+  }
+  return document;
+}
+
+module.exports = {
+  PLATFORMS,
+  DEVICE_FIELDS,
+  validateDevice,
+  normalizeDevice,
+  profileDevice,
+  compareVersions
+};
@@ -0,0 +1,330 @@
+/**
+ * Step-by-step device settings guides for the route_to_settings_guide action
+ * and the {{settingsGuide}} rule template. Menus moved between OS versions,
+ * so guides are picked by OS, manufacturer and OS version: the first entry
+ * of GUIDE_ORDER that fits the device wins. A device without a known OS
+ * version gets the guide for the current version. A missing translation
+ * falls back to DEFAULT_LOCALE, then to English.
+ */
+
+const { DEFAULT_LOCALE } = require('../i18n/locales');
+const { compareVersions } = require('./deviceCatalog');
+
+// Most specific first; belowVersion limits a guide to older OS versions
+const GUIDE_ORDER = [
+  { id: 'ios_12', os: 'ios', belowVersion: '16' },
+  { id: 'ios', os: 'ios' },
+  { id: 'samsung', os: 'android', manufacturer: 'samsung' },
+  { id: 'android_10', os: 'android', belowVersion: '12' },
+  { id: 'android', os: 'android' },
+  { id: 'generic' }
+];
+
+const SETTINGS_GUIDES = {
+  ios_12: {
+    title: {
+      en: 'Set up your eSIM on iPhone (iOS 12.1 to 15)',
+      de: 'eSIM auf dem iPhone einrichten (iOS 12.1 bis 15)',
+      fr: "Configurer votre eSIM sur l'iPhone (iOS 12.1 à 15)",
+      es: 'Configura tu eSIM en el iPhone (iOS 12.1 a 15)',
+      it: "Configura la tua eSIM sull'iPhone (da iOS 12.1 a 15)"
+    },
+    steps: {
+      en: [
+        'Open Settings > Cellular (Mobile Data in some regions).',
+        'Under Cellular Plans, tap your eSIM plan and make sure "Turn On This Line" is enabled.',
+        'Go back, tap Cellular Data and select your eSIM plan.',
+        'Turn Airplane Mode on, wait 10 seconds and turn it off again.',
+        'Restart your iPhone.'
+      ],
+      de: [
+        'Öffnen Sie Einstellungen > Mobilfunk (in manchen Regionen: Mobile Daten).',
+        'Tippen Sie unter „Mobilfunktarife“ auf Ihren eSIM-Tarif und stellen Sie sicher, dass „Diese Leitung aktivieren“ eingeschaltet ist.',
+        'Gehen Sie zurück, tippen Sie auf „Mobile Daten“ und wählen Sie Ihren eSIM-Tarif aus.',
+        'Schalten Sie den Flugmodus ein, warten Sie 10 Sekunden und schalten Sie ihn wieder aus.',
+        'Starten Sie Ihr iPhone neu.'
+      ],
+      fr: [
+        'Ouvrez Réglages > Données cellulaires.',
+        'Sous Forfaits cellulaires, touchez votre forfait eSIM et vérifiez que « Activer cette ligne » est activé.',
+        'Revenez en arrière, touchez « Données cellulaires » et sélectionnez votre forfait eSIM.',
+        'Activez le mode avion, attendez 10 secondes puis désactivez-le.',
+        'Redémarrez votre iPhone.'
+      ],
+      es: [
+        'Abre Ajustes > Datos móviles.',
+        'En Planes de datos móviles, toca tu plan eSIM y comprueba que «Activar esta línea» está activado.',
+        'Vuelve atrás, toca «Datos móviles» y selecciona tu plan eSIM.',
+        'Activa el modo avión, espera 10 segundos y desactívalo.',
+        'Reinicia tu iPhone.'
+      ],
+      it: [
+        'Apri Impostazioni > Cellulare.',
+        'In Piani cellulare, tocca il tuo piano eSIM e verifica che "Attiva questa linea" sia attivo.',
+        'Torna indietro, tocca "Dati cellulare" e seleziona il tuo piano eSIM.',
+        'Attiva la modalità aereo, attendi 10 secondi e disattivala.',
+        'Riavvia il tuo iPhone.'
+      ]
+    }
+  },
+  ios: {
+    title: {
+      en: 'Set up your eSIM on iPhone (iOS 16 or later)',
+      de: 'eSIM auf dem iPhone einrichten (ab iOS 16)',
+      fr: "Configurer votre eSIM sur l'iPhone (iOS 16 ou ultérieur)",
+      es: 'Configura tu eSIM en el iPhone (iOS 16 o posterior)',
+      it: "Configura la tua eSIM sull'iPhone (iOS 16 o successivo)"
+    },
+    steps: {
+      en: [
+        'Open Settings > Cellular (Mobile Data in some regions).',
+        'Under SIMs, tap your eSIM and make sure "Turn On This Line" is enabled.',
+        'Go back, tap Cellular Data and select your eSIM.',
+        'Turn Airplane Mode on, wait 10 seconds and turn it off again.',
+        'Restart your iPhone.'
+      ],
+      de: [
+        'Öffnen Sie Einstellungen > Mobilfunk (in manchen Regionen: Mobile Daten).',
+        'Tippen Sie unter SIMs auf Ihre eSIM und stellen Sie sicher, dass „Diese Leitung aktivieren“ eingeschaltet ist.',
+        'Gehen Sie zurück, tippen Sie auf „Mobile Daten“ und wählen Sie Ihre eSIM aus.',
+        'Schalten Sie den Flugmodus ein, warten Sie 10 Sekunden und schalten Sie ihn wieder aus.',
+        'Starten Sie Ihr iPhone neu.'
+      ],
+      fr: [
+        'Ouvrez Réglages > Données cellulaires.',
+        'Sous SIM, touchez votre eSIM et vérifiez que « Activer cette ligne » est activé.',
+        'Revenez en arrière, touchez « Données cellulaires » et sélectionnez votre eSIM.',
+        'Activez le mode avion, attendez 10 secondes puis désactivez-le.',
+        'Redémarrez votre iPhone.'
+      ],
+      es: [
+        'Abre Ajustes > Datos móviles.',
+        'En SIM, toca tu eSIM y comprueba que «Activar esta línea» está activado.',
+        'Vuelve atrás, toca «Datos móviles» y selecciona tu eSIM.',
+        'Activa el modo avión, espera 10 segundos y desactívalo.',
+        'Reinicia tu iPhone.'
+      ],
+      it: [
+        'Apri Impostazioni > Cellulare.',
+        'In SIM, tocca la tua eSIM e verifica che "Attiva questa linea" sia attivo.',
+        'Torna indietro, tocca "Dati cellulare" e seleziona la tua eSIM.',
+        'Attiva la modalità aereo, attendi 10 secondi e disattivala.',
+        'Riavvia il tuo iPhone.'
+      ]
+    }
+  },
+  samsung: {
+    title: {
+      en: 'Set up your eSIM on a Samsung Galaxy',
+      de: 'eSIM auf einem Samsung Galaxy einrichten',
+      fr: 'Configurer votre eSIM sur un Samsung Galaxy',
+      es: 'Configura tu eSIM en un Samsung Galaxy',
+      it: 'Configura la tua eSIM su un Samsung Galaxy'
+    },
+    steps: {
+      en: [
+        'Open Settings > Connections > SIM manager (SIM card manager on older versions).',
+        'Under eSIMs, turn on your eSIM.',
+        'Under Primary SIM, choose your eSIM for calls and mobile data.',
+        'Turn Airplane mode on, wait 10 seconds and turn it off again.',
+        'Restart your phone.'
+      ],
+      de: [
+        'Öffnen Sie Einstellungen > Verbindungen > SIM-Manager (in älteren Versionen: SIM-Kartenverwaltung).',
+        'Schalten Sie Ihre eSIM unter „eSIMs“ ein.',
+        'Wählen Sie unter „Primäre SIM“ Ihre eSIM für Anrufe und mobile Daten aus.',
+        'Schalten Sie den Flugmodus ein, warten Sie 10 Sekunden und schalten Sie ihn wieder aus.',
+        'Starten Sie Ihr Telefon neu.'
+      ],
+      fr: [
+        'Ouvrez Paramètres > Connexions > Gestionnaire de cartes SIM.',
+        'Sous eSIM, activez votre eSIM.',
+        'Sous SIM principale, choisissez votre eSIM pour les appels et les données mobiles.',
+        'Activez le mode avion, attendez 10 secondes puis désactivez-le.',
+        'Redémarrez votre téléphone.'
+      ],
+      es: [
+        'Abre Ajustes > Conexiones > Administrador de SIM.',
+        'En eSIM, activa tu eSIM.',
+        'En SIM principal, elige tu eSIM para llamadas y datos móviles.',
+        'Activa el modo avión, espera 10 segundos y desactívalo.',
+        'Reinicia el teléfono.'
+      ],
+      it: [
+        'Apri Impostazioni > Connessioni > Gestione SIM.',
+        'In eSIM, attiva la tua eSIM.',
+        'In SIM principale, scegli la eSIM per chiamate e dati mobili.',
+        'Attiva la modalità aereo, attendi 10 secondi e disattivala.',
+        'Riavvia il telefono.'
+      ]
+    }
+  },
+  android_10: {
+    title: {
+      en: 'Set up your eSIM on Android 10 and 11',
+      de: 'eSIM auf Android 10 und 11 einrichten',
+      fr: 'Configurer votre eSIM sur Android 10 et 11',
+      es: 'Configura tu eSIM en Android 10 y 11',
+      it: 'Configura la tua eSIM su Android 10 e 11'
+    },
+    steps: {
+      en: [
+        'Open Settings > Network & internet > Mobile network.',
+        'Under Downloaded SIM, select your eSIM and turn on "Use SIM".',
+        'Go back to Network & internet > SIM preferences and choose your eSIM for mobile data and calls.',
+        'Turn Airplane mode on, wait 10 seconds and turn it off again.',
+        'Restart your phone.'
+      ],
+      de: [
+        'Öffnen Sie Einstellungen > Netzwerk & Internet > Mobilfunknetz.',
+        'Wählen Sie unter „Heruntergeladene SIM“ Ihre eSIM aus und schalten Sie „SIM verwenden“ ein.',
+        'Gehen Sie zurück zu Netzwerk & Internet > SIM-Einstellungen und wählen Sie Ihre eSIM für mobile Daten und Anrufe aus.',
+        'Schalten Sie den Flugmodus ein, warten Sie 10 Sekunden und schalten Sie ihn wieder aus.',
+        'Starten Sie Ihr Telefon neu.'
+      ],
+      fr: [
+        'Ouvrez Paramètres > Réseau et Internet > Réseau mobile.',
+        'Sous SIM téléchargée, sélectionnez votre eSIM et activez « Utiliser la SIM ».',
+        'Revenez à Réseau et Internet > Préférences SIM et choisissez votre eSIM pour les données mobiles et les appels.',
+        'Activez le mode avion, attendez 10 secondes puis désactivez-le.',
+        'Redémarrez votre téléphone.'
+      ],
+      es: [
+        'Abre Ajustes > Redes e Internet > Red móvil.',
+        'En SIM descargada, selecciona tu eSIM y activa «Usar SIM».',
+        'Vuelve a Redes e Internet > Preferencias de SIM y elige tu eSIM para datos móviles y llamadas.',
+        'Activa el modo avión, espera 10 segundos y desactívalo.',
+        'Reinicia el teléfono.'
+      ],
+      it: [
+        'Apri Impostazioni > Rete e Internet > Rete mobile.',
+        'In SIM scaricata, seleziona la tua eSIM e attiva "Usa SIM".',
+        'Torna a Rete e Internet > Preferenze SIM e scegli la eSIM per dati mobili e chiamate.',
+        'Attiva la modalità aereo, attendi 10 secondi e disattivala.',
+        'Riavvia il telefono.'
+      ]
+    }
+  },
+  android: {
+    title: {
+      en: 'Set up your eSIM on Android 12 or later',
+      de: 'eSIM ab Android 12 einrichten',
+      fr: 'Configurer votre eSIM sur Android 12 ou ultérieur',
+      es: 'Configura tu eSIM en Android 12 o posterior',
+      it: 'Configura la tua eSIM su Android 12 o successivo'
+    },
+    steps: {
+      en: [
+        'Open Settings > Network & internet > SIMs.',
+        'Select your eSIM and turn on "Use SIM".',
+        'Set your eSIM as the preferred SIM for mobile data and calls.',
+        'Turn Airplane mode on, wait 10 seconds and turn it off again.',
+        'Restart your phone.'
+      ],
+      de: [
+        'Öffnen Sie Einstellungen > Netzwerk & Internet > SIMs.',
+        'Wählen Sie Ihre eSIM aus und schalten Sie „SIM verwenden“ ein.',
+        'Legen Sie Ihre eSIM als bevorzugte SIM für mobile Daten und Anrufe fest.',
+        'Schalten Sie den Flugmodus ein, warten Sie 10 Sekunden und schalten Sie ihn wieder aus.',
+        'Starten Sie Ihr Telefon neu.'
+      ],
+      fr: [
+        'Ouvrez Paramètres > Réseau et Internet > SIM.',
+        'Sélectionnez votre eSIM et activez « Utiliser la SIM ».',
+        'Définissez votre eSIM comme SIM préférée pour les données mobiles et les appels.',
+        'Activez le mode avion, attendez 10 secondes puis désactivez-le.',
+        'Redémarrez votre téléphone.'
+      ],
+      es: [
+        'Abre Ajustes > Redes e Internet > SIM.',
+        'Selecciona tu eSIM y activa «Usar SIM».',
+        'Define tu eSIM como SIM preferida para datos móviles y llamadas.',
+        'Activa el modo avión, espera 10 segundos y desactívalo.',
+        'Reinicia el teléfono.'
+      ],
+      it: [
+        'Apri Impostazioni > Rete e Internet > SIM.',
+        'Seleziona la tua eSIM e attiva "Usa SIM".',
+        'Imposta la eSIM come SIM preferita per dati mobili e chiamate.',
+        'Attiva la modalità aereo, attendi 10 secondi e disattivala.',
+        'Riavvia il telefono.'
+      ]
+    }
+  },
+  generic: {
+    title: {
+      en: 'Check your eSIM settings',
+      de: 'eSIM-Einstellungen prüfen',
+      fr: 'Vérifier les réglages de votre eSIM',
+      es: 'Revisa los ajustes de tu eSIM',
+      it: 'Controlla le impostazioni della eSIM'
+    },
+    steps: {
+      en: [
+        "Open your phone's SIM or cellular settings and make sure your eSIM line is turned on.",
+        'Select your eSIM for mobile data and calls.',
+        'Turn Airplane Mode on, wait 10 seconds and turn it off again.',
+        'Restart your phone.'
+      ],
+      de: [
+        'Öffnen Sie die SIM- oder Mobilfunkeinstellungen Ihres Telefons und stellen Sie sicher, dass Ihre eSIM eingeschaltet ist.',
+        'Wählen Sie Ihre eSIM für mobile Daten und Anrufe aus.',
+        'Schalten Sie den Flugmodus ein, warten Sie 10 Sekunden und schalten Sie ihn wieder aus.',
+        'Starten Sie Ihr Telefon neu.'
+      ],
+      fr: [
+        'Ouvrez les réglages SIM ou cellulaires de votre téléphone et vérifiez que votre ligne eSIM est activée.',
+        'Sélectionnez votre eSIM pour les données mobiles et les appels.',
+        'Activez le mode avion, attendez 10 secondes puis désactivez-le.',
+        'Redémarrez votre téléphone.'
+      ],
+      es: [
+        'Abre los ajustes de SIM o de red móvil del teléfono y comprueba que tu línea eSIM está activada.',
+        'Selecciona tu eSIM para datos móviles y llamadas.',
+        'Activa el modo avión, espera 10 segundos y desactívalo.',
+        'Reinicia el teléfono.'
+      ],
+      it: [
+        'Apri le impostazioni SIM o cellulare del telefono e verifica che la linea eSIM sia attiva.',
+        'Seleziona la eSIM per dati mobili e chiamate.',
+        'Attiva la modalità aereo, attendi 10 secondi e disattivala.',
+        'Riavvia il telefono.'
+      ]
+    }
+  }
+};
+
+/**
+ * Settings guide for a device in the customer's language
+ * @param {object|null} device - { os, osVersion, manufacturer } (see devices/deviceCatalog.js); null gets the generic guide
+ * @param {string} locale - Supported locale
+ * @returns {{id: string, platform: string, osVersion: string|null, locale: string, title: string, steps: string[]}}
+ */
+function settingsGuide(device, locale) {
+  const { id } = GUIDE_ORDER.find(entry =>
+    (!entry.os || entry.os === device?.os) &&
+    (!entry.manufacturer || entry.manufacturer === device?.manufacturer?.toLowerCase()) &&
+    (!entry.belowVersion || (device?.osVersion && compareVersions(device.osVersion, entry.belowVersion) < 0))
+  );
+  const guide = SETTINGS_GUIDES[id];
+  const language = [locale, DEFAULT_LOCALE, 'en'].find(code => guide.steps[code]);
+  return {
+    id,
+    platform: GUIDE_ORDER.find(entry => entry.id === id).os || 'generic',
+    osVersion: device?.osVersion || null,
+    locale: language,
+    title: guide.title[language],
+    steps: [...guide.steps[language]]
+  };
+}
+
+/**
+ * A guide's steps as a numbered list, for customer messages
+ * @param {object} guide - Result of settingsGuide()
+ * @returns {string}
+ */
+function formatSteps(guide) {
+  return guide.steps.map((step, index) => `${index + 1}. ${step}`).join('\n');
+}
+
+module.exports = { settingsGuide, formatSteps };
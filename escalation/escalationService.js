@@ -0,0 +1,207 @@
+/**
+ * Escalation handoff
+ * Whenever automation gives up on a case, builds a structured ticket for a
+ * human agent and delivers it to every configured sink. Delivery runs in the
+ * background (a webhook sink alone can retry for half a minute), so the
+ * customer's response never waits for the ticketing system.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const ruleEngine = require('../rules/ruleEngine');
+const caseStore = require('../store/caseStore');
+const { createSinks } = require('./sinks');
+const { createLogger } = require('../observability/logger');
+const metrics = require('../observability/metrics');
+
+const logger = createLogger('escalation');
+
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const REPEAT_CONTACT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+class EscalationService {
+  constructor() {
+    this.sinks = createSinks();
+  }
+
+  /**
+   * Build a handoff ticket for a case, record it as the case's escalation and
+   * start delivering it to every sink. Once every sink has answered, the
+   * case's escalation gets the per-sink results and a final delivery status.
+   * @param {object} caseRecord - Stored case being escalated
+   * @param {object} reason - { code: string, detail: string }
+   * @returns {object} { ticketId, priority, reason, escalatedAt, delivery: 'pending', sinks: [] }
+   */
+  escalate(caseRecord, reason) {
+    const ticket = this.buildTicket(caseRecord, reason);
+    const escalation = {
+      ticketId: ticket.id,
+      priority: ticket.priority,
+      reason,
+      escalatedAt: ticket.createdAt,
+      delivery: 'pending',
+      sinks: []
+    };
+    caseStore.update(caseRecord.id, { escalation });
+
+    metrics.escalations.inc({ reason: reason.code });
+    logger.info('Case escalated', { ticketId: ticket.id, caseId: caseRecord.id, priority: ticket.priority, reason: reason.code });
+
+    this._deliver(caseRecord.id, ticket, escalation).catch(error => {
+      logger.error('Escalation delivery failed', { ticketId: ticket.id, caseId: caseRecord.id, error });
+    });
+    return escalation;
+  }
+
+  /**
+   * Build the handoff ticket
+   * @param {object} caseRecord - Stored case
+   * @param {object} reason - { code, detail }
+   * @returns {object} Ticket
+   */
+  buildTicket(caseRecord, reason) {
+    const snapshot = caseRecord.subscriptionSnapshot;
+    const history = caseStore.listBySubscription(caseRecord.subscriptionId);
+
+    return {
+      id: `esc_${crypto.randomBytes(10).toString('hex')}`,
+      createdAt: new Date().toISOString(),
+      caseId: caseRecord.id,
+      subscriptionId: caseRecord.subscriptionId,
+      priority: this.suggestPriority(reason, history),
+      reason,
+      customerIssue: caseRecord.userIssue,
+      customerLocale: caseRecord.locale?.code ?? null,
+      requestedBy: caseRecord.principal?.id ?? null,
+      snapshot: snapshot && {
+        subscriptionStatus: snapshot.status ?? null,
+        createdAt: snapshot.createdAt ?? null,
+        simId: snapshot.sim?.id ?? null,
+        simStatus: snapshot.sim?.status ?? null,
+        sim: snapshot.sim || null
+      },
+      rulesTried: snapshot ? this._rulesTried(snapshot, caseRecord.userIssue, caseRecord.locale?.code, caseRecord.device) : [],
+      llm: caseRecord.llm?.diagnosis ? {
+        provider: caseRecord.llm.provider?.name ?? null,
+        diagnosis: caseRecord.llm.diagnosis.diagnosis,
+        recommendedAction: caseRecord.llm.diagnosis.recommendedAction,
+        confidence: caseRecord.llm.diagnosis.confidence,
+        reasoning: caseRecord.llm.diagnosis.reasoning
+      } : null,
+      actionsTaken: history
+        // An action whose preconditions failed never ran
+        .filter(record => record.actionResult && record.actionResult.status !== 'precondition_failed')
+        .map(record => ({
+          caseId: record.id,
+          at: record.createdAt,
+          // A failed action is stored with action 'escalate'; the result names what actually ran
+          action: record.actionResult.action || record.action,
+          success: Boolean(record.actionResult.success),
+          mocked: Boolean(record.actionResult.mocked),
+          verification: record.verification?.status ?? null
+        })),
+      previousContacts: history.filter(record => record.id !== caseRecord.id).length
+    };
+  }
+
+  /**
+   * Why a finished diagnosis is being escalated, or null if it was not
+   * @param {object} caseRecord - Stored case
+   * @returns {{code: string, detail: string}|null}
+   */
+  reasonFor(caseRecord) {
+    if (caseRecord.action !== 'escalate') {
+      return null;
+    }
+    if (caseRecord.guardrail) {
+      return { code: 'guardrail', detail: caseRecord.guardrail.reason };
+    }
+    if (caseRecord.actionResult && !caseRecord.actionResult.success) {
+      return { code: 'action_failed', detail: caseRecord.actionResult.error?.message || 'Automated action failed' };
+    }
+    if (caseRecord.method === 'degraded') {
+      return { code: 'dependency_down', detail: caseRecord.reasoning };
+    }
+    if (caseRecord.method === 'llm_failed') {
+      return { code: 'llm_failed', detail: caseRecord.reasoning || 'LLM could not diagnose the issue' };
+    }
+    if (caseRecord.method === 'llm') {
+      const proposal = caseRecord.autoActionThreshold;
+      if (proposal?.action === 'escalate') {
+        return { code: 'low_confidence', detail: `LLM recommended escalation (confidence ${caseRecord.confidence}%)` };
+      }
+      const threshold = proposal ? `the ${proposal.threshold}% auto-action threshold for ${proposal.action}` : 'the auto-action threshold';
+      return { code: 'low_confidence', detail: `LLM confidence ${caseRecord.confidence}% is below ${threshold}` };
+    }
+    return { code: 'rule', detail: `Rule ${caseRecord.rule} routes this issue to a human` };
+  }
+
+  /**
+   * Suggest a ticket priority from the reason and the customer's recent history
+   * @param {object} reason - { code }
+   * @param {object[]} history - Cases for the subscription
+   * @returns {string} low | normal | high | urgent
+   */
+  suggestPriority(reason, history) {
+    const recentContacts = history.filter(record =>
+      Date.now() - new Date(record.createdAt).getTime() < REPEAT_CONTACT_WINDOW_MS
+    ).length;
+
+    let priority = 'normal';
+    if (['action_failed', 'verification_failed'].includes(reason.code)) {
+      priority = 'urgent';
+    } else if (reason.code === 'guardrail') {
+      priority = 'high';
+    } else if (reason.code === 'rule') {
+      priority = 'low';
+    }
+
+    // A customer who keeps coming back moves up one level
+    if (recentContacts >= 3 && priority !== 'urgent') {
+      priority = PRIORITIES[PRIORITIES.indexOf(priority) + 1];
+    }
+    return priority;
+  }
+
+  /**
+   * Deliver a ticket to every sink and record the outcome on the case
+   * delivery is 'delivered' (all sinks), 'partial' or 'failed' (none)
+   * @private
+   */
+  async _deliver(caseId, ticket, escalation) {
+    const sinks = await Promise.all(this.sinks.map(async sink => {
+      try {
+        return { sink: sink.name, ...(await sink.deliver(ticket)) };
+      } catch (error) {
+        return { sink: sink.name, delivered: false, error: error.message };
+      }
+    }));
+
+    const failed = sinks.filter(result => !result.delivered);
+    const delivery = failed.length === 0 ? 'delivered' : (failed.length === sinks.length ? 'failed' : 'partial');
+    caseStore.update(caseId, { escalation: { ...escalation, delivery, deliveredAt: new Date().toISOString(), sinks } });
+
+    logger[failed.length ? 'warn' : 'info']('Escalation delivered', {
+      ticketId: ticket.id,
+      caseId,
+      delivery,
+      undeliveredSinks: failed.length ? failed.map(result => result.sink) : undefined
+    });
+  }
+
+  /**
+   * Compact per-rule summary from the rule engine's explain trace
+   * @private
+   */
+  _rulesTried(snapshot, userIssue, locale, device = null) {
+    return ruleEngine.explain(snapshot, userIssue, ruleEngine.pack, { locale, device }).rules.map(rule => ({
+      rule: rule.name,
+      matched: rule.matched,
+      failedConditions: rule.conditions
+        .filter(condition => !condition.passed)
+        .map(condition => `${condition.field} ${condition.op} ${JSON.stringify(condition.expected)} (was ${JSON.stringify(condition.actual)})`)
+    }));
+  }
+}
+
+module.exports = new EscalationService();
@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Appends tickets to a JSON Lines file - a local queue a support tool can tail
+ */
+class FileSink {
+  constructor({ filePath }) {
+    this.name = 'file';
+    this.filePath = filePath;
+  }
+
+  async deliver(ticket) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(ticket) + '\n');
+    return { delivered: true, location: this.filePath };
+  }
+}
+
+module.exports = FileSink;
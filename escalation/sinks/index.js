@@ -0,0 +1,38 @@
+const path = require('path');
+const FileSink = require('./fileSink');
+const WebhookSink = require('./webhookSink');
+const ZendeskSink = require('./zendeskSink');
+const { envNumber } = require('../../utils/env');
+
+const SINK_NAMES = ['file', 'webhook', 'zendesk'];
+
+/**
+ * Build the configured escalation sinks (ESCALATION_SINKS, comma-separated)
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {object[]} Sink instances
+ */
+function createSinks(env = process.env) {
+  const names = (env.ESCALATION_SINKS || 'file').split(',').map(name => name.trim()).filter(Boolean);
+
+  return names.map(name => {
+    switch (name) {
+      case 'file':
+        return new FileSink({
+          filePath: env.ESCALATION_FILE_PATH || path.join(__dirname, '..', '..', 'data', 'escalations.jsonl')
+        });
+      case 'webhook':
+        return new WebhookSink({ url: env.ESCALATION_WEBHOOK_URL });
+      case 'zendesk':
+        return new ZendeskSink({
+          baseUrl: env.ZENDESK_BASE_URL,
+          email: env.ZENDESK_EMAIL,
+          apiToken: env.ZENDESK_API_TOKEN,
+          timeoutMs: envNumber('ZENDESK_TIMEOUT_MS', 10000, env)
+        });
+      default:
+        throw new Error(`Unknown escalation sink '${name}' - expected one of ${SINK_NAMES.join(', ')}`);
+    }
+  });
+}
+
+module.exports = { SINK_NAMES, createSinks };
@@ -0,0 +1,22 @@
+const { deliverWebhook } = require('../../jobs/webhook');
+
+/**
+ * POSTs the ticket to a generic webhook, signed like every other webhook
+ */
+class WebhookSink {
+  constructor({ url }) {
+    this.name = 'webhook';
+    this.url = url;
+  }
+
+  async deliver(ticket) {
+    if (!this.url) {
+      return { delivered: false, error: 'ESCALATION_WEBHOOK_URL is not set' };
+    }
+    // The operator configured this URL, so it may point inside the network
+    const delivery = await deliverWebhook(this.url, { event: 'escalation.created', ticket }, { trusted: true });
+    return { delivered: delivery.delivered, ...(delivery.error ? { error: delivery.error } : {}) };
+  }
+}
+
+module.exports = WebhookSink;
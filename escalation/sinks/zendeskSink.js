@@ -0,0 +1,68 @@
+const axios = require('axios');
+
+/**
+ * Creates a ticket through a Zendesk-style REST API (POST /api/v2/tickets.json)
+ */
+class ZendeskSink {
+  constructor({ baseUrl, email, apiToken, timeoutMs }) {
+    this.name = 'zendesk';
+    this.baseUrl = baseUrl;
+    this.email = email;
+    this.apiToken = apiToken;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async deliver(ticket) {
+    if (!this.baseUrl) {
+      return { delivered: false, error: 'ZENDESK_BASE_URL is not set' };
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/api/v2/tickets.json`, this._toZendesk(ticket), {
+        timeout: this.timeoutMs,
+        auth: this.email && this.apiToken ? { username: `${this.email}/token`, password: this.apiToken } : undefined
+      });
+      return { delivered: true, externalId: response.data?.ticket?.id ?? null };
+    } catch (error) {
+      return { delivered: false, error: error.response ? `HTTP ${error.response.status}` : error.message };
+    }
+  }
+
+  /**
+   * Map a handoff ticket onto Zendesk's ticket shape
+   * @private
+   */
+  _toZendesk(ticket) {
+    const lines = [
+      `Customer issue: "${ticket.customerIssue}"`,
+      `Escalation reason: ${ticket.reason.detail}`,
+      `Subscription ${ticket.subscriptionId}: ${ticket.snapshot?.subscriptionStatus ?? 'unknown'}, SIM ${ticket.snapshot?.simId ?? 'unknown'}: ${ticket.snapshot?.simStatus ?? 'unknown'}`,
+      '',
+      'Rules tried:',
+      ...ticket.rulesTried.map(rule => `- ${rule.rule}: ${rule.matched ? 'matched' : `failed on ${rule.failedConditions.join(', ')}`}`),
+      '',
+      `LLM: ${ticket.llm ? `${ticket.llm.recommendedAction} (${ticket.llm.confidence}%) - ${ticket.llm.reasoning}` : 'not consulted'}`,
+      '',
+      'Actions already taken:',
+      ...(ticket.actionsTaken.length
+        ? ticket.actionsTaken.map(action => `- ${action.at}: ${action.action} (${action.success ? 'succeeded' : 'failed'}) [${action.caseId}]`)
+        : ['- none'])
+    ];
+
+    return {
+      ticket: {
+        subject: `eSIM escalation: ${ticket.reason.code} for ${ticket.subscriptionId}`,
+        comment: { body: lines.join('\n') },
+        priority: ticket.priority,
+        tags: ['esim_automation', ticket.reason.code],
+        external_id: ticket.id,
+        custom_fields: [
+          { id: 'case_id', value: ticket.caseId },
+          { id: 'subscription_id', value: ticket.subscriptionId }
+        ]
+      }
+    };
+  }
+}
+
+module.exports = ZendeskSink;
@@ -0,0 +1,351 @@
+/**
+ * Replay evaluation harness
+ * Replays a labelled set of recorded cases (subscription snapshot, customer
+ * message, correct resolution) through the rule engine and the LLM handler.
+ * Nothing leaves the process: there is no Gigs call, no action runs and no
+ * case is recorded. The LLM answers with each case's recorded response, or
+ * from the stub fixtures when a case has none.
+ *
+ * The report shows whether rules and LLM pick the right action and whether
+ * their confidence means what it says:
+ *   actions     - precision and recall of the final action, per action
+ *   rules       - per rule, how often a match was right (precision) and how
+ *                 often a case labelled with the rule matched it (recall)
+ *   calibration - accuracy of the proposed action per confidence bucket
+ *   escalation  - escalation rate and auto-action precision per threshold,
+ *                 overall and for each action the LLM proposed
+ * Guardrails and action preconditions are not simulated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ruleEngine = require('../rules/ruleEngine');
+const { ACTIONS } = require('../rules/rulePack');
+const { buildSubscription } = require('../rules/corpus');
+const { LLMHandler } = require('../llm/llmHandler');
+const { loadLLMConfig } = require('../llm/config');
+const { Redactor } = require('../llm/redaction');
+const { loadThresholds, thresholdFor } = require('../actions/thresholds');
+const { resolveLocale } = require('../i18n/locales');
+
+const DEFAULT_EVAL_SET_PATH = path.join(__dirname, 'cases', 'default.json');
+
+// Thresholds the escalation sweep tries when none are given
+const DEFAULT_SWEEP = [50, 60, 70, 80, 90, 95];
+
+// Width of a calibration bucket, in confidence points
+const BUCKET_WIDTH = 10;
+
+/**
+ * Load and check a labelled evaluation set
+ * @param {string} filePath - JSON file with a cases array
+ * @returns {object[]} Normalized cases (see normalizeCase)
+ * @throws {Error} If the file is malformed or a case is missing its label
+ */
+function loadEvalSet(filePath = DEFAULT_EVAL_SET_PATH) {
+  const document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(document.cases) || document.cases.length === 0) {
+    throw new Error(`Evaluation set ${filePath} must have a non-empty cases array`);
+  }
+
+  const errors = [];
+  const cases = document.cases.map((testCase, index) => {
+    const label = `case ${index} (${testCase.name || 'unnamed'})`;
+    if (!testCase.subscription && !testCase.subscriptionSnapshot) {
+      errors.push(`${label}: needs subscription or subscriptionSnapshot`);
+    }
+    if (typeof testCase.userIssue !== 'string' || !testCase.userIssue) {
+      errors.push(`${label}: needs a userIssue`);
+    }
+    if (!ACTIONS.includes(testCase.expected?.action)) {
+      errors.push(`${label}: expected.action must be one of ${ACTIONS.join(', ')}`);
+    }
+    return normalizeCase(testCase, index);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Evaluation set ${filePath} is invalid:\n- ${errors.join('\n- ')}`);
+  }
+  return cases;
+}
+
+/**
+ * Accept both hand-written cases and case records exported from GET /cases/:id
+ * (subscriptionSnapshot, createdAt, locale object, llm.diagnosis) with an
+ * `expected` label added. Snapshot timestamps are shifted so the case is
+ * replayed as of when it was recorded (recordedAt, or the record's createdAt).
+ * @param {object} testCase - Case from the evaluation set
+ * @param {number} index - Position in the set, for unnamed cases
+ * @returns {object} { name, subscription, userIssue, locale, device, llmResponse, expected }
+ */
+function normalizeCase(testCase, index = 0) {
+  const recordedAt = testCase.recordedAt || (testCase.subscriptionSnapshot ? testCase.createdAt : null);
+  const subscription = testCase.subscriptionSnapshot
+    ? shiftTimestamps(testCase.subscriptionSnapshot, recordedAt)
+    : buildSubscription(testCase);
+
+  return {
+    name: testCase.name || testCase.id || `case ${index}`,
+    subscription,
+    userIssue: testCase.userIssue,
+    locale: typeof testCase.locale === 'object' ? testCase.locale?.code : testCase.locale,
+    device: testCase.device || null,
+    llmResponse: testCase.llmResponse || testCase.llm?.diagnosis || null,
+    expected: { action: testCase.expected?.action, rule: testCase.expected?.rule ?? null }
+  };
+}
+
+/**
+ * LLM handler that answers from the cases' recorded responses, then the stub fixtures
+ * @param {object[]} cases - Normalized cases
+ * @param {object} env - Environment variables (for LLM_STUB_FIXTURES)
+ * @returns {LLMHandler}
+ */
+function createReplayLLM(cases, env = process.env) {
+  const config = loadLLMConfig({ ...env, LLM_PROVIDER: 'stub', LLM_FALLBACK_PROVIDERS: '' });
+  const stub = config.providers.stub;
+  const fixtures = JSON.parse(fs.readFileSync(stub.fixturesPath, 'utf8'));
+
+  // The customer message appears in the prompt as redacted by the handler
+  // (subscription first, then the message); longest first so a message
+  // contained in another one does not take its response
+  const recorded = cases
+    .filter(testCase => testCase.llmResponse)
+    .map(testCase => {
+      const redactor = new Redactor(config.redaction);
+      redactor.redactObject(testCase.subscription);
+      return { issue: redactor.redactText(testCase.userIssue, 'userIssue'), response: testCase.llmResponse };
+    })
+    .sort((a, b) => b.issue.length - a.issue.length)
+    .map(({ issue, response }) => ({ whenPromptContains: [issue], response }));
+
+  return new LLMHandler({
+    ...config,
+    providers: {
+      ...config.providers,
+      stub: { ...stub, fixtures: { ...fixtures, unavailable: undefined, responses: [...recorded, ...(fixtures.responses || [])] } }
+    }
+  });
+}
+
+/**
+ * Replay every case and build the evaluation report
+ * @param {object[]} cases - Normalized cases (see loadEvalSet)
+ * @param {object} options - { engine, pack, llm, thresholds, sweep } - defaults: the rule engine's
+ *   active pack, createReplayLLM(cases), the configured thresholds and DEFAULT_SWEEP
+ * @returns {Promise<object>} { total, accuracy, thresholds, actions, rules, calibration, escalation, decisions, failures }
+ */
+async function replay(cases, {
+  engine = ruleEngine,
+  pack = engine.pack,
+  llm = createReplayLLM(cases),
+  thresholds = loadThresholds(),
+  sweep = DEFAULT_SWEEP
+} = {}) {
+  const decisions = [];
+  for (const testCase of cases) {
+    decisions.push({ case: testCase.name, expected: testCase.expected, ...await decide(testCase, { engine, pack, llm, thresholds }) });
+  }
+
+  const correct = decisions.filter(decision => decision.action === decision.expected.action).length;
+  return {
+    total: decisions.length,
+    accuracy: ratio(correct, decisions.length),
+    thresholds,
+    actions: actionScores(decisions),
+    rules: ruleScores(decisions, pack),
+    calibration: calibration(decisions),
+    escalation: escalationSweep(decisions, sweep, thresholds),
+    decisions,
+    failures: decisions.filter(decision => decision.action !== decision.expected.action)
+  };
+}
+
+/**
+ * What the live pipeline would decide for a case, without side effects
+ * @private
+ */
+async function decide(testCase, { engine, pack, llm, thresholds }) {
+  const locale = resolveLocale(testCase.locale, testCase.userIssue).code;
+  const rule = engine.evaluate(testCase.subscription, testCase.userIssue, pack, { locale, device: testCase.device });
+  if (rule) {
+    return { method: 'rule_engine', rule: rule.ruleName, proposed: rule.action, confidence: rule.confidence, threshold: null, action: rule.action };
+  }
+
+  const result = await llm.diagnose(testCase.subscription, testCase.userIssue, { locale, device: testCase.device });
+  if (!result.success) {
+    return { method: 'llm_failed', rule: null, proposed: null, confidence: null, threshold: null, action: 'escalate' };
+  }
+  const { recommendedAction, confidence } = result.diagnosis;
+  const threshold = thresholdFor(recommendedAction, thresholds);
+  return {
+    method: 'llm',
+    rule: null,
+    proposed: recommendedAction,
+    confidence,
+    threshold,
+    action: confidence >= threshold ? recommendedAction : 'escalate'
+  };
+}
+
+/**
+ * Precision and recall of the final action, per action
+ * @private
+ */
+function actionScores(decisions) {
+  const actions = [...new Set(decisions.flatMap(decision => [decision.expected.action, decision.action]))]
+    .sort((a, b) => ACTIONS.indexOf(a) - ACTIONS.indexOf(b));
+
+  return Object.fromEntries(actions.map(action => {
+    const tp = decisions.filter(decision => decision.action === action && decision.expected.action === action).length;
+    const fp = decisions.filter(decision => decision.action === action && decision.expected.action !== action).length;
+    const fn = decisions.filter(decision => decision.action !== action && decision.expected.action === action).length;
+    return [action, { tp, fp, fn, precision: ratio(tp, tp + fp), recall: ratio(tp, tp + fn) }];
+  }));
+}
+
+/**
+ * Per rule: a match is right when its action is the labelled one (and the
+ * label names this rule, if it names one); recall counts cases labelled with the rule
+ * @private
+ */
+function ruleScores(decisions, pack) {
+  return Object.fromEntries(pack.rules.map(rule => {
+    const matched = decisions.filter(decision => decision.rule === rule.name);
+    const correct = matched.filter(decision =>
+      decision.action === decision.expected.action && (!decision.expected.rule || decision.expected.rule === rule.name)
+    ).length;
+    const labelled = decisions.filter(decision => decision.expected.rule === rule.name);
+    const found = labelled.filter(decision => decision.rule === rule.name).length;
+    return [rule.name, {
+      action: rule.action,
+      confidence: rule.confidence,
+      matched: matched.length,
+      correct,
+      precision: ratio(correct, matched.length),
+      labelled: labelled.length,
+      recall: ratio(found, labelled.length)
+    }];
+  }));
+}
+
+/**
+ * Accuracy of the proposed action per confidence bucket, plus the expected
+ * calibration error (count-weighted gap between confidence and accuracy)
+ * @private
+ */
+function calibration(decisions) {
+  const scored = decisions.filter(decision => typeof decision.confidence === 'number');
+  const buckets = [];
+  for (let from = 0; from < 100; from += BUCKET_WIDTH) {
+    const to = from + BUCKET_WIDTH;
+    // The last bucket includes 100
+    const members = scored.filter(decision => decision.confidence >= from && (decision.confidence < to || (to === 100 && decision.confidence === 100)));
+    if (members.length === 0) {
+      continue;
+    }
+    const meanConfidence = members.reduce((sum, decision) => sum + decision.confidence, 0) / members.length;
+    const accuracy = members.filter(decision => decision.proposed === decision.expected.action).length / members.length;
+    buckets.push({
+      range: `${from}-${to === 100 ? 100 : to - 1}`,
+      count: members.length,
+      rules: members.filter(decision => decision.method === 'rule_engine').length,
+      llm: members.filter(decision => decision.method === 'llm').length,
+      meanConfidence: round(meanConfidence),
+      accuracy: round(accuracy)
+    });
+  }
+
+  const expectedCalibrationError = scored.length === 0 ? null : round(buckets.reduce(
+    (sum, bucket) => sum + (bucket.count / scored.length) * Math.abs(bucket.accuracy - bucket.meanConfidence / 100), 0
+  ));
+  return { buckets, expectedCalibrationError };
+}
+
+/**
+ * Escalation rate and auto-action precision if every LLM action needed the
+ * same threshold, for each threshold in the sweep, plus the configured
+ * per-action thresholds. Rules are not gated, as in the live pipeline.
+ * @private
+ */
+function escalationSweep(decisions, sweep, thresholds) {
+  const at = thresholdOf => {
+    const actions = decisions.map(decision => {
+      if (decision.method !== 'llm') {
+        return decision.action;
+      }
+      return decision.confidence >= thresholdOf(decision.proposed) ? decision.proposed : 'escalate';
+    });
+    const escalated = actions.filter(action => action === 'escalate').length;
+    const automated = actions
+      .map((action, index) => ({ action, expected: decisions[index].expected.action }))
+      .filter(({ action }) => action !== 'escalate');
+    const needless = actions.filter((action, index) => action === 'escalate' && decisions[index].expected.action !== 'escalate').length;
+    return {
+      escalationRate: ratio(escalated, decisions.length),
+      needlessEscalations: needless,
+      automated: automated.length,
+      automatedPrecision: ratio(automated.filter(({ action, expected }) => action === expected).length, automated.length)
+    };
+  };
+
+  // Per proposed action, so each action's threshold can be chosen on its own
+  const llmDecisions = decisions.filter(decision => decision.method === 'llm' && decision.proposed !== 'escalate');
+  const byAction = {};
+  for (const action of [...new Set(llmDecisions.map(decision => decision.proposed))]) {
+    const proposals = llmDecisions.filter(decision => decision.proposed === action);
+    byAction[action] = sweep.map(threshold => {
+      const automated = proposals.filter(decision => decision.confidence >= threshold);
+      return {
+        threshold,
+        proposed: proposals.length,
+        automated: automated.length,
+        precision: ratio(automated.filter(decision => decision.expected.action === action).length, automated.length)
+      };
+    });
+  }
+
+  return {
+    sweep: sweep.map(threshold => ({ threshold, ...at(() => threshold) })),
+    configured: at(action => thresholdFor(action, thresholds)),
+    byAction
+  };
+}
+
+/**
+ * Move createdAt timestamps so they are as old relative to now as they were
+ * relative to recordedAt
+ * @private
+ */
+function shiftTimestamps(snapshot, recordedAt) {
+  const offset = recordedAt ? Date.now() - new Date(recordedAt).getTime() : 0;
+  const shift = value => (value && offset ? new Date(new Date(value).getTime() + offset).toISOString() : value);
+  return {
+    ...snapshot,
+    createdAt: shift(snapshot.createdAt),
+    sim: snapshot.sim && { ...snapshot.sim, createdAt: shift(snapshot.sim.createdAt) }
+  };
+}
+
+/**
+ * @private
+ */
+function ratio(part, whole) {
+  return whole === 0 ? null : round(part / whole);
+}
+
+/**
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  DEFAULT_EVAL_SET_PATH,
+  DEFAULT_SWEEP,
+  loadEvalSet,
+  normalizeCase,
+  createReplayLLM,
+  replay
+};
@@ -0,0 +1,97 @@
+/**
+ * Replay evaluation report
+ * Run with: npm run eval [-- --cases <file>] [--thresholds 60,70,80,90] [--json]
+ *
+ * Replays a labelled evaluation set (evaluation/cases/default.json unless
+ * --cases points elsewhere) through the rule engine and the LLM handler and
+ * prints precision and recall per action and per rule, a confidence
+ * calibration table and the escalation rate at each threshold. --json prints
+ * the full report instead. See evaluation/replay.js for the case format.
+ */
+
+// The replayed LLM calls would otherwise log one line each
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { DEFAULT_EVAL_SET_PATH, DEFAULT_SWEEP, loadEvalSet, replay } = require('./replay');
+
+function parseArgs(argv) {
+  const options = { cases: DEFAULT_EVAL_SET_PATH, sweep: DEFAULT_SWEEP, json: false };
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === '--cases') {
+      options.cases = argv[++index];
+    } else if (arg === '--thresholds') {
+      options.sweep = String(argv[++index]).split(',').map(Number);
+      if (options.sweep.some(value => !Number.isFinite(value) || value < 0 || value > 100)) {
+        throw new Error('--thresholds must be a comma-separated list of numbers between 0 and 100');
+      }
+    } else if (arg === '--json') {
+      options.json = true;
+    } else {
+      throw new Error(`Unknown option '${arg}'`);
+    }
+  }
+  return options;
+}
+
+function format(value) {
+  return value === null ? '   -' : value.toFixed(2);
+}
+
+function printReport(report, casesPath) {
+  console.log(`\n🔁 Replaying ${report.total} labelled cases from ${casesPath}\n`);
+  console.log('='.repeat(80));
+
+  console.log('\n   Actions (final decision)');
+  for (const [action, score] of Object.entries(report.actions)) {
+    console.log(`   ${action.padEnd(30)} precision ${format(score.precision)}  recall ${format(score.recall)}  (tp ${score.tp}, fp ${score.fp}, fn ${score.fn})`);
+  }
+
+  console.log('\n   Rules');
+  for (const [rule, score] of Object.entries(report.rules)) {
+    console.log(`   ${rule.padEnd(30)} confidence ${String(score.confidence).padStart(3)}  precision ${format(score.precision)}  recall ${format(score.recall)}  (matched ${score.matched}, labelled ${score.labelled})`);
+  }
+
+  console.log('\n   Calibration (proposed action vs. label)');
+  for (const bucket of report.calibration.buckets) {
+    console.log(`   confidence ${bucket.range.padEnd(7)} n=${String(bucket.count).padEnd(3)} mean ${bucket.meanConfidence.toFixed(1).padStart(5)}  accuracy ${format(bucket.accuracy)}  (rules ${bucket.rules}, llm ${bucket.llm})`);
+  }
+  console.log(`   expected calibration error ${format(report.calibration.expectedCalibrationError)}`);
+
+  console.log('\n   Escalation by LLM auto-action threshold');
+  const row = (label, result) => console.log(
+    `   ${label.padEnd(12)} escalated ${format(result.escalationRate)}  needless ${String(result.needlessEscalations).padEnd(3)} automated ${String(result.automated).padEnd(3)} precision ${format(result.automatedPrecision)}`
+  );
+  report.escalation.sweep.forEach(result => row(`>= ${result.threshold}`, result));
+  const overrides = Object.entries(report.thresholds.byAction).map(([action, value]) => `${action}:${value}`).join(', ');
+  row('configured', report.escalation.configured);
+  console.log(`   (configured: default ${report.thresholds.default}${overrides ? `, ${overrides}` : ''})`);
+
+  console.log('\n   LLM auto-action precision per proposed action');
+  for (const [action, rows] of Object.entries(report.escalation.byAction)) {
+    console.log(`   ${action.padEnd(30)} ${rows.map(entry => `>=${entry.threshold}: ${format(entry.precision)} (${entry.automated}/${entry.proposed})`).join('  ')}`);
+  }
+
+  for (const failure of report.failures) {
+    console.log(`\n   ✗ ${failure.case}`);
+    console.log(`     expected ${failure.expected.action}${failure.expected.rule ? ` (${failure.expected.rule})` : ''}, got ${failure.action} via ${failure.rule || failure.method}${failure.confidence === null ? '' : ` at ${failure.confidence}%`}`);
+  }
+
+  console.log('\n' + '='.repeat(80));
+  console.log(`\n📊 Accuracy: ${format(report.accuracy)} (${report.total - report.failures.length} of ${report.total} cases resolved as labelled)\n`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const report = await replay(loadEvalSet(options.cases), { sweep: options.sweep });
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, options.cases);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+/**
+ * Startup configuration check
+ * Catches settings that would otherwise only fail on the first customer
+ * request (a missing Gigs key, an LLM provider without credentials, ...).
+ * The server refuses to start on errors; warnings are logged.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { loadLLMConfig } = require('../llm/config');
+const { loadThresholds } = require('../actions/thresholds');
+
+// Credential each LLM provider needs, by provider name
+const LLM_CREDENTIALS = { gemini: 'GOOGLE_API_KEY', anthropic: 'ANTHROPIC_API_KEY' };
+
+/**
+ * Validate the environment
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+function checkConfig(env = process.env) {
+  const errors = [];
+  const warnings = [];
+
+  if (!env.GIGS_API_BASE_URL) {
+    errors.push('GIGS_API_BASE_URL is not set');
+  } else if (!isHttpUrl(env.GIGS_API_BASE_URL)) {
+    errors.push(`GIGS_API_BASE_URL must be an absolute http(s) URL, got '${env.GIGS_API_BASE_URL}'`);
+  }
+  if (!env.GIGS_API_KEY) {
+    errors.push('GIGS_API_KEY is not set');
+  }
+
+  if (!env.PAYMENT_PORTAL_URL) {
+    warnings.push('PAYMENT_PORTAL_URL is not set - payment messages will be sent without a payment link');
+  } else if (!isHttpUrl(env.PAYMENT_PORTAL_URL)) {
+    errors.push(`PAYMENT_PORTAL_URL must be an absolute http(s) URL, got '${env.PAYMENT_PORTAL_URL}'`);
+  } else if (!env.PAYMENT_LINK_SECRET) {
+    warnings.push('PAYMENT_LINK_SECRET is not set - payment links will not be signed');
+  }
+
+  try {
+    loadThresholds(env);
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  let llmConfig = null;
+  try {
+    llmConfig = loadLLMConfig(env);
+  } catch (error) {
+    errors.push(error.message);
+  }
+  if (llmConfig) {
+    for (const name of [llmConfig.provider, ...llmConfig.fallbacks]) {
+      const problem = providerProblem(name, llmConfig.providers[name], env);
+      if (problem) {
+        // Only the primary provider is required; a broken fallback just shortens the chain
+        (name === llmConfig.provider ? errors : warnings).push(problem);
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * @private
+ */
+function providerProblem(name, settings, env) {
+  if (name === 'stub') {
+    return fs.existsSync(settings.fixturesPath) ? null : `LLM stub fixtures not found at ${settings.fixturesPath}`;
+  }
+  const variable = LLM_CREDENTIALS[name];
+  return env[variable] ? null : `${variable} is not set (needed by the ${name} LLM provider)`;
+}
+
+/**
+ * @private
+ */
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { checkConfig };
@@ -0,0 +1,129 @@
+/**
+ * Dependency readiness
+ * Probes the Gigs API and the LLM provider chain with a per-probe timeout and
+ * caches each result for READY_CACHE_TTL_MS, so GET /ready can be polled
+ * often without hammering either dependency. Concurrent callers share one
+ * in-flight probe. The diagnosis pipeline uses the same cached results to
+ * decide whether to degrade to rules-only.
+ */
+
+require('dotenv').config();
+const gigsClient = require('../api/gigsClient');
+const llmHandler = require('../llm/llmHandler');
+const { checkConfig } = require('./configCheck');
+const { runWithContext } = require('../observability/context');
+const { createLogger } = require('../observability/logger');
+const { envNumber } = require('../utils/env');
+
+const logger = createLogger('readiness');
+
+class Readiness {
+  /**
+   * @param {object} options - { ttlMs, timeoutMs, probes: { [name]: async () => details } }
+   */
+  constructor({
+    ttlMs = envNumber('READY_CACHE_TTL_MS', 15000),
+    timeoutMs = envNumber('READY_PROBE_TIMEOUT_MS', 3000),
+    probes = {
+      gigs: () => gigsClient.ping(),
+      llm: () => llmHandler.probe()
+    }
+  } = {}) {
+    this.ttlMs = ttlMs;
+    this.timeoutMs = timeoutMs;
+    this.probes = probes;
+    this.results = new Map();
+    this.inflight = new Map();
+  }
+
+  /**
+   * Configuration and every dependency, for GET /ready
+   * @returns {Promise<{ready: boolean, checkedAt: string, checks: object}>}
+   */
+  async check() {
+    const { errors, warnings } = checkConfig();
+    const checks = {
+      config: { status: errors.length ? 'down' : 'up', errors, warnings }
+    };
+
+    const names = Object.keys(this.probes);
+    const results = await Promise.all(names.map(name => this.status(name)));
+    names.forEach((name, index) => {
+      checks[name] = results[index];
+    });
+
+    return {
+      ready: Object.values(checks).every(check => check.status === 'up'),
+      checkedAt: new Date().toISOString(),
+      checks
+    };
+  }
+
+  /**
+   * Cached status of one dependency, probing it when the cache has expired
+   * @param {string} name - Dependency name (gigs | llm)
+   * @returns {Promise<object>} { status: 'up'|'down', latencyMs, checkedAt, cached, error?, details? }
+   */
+  async status(name) {
+    const cached = this.results.get(name);
+    if (cached && Date.now() - cached.time < this.ttlMs) {
+      return { ...cached.result, cached: true };
+    }
+
+    if (!this.inflight.has(name)) {
+      // Probes are shared by every waiting request, so they run outside any one request's context
+      const probe = runWithContext({}, () => this._probe(name)).finally(() => this.inflight.delete(name));
+      this.inflight.set(name, probe);
+    }
+    return { ...(await this.inflight.get(name)), cached: false };
+  }
+
+  /**
+   * Whether a dependency is known to be down
+   * @param {string} name - Dependency name
+   * @returns {Promise<boolean>}
+   */
+  async isDown(name) {
+    return (await this.status(name)).status === 'down';
+  }
+
+  /**
+   * @private
+   */
+  async _probe(name) {
+    const startTime = Date.now();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`probe timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+    });
+
+    let result;
+    try {
+      const details = await Promise.race([this.probes[name](), timeout]);
+      result = { status: 'up', latencyMs: Date.now() - startTime, checkedAt: new Date().toISOString(), ...(details ? { details } : {}) };
+    } catch (error) {
+      result = {
+        status: 'down',
+        latencyMs: Date.now() - startTime,
+        checkedAt: new Date().toISOString(),
+        error: error.message,
+        ...(error.details ? { details: error.details } : {})
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const previous = this.results.get(name)?.result.status;
+    if (previous !== result.status) {
+      logger[result.status === 'up' ? 'info' : 'warn'](`Dependency ${name} is ${result.status}`, {
+        dependency: name,
+        latencyMs: result.latencyMs,
+        error: result.error
+      });
+    }
+    this.results.set(name, { time: Date.now(), result });
+    return result;
+  }
+}
+
+module.exports = new Readiness();
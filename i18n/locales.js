@@ -0,0 +1,105 @@
+/**
+ * Supported customer locales and language detection
+ * Customers can pass a locale explicitly; otherwise it is guessed from the
+ * words in their message, falling back to DEFAULT_LOCALE.
+ */
+
+require('dotenv').config();
+
+const SUPPORTED_LOCALES = ['en', 'de', 'fr', 'es', 'it'];
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  de: 'German',
+  fr: 'French',
+  es: 'Spanish',
+  it: 'Italian'
+};
+
+// Frequent words that are (mostly) unique to one language, including a few
+// domain words customers use when describing a broken eSIM
+const MARKER_WORDS = {
+  en: ['the', 'my', 'is', 'it', 'not', 'and', 'have', 'has', 'been', 'for', 'still', 'but', 'phone', 'says', "doesn't", 'working', 'stuck'],
+  de: ['ich', 'mein', 'meine', 'nicht', 'und', 'ist', 'habe', 'kein', 'keine', 'seit', 'noch', 'handy', 'funktioniert', 'geht', 'aber', 'obwohl'],
+  fr: ['je', 'mon', 'ma', 'ne', 'pas', 'et', 'est', "j'ai", 'les', 'depuis', 'toujours', 'téléphone', 'marche', 'fonctionne', 'mais', 'réseau', 'échoué'],
+  es: ['mi', 'y', 'tengo', 'el', 'los', 'desde', 'todavía', 'sigue', 'teléfono', 'móvil', 'funciona', 'pero', 'sin'],
+  it: ['il', 'mio', 'mia', 'non', 'ho', 'ancora', 'telefono', 'funziona', 'che', 'ma', 'nessun', 'niente']
+};
+
+// Characters that only show up in one of the supported languages
+const MARKER_CHARACTERS = {
+  de: /[äöüß]/,
+  fr: /[çêœ]/,
+  es: /[ñ¿¡]/
+};
+
+/**
+ * Reduce a locale tag such as "de-AT" or "FR_fr" to a supported language code
+ * @param {string} value - Locale tag
+ * @returns {string|null} Supported locale, or null if unsupported
+ */
+function normalizeLocale(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const language = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+const DEFAULT_LOCALE = normalizeLocale(process.env.DEFAULT_LOCALE) || 'en';
+
+/**
+ * Guess the language of a customer message
+ * @param {string} text - Customer message
+ * @returns {string|null} Detected locale, or null when no language clearly wins
+ */
+function detectLocale(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}']+/gu) || [];
+  const scores = SUPPORTED_LOCALES.map(locale => {
+    const markers = MARKER_WORDS[locale];
+    let score = words.filter(word => markers.includes(word)).length;
+    if (MARKER_CHARACTERS[locale]?.test(String(text).toLowerCase())) {
+      score++;
+    }
+    return { locale, score };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  return best.score > 0 && best.score > runnerUp.score ? best.locale : null;
+}
+
+/**
+ * Decide which locale to answer in
+ * @param {string|undefined} requested - Locale from the request, if any
+ * @param {string} text - Customer message, used for detection
+ * @returns {{code: string, source: string}} source is 'request', 'detected' or 'default'
+ */
+function resolveLocale(requested, text) {
+  const explicit = normalizeLocale(requested);
+  if (explicit) {
+    return { code: explicit, source: 'request' };
+  }
+  const detected = detectLocale(text);
+  if (detected) {
+    return { code: detected, source: 'detected' };
+  }
+  return { code: DEFAULT_LOCALE, source: 'default' };
+}
+
+/**
+ * English name of a locale's language, for LLM prompts
+ * @param {string} locale - Supported locale
+ * @returns {string}
+ */
+function languageName(locale) {
+  return LANGUAGE_NAMES[locale] || LANGUAGE_NAMES[DEFAULT_LOCALE];
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  detectLocale,
+  resolveLocale,
+  languageName
+};
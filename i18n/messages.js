@@ -0,0 +1,68 @@
+/**
+ * Customer-facing messages sent by the service itself (rule messages live
+ * in the rule pack). A missing translation falls back to DEFAULT_LOCALE,
+ * then to English.
+ */
+
+const { DEFAULT_LOCALE } = require('./locales');
+
+const MESSAGES = {
+  guardrail: {
+    en: "We've already tried resetting your eSIM recently, so we're handing your case to a support agent who will follow up shortly.",
+    de: 'Wir haben Ihre eSIM vor Kurzem bereits zurückgesetzt. Deshalb übergeben wir Ihren Fall an einen Support-Mitarbeiter, der sich in Kürze bei Ihnen meldet.',
+    fr: 'Nous avons déjà réinitialisé votre eSIM récemment. Nous transmettons donc votre dossier à un conseiller qui reviendra vers vous rapidement.',
+    es: 'Ya hemos intentado reiniciar tu eSIM hace poco, así que pasamos tu caso a un agente de soporte que se pondrá en contacto contigo en breve.',
+    it: "Abbiamo già provato a reimpostare la tua eSIM di recente, quindi passiamo il tuo caso a un operatore dell'assistenza che ti ricontatterà a breve."
+  },
+  action_failed: {
+    en: "We tried to reset your eSIM but it didn't go through. A support agent will review your case and follow up shortly.",
+    de: 'Wir haben versucht, Ihre eSIM zurückzusetzen, aber es hat nicht geklappt. Ein Support-Mitarbeiter prüft Ihren Fall und meldet sich in Kürze.',
+    fr: "Nous avons essayé de réinitialiser votre eSIM, mais l'opération a échoué. Un conseiller va examiner votre dossier et reviendra vers vous rapidement.",
+    es: 'Intentamos reiniciar tu eSIM, pero no se completó. Un agente de soporte revisará tu caso y se pondrá en contacto contigo en breve.',
+    it: "Abbiamo provato a reimpostare la tua eSIM, ma l'operazione non è andata a buon fine. Un operatore esaminerà il tuo caso e ti ricontatterà a breve."
+  },
+  action_unavailable: {
+    en: "We couldn't complete this step for you automatically, so we're handing your case to a support agent who will follow up shortly.",
+    de: 'Wir konnten diesen Schritt nicht automatisch für Sie erledigen. Deshalb übergeben wir Ihren Fall an einen Support-Mitarbeiter, der sich in Kürze bei Ihnen meldet.',
+    fr: "Nous n'avons pas pu effectuer cette étape automatiquement. Nous transmettons donc votre dossier à un conseiller qui reviendra vers vous rapidement.",
+    es: 'No hemos podido completar este paso automáticamente, así que pasamos tu caso a un agente de soporte que se pondrá en contacto contigo en breve.',
+    it: "Non siamo riusciti a completare questo passaggio in automatico, quindi passiamo il tuo caso a un operatore dell'assistenza che ti ricontatterà a breve."
+  },
+  llm_failed: {
+    en: 'Unable to diagnose automatically. A support agent will review your case.',
+    de: 'Eine automatische Diagnose war nicht möglich. Ein Support-Mitarbeiter prüft Ihren Fall.',
+    fr: "Le diagnostic automatique n'a pas abouti. Un conseiller va examiner votre dossier.",
+    es: 'No hemos podido hacer un diagnóstico automático. Un agente de soporte revisará tu caso.',
+    it: 'Non è stato possibile eseguire una diagnosi automatica. Un operatore esaminerà il tuo caso.'
+  },
+  degraded: {
+    en: "We can't check your eSIM automatically right now, so we're handing your case to a support agent who will follow up shortly.",
+    de: 'Wir können Ihre eSIM gerade nicht automatisch prüfen. Deshalb übergeben wir Ihren Fall an einen Support-Mitarbeiter, der sich in Kürze bei Ihnen meldet.',
+    fr: 'Nous ne pouvons pas vérifier votre eSIM automatiquement pour le moment. Nous transmettons donc votre dossier à un conseiller qui reviendra vers vous rapidement.',
+    es: 'Ahora mismo no podemos revisar tu eSIM automáticamente, así que pasamos tu caso a un agente de soporte que se pondrá en contacto contigo en breve.',
+    it: "Al momento non possiamo verificare automaticamente la tua eSIM, quindi passiamo il tuo caso a un operatore dell'assistenza che ti ricontatterà a breve."
+  },
+  clarify_default: {
+    en: 'Could you tell me a bit more? Which phone are you using, and what exactly do you see when you try to use your eSIM?',
+    de: 'Können Sie mir etwas mehr erzählen? Welches Telefon verwenden Sie und was genau sehen Sie, wenn Sie Ihre eSIM nutzen möchten?',
+    fr: "Pouvez-vous m'en dire un peu plus ? Quel téléphone utilisez-vous et que voyez-vous exactement lorsque vous essayez d'utiliser votre eSIM ?",
+    es: '¿Puedes contarme un poco más? ¿Qué teléfono usas y qué ves exactamente cuando intentas usar tu eSIM?',
+    it: 'Puoi dirmi qualcosa in più? Quale telefono usi e cosa vedi esattamente quando provi a usare la tua eSIM?'
+  }
+};
+
+/**
+ * Look up a service message in the customer's language
+ * @param {string} key - Message key
+ * @param {string} locale - Supported locale
+ * @returns {string}
+ */
+function translate(key, locale) {
+  const entry = MESSAGES[key];
+  if (!entry) {
+    throw new Error(`Unknown message key '${key}'`);
+  }
+  return entry[locale] || entry[DEFAULT_LOCALE] || entry.en;
+}
+
+module.exports = { translate };
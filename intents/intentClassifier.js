@@ -0,0 +1,244 @@
+/**
+ * Local intent classifier
+ * Scores a customer message against the intents in intents/lexicon.json
+ * without any network call, so rules can test for "no_service" or
+ * "activation_failed" instead of raw substrings.
+ *
+ * Each intent is a list of patterns; a pattern is a sequence of synonym
+ * groups that must appear in order, with at most MAX_GAP other tokens between
+ * them. Words are compared by stem, and longer words also match with a small
+ * typo (Levenshtein distance), unless the difference is a negating prefix
+ * ("successful" never matches "unsuccessful"). A negation word inside a
+ * match cancels it, and so does one in front of it when only filler words
+ * ("a", "any") stand between them ("not a no-service problem"), so a negation
+ * about another verb ("I did not expect to lose signal") is left alone.
+ * A reassurance ("no issue with data") in the same clause cancels it too.
+ *
+ * The customer's locale is tried first, then DEFAULT_LOCALE, mirroring the
+ * per-locale keyword lists of the rule engine. Only the last
+ * USER_ISSUE_MAX_LENGTH characters are classified, whoever the caller is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { stem, normalize, tokenize, levenshtein } = require('./text');
+const { DEFAULT_LOCALE } = require('../i18n/locales');
+const { DEFAULT_MAX_USER_ISSUE_LENGTH } = require('../utils/validation');
+const { envNumber } = require('../utils/env');
+
+const LEXICON_PATH = path.join(__dirname, 'lexicon.json');
+
+const MAX_GAP = 3;              // tokens allowed between two groups of a pattern
+const NEGATION_LOOKBEHIND = 3;  // tokens before a match checked for a negation
+const FUZZY_PENALTY = 0.85;     // per word matched only through a typo
+const GAP_PENALTY = 0.9;        // per token skipped between groups
+const MIN_FUZZY_LENGTH = 5;     // shorter words must match exactly (data/date)
+
+/**
+ * Normalize and stem one language's lexicon
+ * @private
+ */
+function compileLanguage(locale, entry) {
+  const suffixes = [...entry.suffixes].sort((a, b) => b.length - a.length);
+  const language = {
+    suffixes,
+    clauseBreaks: new Set(entry.clauseBreaks.map(normalize)),
+    negations: new Set(entry.negations.map(normalize)),
+    negationFillers: new Set((entry.negationFillers || []).map(normalize)),
+    negatingPrefixes: (entry.negatingPrefixes || []).map(normalize),
+    reassurances: (entry.reassurances || []).map(phrase => normalize(phrase).split(/[^\p{L}\p{N}]+/u).filter(Boolean))
+  };
+
+  const groups = {};
+  for (const [name, phrases] of Object.entries(entry.synonyms)) {
+    groups[name] = phrases.map(phrase => normalize(phrase).split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+      .map(word => ({ raw: word, stem: stem(word, suffixes) })));
+  }
+
+  language.intents = {};
+  for (const [intent, patterns] of Object.entries(entry.intents)) {
+    language.intents[intent] = patterns.map(pattern => pattern.map(name => {
+      if (!groups[name]) {
+        throw new Error(`Intent lexicon ${locale}: ${intent} references unknown synonym group '${name}'`);
+      }
+      return { name, phrases: groups[name] };
+    }));
+  }
+  return language;
+}
+
+const LEXICON = Object.fromEntries(
+  Object.entries(JSON.parse(fs.readFileSync(LEXICON_PATH, 'utf8')))
+    .map(([locale, entry]) => [locale, compileLanguage(locale, entry)])
+);
+
+// Every intent any language defines
+const INTENTS = [...new Set(Object.values(LEXICON).flatMap(language => Object.keys(language.intents)))];
+
+/**
+ * Score a message against every intent
+ * @param {string} text - Customer message
+ * @param {string} locale - Customer locale
+ * @returns {{scores: object, matches: object[]}} scores maps each intent to 0-1;
+ *   matches lists the best phrase found per intent, including negated ones (score 0)
+ */
+function classify(text, locale = DEFAULT_LOCALE) {
+  // Matching is superlinear in the token count, so a long conversation keeps its latest part
+  const input = String(text || '').slice(-envNumber('USER_ISSUE_MAX_LENGTH', DEFAULT_MAX_USER_ISSUE_LENGTH));
+  const locales = [...new Set([locale, DEFAULT_LOCALE])].filter(candidate => LEXICON[candidate]);
+  const best = {};
+
+  for (const candidate of locales) {
+    const language = LEXICON[candidate];
+    const tokens = tokenize(input, language);
+
+    for (const [intent, patterns] of Object.entries(language.intents)) {
+      for (const pattern of patterns) {
+        const match = matchPattern(pattern, tokens, language);
+        if (!match) {
+          continue;
+        }
+        match.negated = isNegated(match, tokens, language);
+        match.locale = candidate;
+
+        // A clean match beats a negated one, then the higher score wins
+        const current = best[intent];
+        if (!current || (current.negated && !match.negated) ||
+          (current.negated === match.negated && match.score > current.score)) {
+          best[intent] = match;
+        }
+      }
+    }
+  }
+
+  const scores = Object.fromEntries(INTENTS.map(intent => {
+    const match = best[intent];
+    return [intent, match && !match.negated ? match.score : 0];
+  }));
+  const matches = Object.entries(best).map(([intent, match]) => ({
+    intent,
+    score: match.negated ? 0 : match.score,
+    phrase: match.phrase,
+    negated: match.negated,
+    locale: match.locale
+  }));
+
+  return { scores, matches };
+}
+
+/**
+ * Best match of a pattern (groups in order) anywhere in the tokens
+ * @private
+ * @returns {{score: number, start: number, end: number, positions: Set<number>, phrase: string}|null}
+ */
+function matchPattern(pattern, tokens, language) {
+  let best = null;
+
+  const extend = (groupIndex, from, score, positions, start) => {
+    if (groupIndex === pattern.length) {
+      if (!best || score > best.score) {
+        const end = Math.max(...positions) + 1;
+        best = {
+          score: Math.round(score * 100) / 100,
+          start,
+          end,
+          positions: new Set(positions),
+          phrase: tokens.slice(start, end).map(token => token.raw).join(' ')
+        };
+      }
+      return;
+    }
+
+    const last = groupIndex === 0 ? tokens.length - 1 : Math.min(tokens.length - 1, from + MAX_GAP);
+    for (let position = from; position <= last; position++) {
+      if (groupIndex > 0 && tokens.slice(from, position).some(token => token.boundary)) {
+        break; // groups of one pattern never span clauses
+      }
+      for (const phrase of pattern[groupIndex].phrases) {
+        const phraseScore = matchPhrase(phrase, tokens, position, language);
+        if (phraseScore > 0) {
+          const covered = phrase.map((_, offset) => position + offset);
+          const gap = groupIndex === 0 ? 0 : position - from;
+          extend(groupIndex + 1, position + phrase.length, score * phraseScore * GAP_PENALTY ** gap,
+            [...positions, ...covered], groupIndex === 0 ? position : start);
+        }
+      }
+    }
+  };
+
+  extend(0, 0, 1, [], 0);
+  return best;
+}
+
+/**
+ * Score of a synonym phrase at a token position (0 if it does not match)
+ * @private
+ */
+function matchPhrase(phrase, tokens, position, language) {
+  let score = 1;
+  for (let offset = 0; offset < phrase.length; offset++) {
+    const token = tokens[position + offset];
+    if (!token || token.boundary) {
+      return 0;
+    }
+    const word = phrase[offset];
+    if (token.stem === word.stem || token.raw === word.raw) {
+      continue;
+    }
+    if (word.raw.length >= MIN_FUZZY_LENGTH &&
+      levenshtein(token.raw, word.raw) <= (word.raw.length >= 8 ? 2 : 1) &&
+      !differsByNegatingPrefix(token.raw, word.raw, language.negatingPrefixes)) {
+      score *= FUZZY_PENALTY;
+      continue;
+    }
+    return 0;
+  }
+  return score;
+}
+
+/**
+ * Whether two words are closer once a negating prefix is taken off the
+ * longer one, i.e. one is the opposite of the other ("successful"/"unsuccessful")
+ * @private
+ */
+function differsByNegatingPrefix(a, b, prefixes) {
+  const [longer, shorter] = a.length >= b.length ? [a, b] : [b, a];
+  return prefixes.some(prefix => longer.startsWith(prefix) && !shorter.startsWith(prefix) &&
+    levenshtein(longer.slice(prefix.length), shorter) < levenshtein(longer, shorter));
+}
+
+/**
+ * Whether the match is negated: by a negation word inside it that is not part
+ * of a matched phrase, by one right in front of it (only filler words between),
+ * or by a reassurance ("no issue") in front of or inside it, in the same clause
+ * @private
+ */
+function isNegated(match, tokens, { negations, negationFillers, reassurances }) {
+  let from = match.start;
+  while (from > 0 && match.start - from < NEGATION_LOOKBEHIND && !tokens[from - 1].boundary) {
+    from--;
+  }
+
+  let before = match.start - 1;
+  while (before >= from && negationFillers.has(tokens[before].raw)) {
+    before--;
+  }
+  if (before >= from && negations.has(tokens[before].raw)) {
+    return true;
+  }
+
+  for (let position = from; position < match.end; position++) {
+    if (position >= match.start && !match.positions.has(position) && negations.has(tokens[position].raw)) {
+      return true;
+    }
+    if (reassurances.some(words => words.every((word, offset) => tokens[position + offset]?.raw === word))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  INTENTS,
+  classify
+};
@@ -0,0 +1,89 @@
+/**
+ * Text normalization for the intent classifier
+ * Lower-cases, expands English contractions (with or without the apostrophe), strips accents and splits a
+ * message into tokens with a light suffix-stripping stem. Punctuation and
+ * clause-breaking words ("but", "aber", ...) become boundary tokens, which
+ * keep a negation in one clause from reaching into the next.
+ */
+
+// Irregular contractions first, then the regular "n't" form
+const CONTRACTIONS = [
+  [/\bcan't\b/g, 'can not'],
+  [/\bcannot\b/g, 'can not'],
+  [/\bwon't\b/g, 'will not'],
+  [/\b(\w+)n't\b/g, '$1 not'],
+  // Typed without the apostrophe ("isnt", "dont")
+  [/\bcant\b/g, 'can not'],
+  [/\b(is|are|was|were|do|does|did|has|have|had|could|would|should)nt\b/g, '$1 not']
+];
+
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Lower-case, expand contractions and strip accents
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function normalize(text) {
+  let normalized = String(text || '').toLowerCase().replace(/[’`´]/g, "'");
+  for (const [pattern, replacement] of CONTRACTIONS) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+  return normalized.normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+/**
+ * Strip the longest matching suffix, keeping at least MIN_STEM_LENGTH characters
+ * @param {string} word - Normalized word
+ * @param {string[]} suffixes - Suffixes for the language, longest first
+ * @returns {string}
+ */
+function stem(word, suffixes) {
+  const suffix = suffixes.find(candidate =>
+    word.endsWith(candidate) && word.length - candidate.length >= MIN_STEM_LENGTH
+  );
+  return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+/**
+ * Split text into tokens
+ * @param {string} text - Raw text
+ * @param {object} language - { suffixes: string[], clauseBreaks: Set<string> } (normalized)
+ * @returns {{raw: string, stem: string, boundary: boolean}[]}
+ */
+function tokenize(text, language) {
+  const words = normalize(text).match(/[\p{L}\p{N}]+|[.,;:!?]/gu) || [];
+  return words.map(word => {
+    const boundary = /^[.,;:!?]$/.test(word) || language.clauseBreaks.has(word);
+    return { raw: word, stem: boundary ? word : stem(word, language.suffixes), boundary };
+  });
+}
+
+/**
+ * Edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+module.exports = {
+  normalize,
+  stem,
+  tokenize,
+  levenshtein
+};
@@ -0,0 +1,254 @@
+/**
+ * Proactive fleet scan
+ * Pages through every subscription with the Gigs list API and runs the rule
+ * engine on its state alone. Without a customer message no keyword or intent
+ * rule can match, so only state rules fire; SIMs stuck in provisioning or held
+ * for payment are reported before the customer complains.
+ *
+ * With fix on, each finding goes through the normal diagnosis pipeline
+ * (rules only), so guardrails, the audit log, cases and escalations apply
+ * exactly as for a customer request. dryRun reports what would be fixed
+ * without changing anything.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const gigsClient = require('../api/gigsClient');
+const ruleEngine = require('../rules/ruleEngine');
+const diagnosisService = require('../services/diagnosisService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { envNumber } = require('../utils/env');
+const { runWithContext } = require('../observability/context');
+const { tracer } = require('../observability/tracing');
+const { createLogger } = require('../observability/logger');
+const metrics = require('../observability/metrics');
+
+const logger = createLogger('fleet-scan');
+
+// Rules the scan reports; other state rules (restricted, ended) are not activation problems
+const SCAN_RULES = ['provisioning_stuck', 'billing_hold'];
+
+// Recorded on cases and audit entries created by scheduled scans
+const SCHEDULER_PRINCIPAL = { id: 'fleet-scanner', role: 'admin', type: 'system' };
+
+class FleetScanner {
+  /**
+   * @param {object} options - { intervalMinutes, pageSize, concurrency, maxSubscriptions, fix, dryRun }
+   */
+  constructor({
+    intervalMinutes = envNumber('SCAN_INTERVAL_MINUTES', 0),
+    pageSize = envNumber('SCAN_PAGE_SIZE', 100),
+    concurrency = envNumber('SCAN_CONCURRENCY', 4),
+    maxSubscriptions = envNumber('SCAN_MAX_SUBSCRIPTIONS', 10000),
+    fix = process.env.SCAN_FIX === 'true',
+    dryRun = process.env.SCAN_DRY_RUN === 'true'
+  } = {}) {
+    this.intervalMinutes = intervalMinutes;
+    this.pageSize = pageSize;
+    this.defaults = { concurrency, maxSubscriptions, fix, dryRun };
+    this.running = false;
+    this.lastReport = null;
+    this.timer = null;
+  }
+
+  /**
+   * Run scans every SCAN_INTERVAL_MINUTES (no-op when 0)
+   */
+  start() {
+    if (!this.intervalMinutes || this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      if (this.running) {
+        logger.warn('Previous fleet scan still running - skipping this run');
+        return;
+      }
+      runWithContext({ requestId: `scan_${crypto.randomBytes(8).toString('hex')}` }, () =>
+        this.scan({ trigger: 'schedule', principal: SCHEDULER_PRINCIPAL })
+      ).catch(error => logger.error('Scheduled fleet scan failed', { error }));
+    }, this.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+    logger.info('Fleet scan scheduled', { intervalMinutes: this.intervalMinutes, ...this.defaults });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Claim the scanner for a scan that starts later, e.g. from the job queue,
+   * so a second request is refused while the first one still waits its turn.
+   * Pass reserved: true to that scan.
+   * @returns {boolean} false if a scan is already running or reserved
+   */
+  reserve() {
+    if (this.running) {
+      return false;
+    }
+    this.running = true;
+    return true;
+  }
+
+  /**
+   * Scan the fleet
+   * @param {object} options - { fix, dryRun, concurrency, maxSubscriptions, principal, trigger, reserved } - unset options use the SCAN_* defaults;
+   *   reserved means the caller already holds the scanner through reserve()
+   * @returns {Promise<object>} Summary report with every finding
+   * @throws {Error} If a scan is already running
+   */
+  async scan({ principal = null, trigger = 'manual', reserved = false, ...overrides } = {}) {
+    if (this.running && !reserved) {
+      throw new Error('A fleet scan is already running');
+    }
+    const options = { ...this.defaults, ...Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined)) };
+
+    this.running = true;
+    try {
+      return await tracer.withSpan('fleet.scan', { 'scan.fix': options.fix, 'scan.dry_run': options.dryRun }, () =>
+        this._scan(options, { principal, trigger })
+      );
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _scan({ fix, dryRun, concurrency, maxSubscriptions }, { principal, trigger }) {
+    const startTime = Date.now();
+    const report = {
+      id: `scan_${crypto.randomBytes(10).toString('hex')}`,
+      trigger,
+      requestedBy: principal?.id ?? null,
+      options: { fix, dryRun, concurrency, maxSubscriptions },
+      rulePack: ruleEngine.getActiveVersion(),
+      startedAt: new Date(startTime).toISOString(),
+      completedAt: null,
+      durationMs: null,
+      pages: 0,
+      scanned: 0,
+      truncated: false,
+      summary: {
+        findings: Object.fromEntries(SCAN_RULES.map(rule => [rule, 0])),
+        remediation: { planned: 0, applied: 0, escalated: 0, skipped: 0, failed: 0 }
+      },
+      findings: [],
+      errors: []
+    };
+    logger.info('Fleet scan started', { scanId: report.id, trigger, fix, dryRun, concurrency });
+
+    // Evaluate every subscription against one pack, even if it is swapped mid-scan
+    const pack = ruleEngine.pack;
+    let after = null;
+    do {
+      const page = await gigsClient.listSubscriptions({ limit: Math.min(this.pageSize, maxSubscriptions - report.scanned), after });
+      if (!page.success) {
+        report.errors.push({ stage: 'list', after, kind: page.error.kind, error: page.error.message });
+        break;
+      }
+
+      const subscriptions = page.data.items || [];
+      const findings = subscriptions.map(subscription => this._check(subscription, pack)).filter(Boolean);
+      report.pages++;
+      report.scanned += subscriptions.length;
+
+      if (fix) {
+        await mapWithConcurrency(findings, concurrency, finding => this._remediate(finding, { dryRun, principal }));
+      }
+      report.findings.push(...findings);
+
+      after = page.data.moreItemsAfter;
+      if (after && report.scanned >= maxSubscriptions) {
+        report.truncated = true;
+        break;
+      }
+    } while (after);
+
+    for (const finding of report.findings) {
+      report.summary.findings[finding.rule]++;
+      if (finding.remediation) {
+        report.summary.remediation[finding.remediation.status]++;
+      }
+      metrics.scanFindings.inc({ rule: finding.rule, remediation: finding.remediation?.status || 'none' });
+    }
+
+    report.completedAt = new Date().toISOString();
+    report.durationMs = Date.now() - startTime;
+    this.lastReport = report;
+    logger.info('Fleet scan complete', {
+      scanId: report.id,
+      scanned: report.scanned,
+      pages: report.pages,
+      durationMs: report.durationMs,
+      ...report.summary,
+      errors: report.errors.length
+    });
+    return report;
+  }
+
+  /**
+   * State-only rule check of one subscription
+   * @private
+   * @returns {object|null} Finding, or null if nothing to report
+   */
+  _check(subscription, pack) {
+    const result = ruleEngine.evaluate(subscription, '', pack);
+    if (!result || !SCAN_RULES.includes(result.ruleName)) {
+      return null;
+    }
+    return {
+      subscriptionId: subscription.id,
+      simId: result.simId ?? subscription.sim?.id ?? null,
+      subscriptionStatus: subscription.status ?? null,
+      simStatus: subscription.sim?.status ?? null,
+      rule: result.ruleName,
+      action: result.action,
+      confidence: result.confidence,
+      reasoning: result.reasoning,
+      remediation: null
+    };
+  }
+
+  /**
+   * Fix one finding through the diagnosis pipeline, or plan it on a dry run
+   * @private
+   */
+  async _remediate(finding, { dryRun, principal }) {
+    if (dryRun) {
+      finding.remediation = { status: 'planned', action: finding.action };
+      return;
+    }
+
+    try {
+      const { status, body } = await diagnosisService.diagnose({
+        subscriptionId: finding.subscriptionId,
+        userIssue: '',
+        principal,
+        source: 'fleet_scan',
+        rulesOnly: true
+      });
+
+      if (status >= 400 || body.method === 'degraded') {
+        finding.remediation = { status: 'failed', caseId: body.caseId ?? null, error: body.error || body.reasoning };
+      } else if (body.rule !== finding.rule) {
+        // The subscription changed between the list page and the fix
+        finding.remediation = { status: 'skipped', caseId: body.caseId, reason: `now matches ${body.rule || 'no rule'}` };
+      } else if (body.action === 'escalate') {
+        finding.remediation = { status: 'escalated', caseId: body.caseId, action: body.action, escalation: body.escalation ?? null };
+      } else {
+        finding.remediation = { status: 'applied', caseId: body.caseId, action: body.action };
+      }
+    } catch (error) {
+      logger.error('Fleet scan fix failed', { subscriptionId: finding.subscriptionId, error });
+      finding.remediation = { status: 'failed', error: error.message };
+    }
+  }
+}
+
+module.exports = new FleetScanner();
@@ -0,0 +1,147 @@
+/**
+ * In-process job queue for asynchronous diagnoses
+ * Runs at most JOB_CONCURRENCY jobs at a time; finished jobs are kept for
+ * JOB_RETENTION_MINUTES so callers can poll their result.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { deliverWebhook } = require('./webhook');
+const { envNumber } = require('../utils/env');
+const { runWithContext, currentContext } = require('../observability/context');
+const { tracer } = require('../observability/tracing');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger('jobs');
+
+class JobQueue {
+  /**
+   * @param {object} options - { concurrency, retentionMs }
+   */
+  constructor({
+    concurrency = envNumber('JOB_CONCURRENCY', 4),
+    retentionMs = envNumber('JOB_RETENTION_MINUTES', 60) * 60 * 1000
+  } = {}) {
+    this.concurrency = concurrency;
+    this.retentionMs = retentionMs;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue work to run in the background
+   * @param {string} type - Job type, e.g. 'diagnosis'
+   * @param {Function} work - async () => result
+   * @param {object} options - { input: object, webhookUrl: string }
+   * @returns {object} Public view of the queued job
+   */
+  enqueue(type, work, { input = null, webhookUrl = null } = {}) {
+    this._prune();
+
+    const job = {
+      id: `job_${crypto.randomBytes(10).toString('hex')}`,
+      type,
+      status: 'queued',
+      input,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      result: null,
+      error: null,
+      webhook: webhookUrl ? { url: webhookUrl, delivered: false } : null
+    };
+
+    // Keep the enqueuing request's ID and trace so the job's logs and spans join it
+    this.jobs.set(job.id, { job, work, context: currentContext() });
+    this.pending.push(job.id);
+    this._drain();
+    return this.describe(job.id);
+  }
+
+  /**
+   * Public view of a job
+   * @param {string} jobId - Job ID
+   * @returns {object|null}
+   */
+  describe(jobId) {
+    const entry = this.jobs.get(jobId);
+    if (!entry) {
+      return null;
+    }
+    return {
+      ...entry.job,
+      queuePosition: entry.job.status === 'queued' ? this.pending.indexOf(jobId) + 1 : null
+    };
+  }
+
+  /**
+   * Start queued jobs while there is capacity
+   * @private
+   */
+  _drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const jobId = this.pending.shift();
+      this.running++;
+      this._run(this.jobs.get(jobId)).finally(() => {
+        this.running--;
+        this._drain();
+      });
+    }
+  }
+
+  /**
+   * Run one job and deliver its webhook
+   * @private
+   */
+  _run({ job, work, context }) {
+    return runWithContext({ ...context }, () => this._execute(job, work));
+  }
+
+  /**
+   * @private
+   */
+  async _execute(job, work) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    logger.info('Job started', { jobId: job.id, type: job.type });
+
+    try {
+      job.result = await tracer.withSpan(`job.${job.type}`, { 'job.id': job.id }, () => work());
+      job.status = 'completed';
+    } catch (error) {
+      logger.error('Job failed', { jobId: job.id, error });
+      job.error = { message: error.message, ...(error.details ? { details: error.details } : {}) };
+      job.status = 'failed';
+    }
+    job.completedAt = new Date().toISOString();
+    logger.info('Job finished', { jobId: job.id, status: job.status });
+
+    if (job.webhook) {
+      const delivery = await deliverWebhook(job.webhook.url, {
+        event: `${job.type}.${job.status}`,
+        jobId: job.id,
+        status: job.status,
+        result: job.result,
+        error: job.error,
+        completedAt: job.completedAt
+      });
+      Object.assign(job.webhook, delivery);
+    }
+  }
+
+  /**
+   * Forget finished jobs past the retention window
+   * @private
+   */
+  _prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [jobId, { job }] of this.jobs) {
+      if (job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+}
+
+module.exports = new JobQueue();
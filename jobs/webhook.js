@@ -0,0 +1,227 @@
+/**
+ * Signed webhook delivery
+ * Payloads are signed with HMAC-SHA256 over "<timestamp>.<body>" using
+ * WEBHOOK_SECRET, sent as:
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex digest>
+ * Receivers should recompute the digest and reject stale timestamps.
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { envNumber } = require('../utils/env');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger('webhook');
+
+/**
+ * Sign a serialized payload
+ * @param {string} body - JSON string being sent
+ * @param {number} timestamp - Unix seconds
+ * @param {string} secret - Shared secret
+ * @returns {string} "sha256=<hex>"
+ */
+function sign(body, timestamp, secret) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a caller-supplied webhook or callback URL
+ * It must be an absolute http(s) URL. With WEBHOOK_ALLOWED_HOSTS set (comma-separated,
+ * "*.example.com" allows subdomains) only those hosts pass; otherwise loopback, private,
+ * link-local and other internal addresses are refused, so callers cannot make the
+ * server POST into its own network.
+ * @param {string} url - Candidate URL
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {string|null} Why the URL is refused, or null if it is acceptable
+ */
+function validateWebhookUrl(url, env = process.env) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    return 'must be an absolute http(s) URL';
+  }
+
+  const hostname = hostOf(parsed);
+  const allowedHosts = parseAllowedHosts(env);
+  if (allowedHosts.length > 0) {
+    return isAllowedHost(hostname, allowedHosts) ? null : 'host is not in WEBHOOK_ALLOWED_HOSTS';
+  }
+  if (isInternalHostname(hostname) || (net.isIP(hostname) && isPrivateAddress(hostname))) {
+    return 'must not point to a loopback, private or link-local address';
+  }
+  return null;
+}
+
+/**
+ * POST a signed payload, retrying failed deliveries with backoff
+ * Caller-supplied URLs are checked again before every attempt, after DNS
+ * resolution, and the request connects to the address that was checked, so a
+ * name that resolves (or is rebound) to an internal address is refused as well.
+ * Redirects are not followed: a 3xx answer fails the delivery.
+ * @param {string} url - Receiver URL
+ * @param {object} payload - JSON payload
+ * @param {object} options - { trusted } - trusted skips the target check, for URLs the operator configured
+ * @returns {Promise<{delivered: boolean, attempts: number, status?: number, error?: string}>}
+ */
+async function deliverWebhook(url, payload, { trusted = false } = {}) {
+  const secret = process.env.WEBHOOK_SECRET;
+  const maxAttempts = envNumber('WEBHOOK_MAX_ATTEMPTS', 3);
+  const body = JSON.stringify(payload);
+  let lastError = null;
+
+  const refusal = trusted ? null : validateWebhookUrl(url);
+  if (refusal) {
+    logger.warn('Webhook target refused', { url, reason: refusal });
+    return { delivered: false, attempts: 0, error: `Webhook URL ${refusal}` };
+  }
+
+  if (!secret) {
+    logger.warn('WEBHOOK_SECRET is not set - sending unsigned webhook', { url });
+  }
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = { 'Content-Type': 'application/json', 'X-Webhook-Timestamp': String(timestamp) };
+    if (secret) {
+      headers['X-Webhook-Signature'] = sign(body, timestamp, secret);
+    }
+
+    try {
+      const agents = trusted ? {} : await pinnedAgents(url);
+      const response = await axios.post(url, body, {
+        headers,
+        timeout: envNumber('WEBHOOK_TIMEOUT_MS', 10000),
+        maxRedirects: 0,
+        ...agents
+      });
+      return { delivered: true, attempts: attempt, status: response.status };
+    } catch (error) {
+      const status = error.response?.status;
+      if (error.refused || (status >= 300 && status < 400)) {
+        // Neither gets better on a retry
+        const reason = error.refused ? `Webhook URL ${error.message}` : `HTTP ${status} - redirects are not followed`;
+        logger.warn('Webhook target refused', { url, attempt, reason });
+        return { delivered: false, attempts: attempt, error: reason };
+      }
+      lastError = status ? `HTTP ${status}` : error.message;
+      logger.warn('Webhook delivery failed', { url, attempt, maxAttempts, error: lastError });
+      if (attempt < maxAttempts) {
+        await new Promise(resolve => setTimeout(resolve, envNumber('WEBHOOK_RETRY_BASE_MS', 500) * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  return { delivered: false, attempts: maxAttempts, error: lastError };
+}
+
+/**
+ * Resolve the URL's host, refuse internal addresses and pin the connection to
+ * the address that was checked, so a second lookup cannot be rebound
+ * Allow-listed hosts and IP literals need no lookup and use the default agents.
+ * @private
+ * @returns {Promise<object>} axios agent options
+ * @throws {Error} error.refused is set when the host resolves to an internal address
+ */
+async function pinnedAgents(url) {
+  const parsed = new URL(url);
+  const hostname = hostOf(parsed);
+  if (parseAllowedHosts(process.env).length > 0 || net.isIP(hostname)) {
+    return {};
+  }
+
+  const addresses = await dns.lookup(hostname, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    const error = new Error('must not resolve to a loopback, private or link-local address');
+    error.refused = true;
+    throw error;
+  }
+
+  const [{ address, family }] = addresses;
+  const lookup = (name, options, callback) => (options.all
+    ? callback(null, [{ address, family }])
+    : callback(null, address, family));
+  return parsed.protocol === 'https:'
+    ? { httpsAgent: new https.Agent({ lookup }) }
+    : { httpAgent: new http.Agent({ lookup }) };
+}
+
+/**
+ * Hostname without IPv6 brackets or a trailing dot
+ * @private
+ */
+function hostOf(parsed) {
+  return parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+}
+
+/**
+ * @private
+ */
+function parseAllowedHosts(env) {
+  return (env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * @private
+ */
+function isAllowedHost(hostname, allowedHosts) {
+  return allowedHosts.some(host => (host.startsWith('*.') ? hostname.endsWith(host.slice(1)) : hostname === host));
+}
+
+/**
+ * Names that only ever point inside the network
+ * @private
+ */
+function isInternalHostname(hostname) {
+  return ['localhost', 'localhost.localdomain'].includes(hostname) ||
+    /\.(localhost|local|internal)$/.test(hostname);
+}
+
+/**
+ * Loopback, private, link-local, carrier-grade NAT, unspecified, multicast and reserved addresses
+ * @private
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+
+  const normalized = address.toLowerCase();
+  const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+  if (/^::ffff:[0-9a-f]{1,4}:[0-9a-f]{1,4}$/.test(normalized)) {
+    // IPv4-mapped address in hex form, e.g. ::ffff:7f00:1
+    const [high, low] = normalized.slice(7).split(':').map(part => parseInt(part, 16));
+    return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+  return normalized === '::' || normalized === '::1' ||
+    /^f[cd]/.test(normalized) || // unique local fc00::/7
+    /^fe[89ab]/.test(normalized) || // link-local fe80::/10
+    /^ff/.test(normalized); // multicast
+}
+
+module.exports = {
+  sign,
+  validateWebhookUrl,
+  deliverWebhook
+};
@@ -0,0 +1,65 @@
+/**
+ * LLM provider configuration
+ * Everything is read from environment variables so the provider can be
+ * switched per deployment without code changes
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { envNumber } = require('../utils/env');
+
+const PROVIDER_NAMES = ['gemini', 'anthropic', 'stub'];
+
+/**
+ * Build the LLM configuration
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {object} { provider, fallbacks, providers: { [name]: settings }, redaction: { blockUnlisted, allowedFields } }
+ */
+function loadLLMConfig(env = process.env) {
+  const provider = (env.LLM_PROVIDER || 'gemini').trim();
+  const fallbacks = (env.LLM_FALLBACK_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name && name !== provider);
+
+  for (const name of [provider, ...fallbacks]) {
+    if (!PROVIDER_NAMES.includes(name)) {
+      throw new Error(`Unknown LLM provider '${name}' - expected one of ${PROVIDER_NAMES.join(', ')}`);
+    }
+  }
+
+  return {
+    provider,
+    fallbacks,
+    // Prompt redaction (see llm/redaction.js); allowedFields extend its default allow-list
+    redaction: {
+      blockUnlisted: env.LLM_REDACTION_BLOCK_UNLISTED === 'true',
+      allowedFields: (env.LLM_REDACTION_ALLOWED_FIELDS || '').split(',').map(field => field.trim()).filter(Boolean)
+    },
+    providers: {
+      gemini: {
+        apiKey: env.GOOGLE_API_KEY,
+        model: env.GEMINI_MODEL || 'gemini-2.5-flash',
+        timeoutMs: envNumber('GEMINI_TIMEOUT_MS', 20000, env),
+        temperature: envNumber('GEMINI_TEMPERATURE', 0.2, env)
+      },
+      anthropic: {
+        apiKey: env.ANTHROPIC_API_KEY,
+        model: env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+        timeoutMs: envNumber('ANTHROPIC_TIMEOUT_MS', 20000, env),
+        temperature: envNumber('ANTHROPIC_TEMPERATURE', 0.2, env),
+        maxTokens: envNumber('ANTHROPIC_MAX_TOKENS', 1024, env)
+      },
+      stub: {
+        model: 'stub',
+        fixturesPath: env.LLM_STUB_FIXTURES || path.join(__dirname, 'fixtures', 'stub.json'),
+        timeoutMs: envNumber('STUB_TIMEOUT_MS', 1000, env)
+      }
+    }
+  };
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  loadLLMConfig
+};
@@ -0,0 +1,130 @@
+/**
+ * Schema for the diagnosis object the LLM must return
+ */
+
+// Actions the LLM may recommend; anything else is coerced to 'escalate'
+const LLM_ACTIONS = ['reprovision', 'escalate', 'route_to_payment', 'route_to_settings_guide', 'wait'];
+
+// Only allowed in multi-turn sessions that still have clarifying turns left
+const CLARIFY_ACTION = 'clarify';
+
+const FALLBACK_USER_MESSAGE = 'We could not fully diagnose your issue automatically. A support agent will review your case.';
+
+/**
+ * Extract and parse the JSON object from a model response
+ * @param {string} responseText - Raw model output
+ * @returns {{value: object|null, errors: string[]}}
+ */
+function parseDiagnosis(responseText) {
+  const jsonMatch = String(responseText || '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return { value: null, errors: ['response does not contain a JSON object'] };
+  }
+
+  try {
+    return { value: JSON.parse(jsonMatch[0]), errors: [] };
+  } catch (error) {
+    return { value: null, errors: [`response JSON is malformed: ${error.message}`] };
+  }
+}
+
+/**
+ * Actions allowed for a request
+ * @param {object} options - { allowClarify: boolean }
+ * @returns {string[]}
+ */
+function allowedActions({ allowClarify = false } = {}) {
+  return allowClarify ? [...LLM_ACTIONS, CLARIFY_ACTION] : LLM_ACTIONS;
+}
+
+/**
+ * Validate a parsed diagnosis
+ * @param {object} diagnosis - Parsed model output
+ * @param {object} options - { allowClarify: boolean }
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+function validateDiagnosis(diagnosis, options = {}) {
+  if (!diagnosis || typeof diagnosis !== 'object' || Array.isArray(diagnosis)) {
+    return ['diagnosis must be a JSON object'];
+  }
+
+  const errors = [];
+
+  if (typeof diagnosis.diagnosis !== 'string' || diagnosis.diagnosis.trim() === '') {
+    errors.push('"diagnosis" must be a non-empty string');
+  }
+  const actions = allowedActions(options);
+  if (!actions.includes(diagnosis.recommendedAction)) {
+    errors.push(`"recommendedAction" must be one of ${actions.join(', ')} (got ${JSON.stringify(diagnosis.recommendedAction)})`);
+  }
+  if (diagnosis.recommendedAction === CLARIFY_ACTION &&
+    (typeof diagnosis.clarifyingQuestion !== 'string' || diagnosis.clarifyingQuestion.trim() === '')) {
+    errors.push('"clarifyingQuestion" must be a non-empty string when recommendedAction is "clarify"');
+  }
+  if (typeof diagnosis.confidence !== 'number' || Number.isNaN(diagnosis.confidence) ||
+    diagnosis.confidence < 0 || diagnosis.confidence > 100) {
+    errors.push(`"confidence" must be a number from 0 to 100 (got ${JSON.stringify(diagnosis.confidence)})`);
+  }
+  if (typeof diagnosis.reasoning !== 'string' || diagnosis.reasoning.trim() === '') {
+    errors.push('"reasoning" must be a non-empty string');
+  }
+  if (typeof diagnosis.userMessage !== 'string' || diagnosis.userMessage.trim() === '') {
+    errors.push('"userMessage" must be a non-empty string');
+  }
+
+  return errors;
+}
+
+/**
+ * Force a diagnosis that is still invalid after repair into a safe shape.
+ * An unknown action, unusable confidence or missing userMessage always ends in
+ * escalation, so the fallback message's promise of an agent review holds.
+ * A clarify answer keeps its action: the customer sees its question instead.
+ * @param {object} diagnosis - Parsed model output
+ * @param {object} options - { allowClarify: boolean }
+ * @returns {{diagnosis: object, coercions: string[]}}
+ */
+function coerceDiagnosis(diagnosis, options = {}) {
+  const coerced = { ...diagnosis };
+  const coercions = [];
+
+  const questionMissing = coerced.recommendedAction === CLARIFY_ACTION &&
+    (typeof coerced.clarifyingQuestion !== 'string' || coerced.clarifyingQuestion.trim() === '');
+  if (!allowedActions(options).includes(coerced.recommendedAction) || questionMissing) {
+    coercions.push(`recommendedAction ${JSON.stringify(coerced.recommendedAction)} -> "escalate"`);
+    coerced.recommendedAction = 'escalate';
+  }
+  if (typeof coerced.confidence !== 'number' || Number.isNaN(coerced.confidence) ||
+    coerced.confidence < 0 || coerced.confidence > 100) {
+    coercions.push(`confidence ${JSON.stringify(coerced.confidence)} -> 0`);
+    coerced.confidence = 0;
+    coerced.recommendedAction = 'escalate';
+  }
+  if (typeof coerced.diagnosis !== 'string' || coerced.diagnosis.trim() === '') {
+    coercions.push('diagnosis missing -> placeholder');
+    coerced.diagnosis = 'Unspecified issue';
+  }
+  if (typeof coerced.reasoning !== 'string' || coerced.reasoning.trim() === '') {
+    coercions.push('reasoning missing -> placeholder');
+    coerced.reasoning = 'Model did not provide reasoning';
+  }
+  if (typeof coerced.userMessage !== 'string' || coerced.userMessage.trim() === '') {
+    coercions.push('userMessage missing -> fallback message');
+    coerced.userMessage = FALLBACK_USER_MESSAGE;
+    if (coerced.recommendedAction !== CLARIFY_ACTION && coerced.recommendedAction !== 'escalate') {
+      coercions.push(`recommendedAction ${JSON.stringify(coerced.recommendedAction)} -> "escalate"`);
+      coerced.recommendedAction = 'escalate';
+    }
+  }
+
+  return { diagnosis: coerced, coercions };
+}
+
+module.exports = {
+  LLM_ACTIONS,
+  CLARIFY_ACTION,
+  allowedActions,
+  parseDiagnosis,
+  validateDiagnosis,
+  coerceDiagnosis
+};
@@ -1,71 +1,227 @@
 require('dotenv').config();
-const Anthropic = require('@anthropic-ai/sdk');
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { loadLLMConfig } = require('./config');
+const { Redactor } = require('./redaction');
+const { createProvider } = require('./providers');
+const { allowedActions, parseDiagnosis, validateDiagnosis, coerceDiagnosis } = require('./diagnosisSchema');
+const { DEFAULT_LOCALE, languageName } = require('../i18n/locales');
+const { profileDevice } = require('../devices/deviceCatalog');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger('llm');
 
 class LLMHandler {
-  constructor() {
-    this.genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+  constructor(config = loadLLMConfig()) {
+    this.configure(config);
+  }
+
+  /**
+   * (Re)build the provider chain: the primary provider followed by its fallbacks
+   * @param {object} config - Output of loadLLMConfig()
+   */
+  configure(config) {
+    this.config = config;
+    this.providers = [config.provider, ...config.fallbacks].map(name =>
+      createProvider(name, config.providers[name])
+    );
+  }
+
+  /**
+   * Readiness probe over the provider chain
+   * The LLM is usable while any provider in the chain is; the details list
+   * every provider so a dead primary is visible even when a fallback covers it
+   * @returns {Promise<object>} { providers: [{ name, model, status, error? }] }
+   * @throws {Error} If every provider fails its probe (error.details lists why)
+   */
+  async probe() {
+    const providers = await Promise.all(this.providers.map(async provider => {
+      try {
+        await provider.probe();
+        return { name: provider.name, model: provider.model, status: 'up' };
+      } catch (error) {
+        return { name: provider.name, model: provider.model, status: 'down', error: error.message };
+      }
+    }));
+
+    if (!providers.some(provider => provider.status === 'up')) {
+      const error = new Error(`No LLM provider is available (${providers.map(provider => `${provider.name}: ${provider.error}`).join('; ')})`);
+      error.details = { providers };
+      throw error;
+    }
+    return { providers };
   }
 
   /**
    * Use LLM to interpret ambiguous eSIM issues when rule engine doesn't match
+   * Providers are tried in order; an error from one moves on to the next.
+   * Personal data is redacted from the prompt (see llm/redaction.js) and
+   * restored in the customer-facing text of the diagnosis
    * @param {object} subscriptionData - Gigs API data
    * @param {string} userIssue - User's description of the problem
-   * @returns {Promise<object>} LLM diagnosis with action recommendation
+   * @param {object} options - { locale, device } plus, for multi-turn sessions, { conversation: [{role, text}], allowClarify: boolean }
+   * @returns {Promise<object>} LLM diagnosis with action recommendation, plus the redaction log
    */
-  async diagnose(subscriptionData, userIssue) {
-    const prompt = this._buildPrompt(subscriptionData, userIssue);
-
-    try {
-      const model = this.genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const responseText = response.text();
-
-      // Parse JSON response from Gemini
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('LLM did not return valid JSON');
+  async diagnose(subscriptionData, userIssue, options = {}) {
+    const redactor = new Redactor(this.config.redaction);
+    const prompt = this._buildPrompt(subscriptionData, userIssue, options, redactor);
+    const redaction = redactor.report();
+    if (redaction.masked > 0 || redaction.blocked > 0) {
+      logger.info('Prompt redacted', { masked: redaction.masked, blocked: redaction.blocked, kinds: redaction.kinds });
+    }
+    const attempts = [];
+
+    for (const provider of this.providers) {
+      try {
+        const { diagnosis, validation, responseText } = await this._completeValidated(provider, prompt, options);
+        attempts.push({ provider: provider.name, model: provider.model, success: true, repairRequested: !validation.valid });
+
+        return {
+          success: true,
+          diagnosis: restoreDiagnosis(diagnosis, redactor),
+          validation: validation,
+          provider: { name: provider.name, model: provider.model },
+          attempts: attempts,
+          apiCalls: this._describeAttempts(attempts),
+          redaction: redaction,
+          rawResponse: responseText
+        };
+
+      } catch (error) {
+        logger.error('LLM provider failed', { provider: provider.name, model: provider.model, error: error.message });
+        attempts.push({
+          provider: provider.name,
+          model: provider.model,
+          success: false,
+          error: error.message,
+          ...(error.validation ? { repairRequested: true, validation: error.validation } : {})
+        });
+      }
+    }
+
+    const lastError = attempts[attempts.length - 1].error;
+
+    // Fallback response if every provider fails
+    return {
+      success: false,
+      error: lastError,
+      provider: null,
+      attempts: attempts,
+      apiCalls: this._describeAttempts(attempts),
+      redaction: redaction,
+      diagnosis: {
+        diagnosis: 'Unable to diagnose automatically',
+        recommendedAction: 'escalate',
+        confidence: 0,
+        reasoning: `LLM error: ${attempts.map(a => `${a.provider}: ${a.error}`).join('; ')}`
+      }
+    };
+  }
+
+  /**
+   * Get a schema-valid diagnosis from one provider. An invalid first answer
+   * gets exactly one repair re-prompt quoting the validation errors; if the
+   * repaired answer is still invalid it is coerced into a safe shape
+   * (unknown actions become 'escalate').
+   * @private
+   * @throws {Error} If the provider fails or never returns a JSON object
+   */
+  async _completeValidated(provider, prompt, options = {}) {
+    const validation = { valid: true, repaired: false, failures: [], coercions: [] };
+
+    let responseText = await provider.complete(prompt);
+    let { value, errors } = parseDiagnosis(responseText);
+    if (value) {
+      errors = validateDiagnosis(value, options);
+    }
+
+    if (errors.length > 0) {
+      logger.warn('LLM returned an invalid diagnosis - requesting repair', { provider: provider.name, errors });
+      validation.valid = false;
+      validation.failures.push({ attempt: 'initial', errors });
+
+      responseText = await provider.complete(this._buildRepairPrompt(prompt, responseText, errors));
+      ({ value, errors } = parseDiagnosis(responseText));
+      if (value) {
+        errors = validateDiagnosis(value, options);
+      }
+      validation.repaired = errors.length === 0;
+
+      if (errors.length > 0) {
+        validation.failures.push({ attempt: 'repair', errors });
       }
+    }
 
-      const diagnosis = JSON.parse(jsonMatch[0]);
-
-      return {
-        success: true,
-        diagnosis: diagnosis,
-        rawResponse: responseText
-      };
-
-    } catch (error) {
-      console.error('LLM Error:', error.message);
-
-      // Fallback response if LLM fails
-      return {
-        success: false,
-        error: error.message,
-        diagnosis: {
-          diagnosis: 'Unable to diagnose automatically',
-          recommendedAction: 'escalate',
-          confidence: 0,
-          reasoning: `LLM error: ${error.message}`
-        }
-      };
+    if (!value) {
+      const error = new Error('LLM did not return valid JSON');
+      error.validation = validation;
+      throw error;
     }
+
+    let diagnosis = value;
+    if (errors.length > 0) {
+      ({ diagnosis, coercions: validation.coercions } = coerceDiagnosis(value, options));
+    }
+
+    return { diagnosis, validation, responseText };
+  }
+
+  /**
+   * Build the one-shot repair prompt sent after an invalid response
+   * @private
+   */
+  _buildRepairPrompt(originalPrompt, responseText, errors) {
+    return `${originalPrompt}
+
+**Your previous response was rejected:**
+${responseText}
+
+**Validation errors:**
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with ONLY the corrected JSON object in the exact format above.`;
   }
 
   /**
-   * Build the prompt for Gemini
+   * Describe the upstream calls made for a diagnosis, for the response's apiCalls
    * @private
    */
-  _buildPrompt(subscriptionData, userIssue) {
+  _describeAttempts(attempts) {
+    return attempts.map(attempt => {
+      const provider = this.providers.find(p => p.name === attempt.provider);
+      const call = attempt.repairRequested ? `${provider.describeCall()} + repair re-prompt` : provider.describeCall();
+      return attempt.success ? call : `${call} - failed`;
+    });
+  }
+
+  /**
+   * Build the diagnosis prompt (shared by all providers)
+   * The subscription is redacted before the customer's text so names and
+   * emails from its fields are also masked where the customer repeats them;
+   * evaluation/replay.js relies on this order
+   * @private
+   */
+  _buildPrompt(subscriptionData, userIssue, { conversation = [], allowClarify = false, locale = DEFAULT_LOCALE, device = null } = {}, redactor = new Redactor(this.config.redaction)) {
+    const subscription = redactor.redactObject(subscriptionData);
+    const issue = redactor.redactText(userIssue, 'userIssue');
+    const turns = conversation.map((turn, index) => ({ ...turn, text: redactor.redactText(turn.text, `conversation.${index}`) }));
+    const customerFields = allowClarify ? '"userMessage" and "clarifyingQuestion"' : '"userMessage"';
+    const deviceSection = device ? describeDevice(profileDevice(device)) : '';
+    const history = conversation.length === 0 ? '' : `
+**Conversation so far:**
+${turns.map(turn => `${turn.role === 'user' ? 'Customer' : 'Assistant'}: ${turn.text}`).join('\n')}
+`;
+    const clarifyContext = allowClarify ? `
+- If one short answer from the customer would let you diagnose with confidence (e.g. phone model, whether they scanned the QR code), use "clarify" and put that single question in "clarifyingQuestion" instead of escalating` : '';
+    const clarifyField = allowClarify ? `,
+  "clarifyingQuestion": "one question for the customer (only when recommendedAction is clarify)"` : '';
+
     return `You are a diagnostic assistant for Gigs mobile eSIM service. Your job is to diagnose eSIM activation issues when the rule engine cannot determine the problem.
 
 **User's Issue:**
-"${userIssue}"
-
+"${issue}"
+${history}
 **Current API State:**
-${JSON.stringify(subscriptionData, null, 2)}
-
+${JSON.stringify(subscription, null, 2)}
+${deviceSection}
 **Your Task:**
 Analyze the user's description and API state to determine:
 1. The most likely root cause
@@ -76,17 +232,53 @@ Analyze the user's description and API state to determine:
 - eSIM activation normally takes 10-15 minutes
 - Common issues: provisioning timeout, billing holds, device configuration, carrier sync errors
 - If the API shows unknown error codes, interpret them based on the error message
-- If confidence is below 80%, recommend escalation to human support
+- If confidence is below 80%, recommend escalation to human support${clarifyContext}
+- The customer's language is ${languageName(locale)}: write ${customerFields} in ${languageName(locale)}, and keep "diagnosis" and "reasoning" in English for the support team
+- Personal data has been replaced with placeholders such as [NAME_1] or [PHONE_1]; copy a placeholder unchanged if you need to refer to that value
 
 **Respond ONLY with valid JSON in this exact format:**
 {
   "diagnosis": "brief description of the likely issue",
-  "recommendedAction": "reprovision" | "escalate" | "route_to_payment" | "route_to_settings_guide" | "wait",
+  "recommendedAction": ${allowedActions({ allowClarify }).map(action => `"${action}"`).join(' | ')},
   "confidence": 0-100,
   "reasoning": "explanation of why you reached this conclusion",
-  "userMessage": "friendly message to send to the user explaining next steps"
+  "userMessage": "friendly message to send to the user explaining next steps"${clarifyField}
 }`;
   }
 }
 
+/**
+ * Put redacted values back into the fields shown to the customer
+ * (diagnosis and reasoning stay tokenized: they go to the support team and case store)
+ * @private
+ */
+function restoreDiagnosis(diagnosis, redactor) {
+  const restored = { ...diagnosis, userMessage: redactor.restore(diagnosis.userMessage) };
+  if (diagnosis.clarifyingQuestion !== undefined) {
+    restored.clarifyingQuestion = redactor.restore(diagnosis.clarifyingQuestion);
+  }
+  return restored;
+}
+
+/**
+ * Prompt section describing the customer's device
+ * @private
+ */
+function describeDevice(profile) {
+  const facts = [
+    ['Phone', [profile.manufacturer, profile.model].filter(Boolean).join(' ')],
+    ['Operating system', [profile.osName, profile.osVersion].filter(Boolean).join(' ')],
+    ['Supports eSIM', profile.esimCapable === null ? null : (profile.esimCapable ? 'yes' : 'no')],
+    ['Carrier-locked', profile.carrierLocked === null ? null : (profile.carrierLocked ? 'yes' : 'no')],
+    ['Known issue', profile.knownIssue && `${profile.knownIssueSummary} (fixed in ${profile.osName} ${profile.fixedInVersion})`]
+  ].filter(([, value]) => value);
+
+  return `
+**Customer Device:**
+${facts.map(([label, value]) => `- ${label}: ${value}`).join('\n')}
+`;
+}
+
 module.exports = new LLMHandler();
+// The class, for tools that need their own provider chain (see evaluation/replay.js)
+module.exports.LLMHandler = LLMHandler;
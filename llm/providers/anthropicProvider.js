@@ -0,0 +1,56 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const LLMProvider = require('./provider');
+
+class AnthropicProvider extends LLMProvider {
+  constructor(settings) {
+    super('anthropic', settings);
+    this.client = null;
+  }
+
+  describeCall() {
+    return `POST /v1/messages ${this.model} (Anthropic API)`;
+  }
+
+  async probe() {
+    // Looking the model up checks the key and model without a billed completion
+    // (this SDK version has no models resource, so the request is made directly)
+    await this._client().get(`/v1/models/${encodeURIComponent(this.model)}`);
+  }
+
+  async _generate(prompt) {
+    const message = await this._client().messages.create({
+      model: this.model,
+      max_tokens: this.settings.maxTokens,
+      temperature: this.settings.temperature,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    return {
+      text: message.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      usage: {
+        inputTokens: message.usage?.input_tokens || 0,
+        outputTokens: message.usage?.output_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  _client() {
+    if (!this.settings.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is not set');
+    }
+    this.client = this.client || new Anthropic({
+      apiKey: this.settings.apiKey,
+      timeout: this.settings.timeoutMs,
+      maxRetries: 0
+    });
+    return this.client;
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,50 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const LLMProvider = require('./provider');
+
+class GeminiProvider extends LLMProvider {
+  constructor(settings) {
+    super('gemini', settings);
+    this.genAI = null;
+  }
+
+  describeCall() {
+    return `POST /models/${this.model}:generateContent (Gemini API)`;
+  }
+
+  async probe() {
+    if (!this.settings.apiKey) {
+      throw new Error('GOOGLE_API_KEY is not set');
+    }
+    this.genAI = this.genAI || new GoogleGenerativeAI(this.settings.apiKey);
+
+    // Counting tokens validates the key and model without paying for a generation
+    const model = this.genAI.getGenerativeModel({ model: this.model }, { timeout: this.settings.timeoutMs });
+    await model.countTokens('ping');
+  }
+
+  async _generate(prompt) {
+    if (!this.settings.apiKey) {
+      throw new Error('GOOGLE_API_KEY is not set');
+    }
+    this.genAI = this.genAI || new GoogleGenerativeAI(this.settings.apiKey);
+
+    const model = this.genAI.getGenerativeModel(
+      {
+        model: this.model,
+        generationConfig: { temperature: this.settings.temperature }
+      },
+      { timeout: this.settings.timeoutMs }
+    );
+    const result = await model.generateContent(prompt);
+    const response = await result.response;
+    return {
+      text: response.text(),
+      usage: {
+        inputTokens: response.usageMetadata?.promptTokenCount || 0,
+        outputTokens: response.usageMetadata?.candidatesTokenCount || 0
+      }
+    };
+  }
+}
+
+module.exports = GeminiProvider;
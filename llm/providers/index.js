@@ -0,0 +1,25 @@
+const GeminiProvider = require('./geminiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const StubProvider = require('./stubProvider');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  anthropic: AnthropicProvider,
+  stub: StubProvider
+};
+
+/**
+ * Instantiate a provider by name
+ * @param {string} name - gemini | anthropic | stub
+ * @param {object} settings - Provider settings from llm/config.js
+ * @returns {LLMProvider}
+ */
+function createProvider(name, settings) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider '${name}'`);
+  }
+  return new Provider(settings);
+}
+
+module.exports = { createProvider };
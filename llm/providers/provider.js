@@ -0,0 +1,88 @@
+/**
+ * Base class for LLM providers
+ * Subclasses implement _generate(prompt) and describe the API call they make;
+ * the base class applies the configured timeout and records the call's span,
+ * outcome and token usage
+ */
+
+const { tracer } = require('../../observability/tracing');
+const metrics = require('../../observability/metrics');
+
+class LLMProvider {
+  /**
+   * @param {string} name - Provider name used in config and responses
+   * @param {object} settings - { model, timeoutMs, temperature, ... }
+   */
+  constructor(name, settings) {
+    this.name = name;
+    this.settings = settings;
+    this.model = settings.model;
+  }
+
+  /**
+   * Send a prompt and return the raw response text
+   * @param {string} prompt - Full prompt text
+   * @returns {Promise<string>} Model output
+   */
+  async complete(prompt) {
+    const labels = { provider: this.name, model: this.model };
+
+    return tracer.withSpan('llm.complete', { 'llm.provider': this.name, 'llm.model': this.model }, async span => {
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`${this.name} timed out after ${this.settings.timeoutMs}ms`)),
+          this.settings.timeoutMs
+        );
+      });
+
+      try {
+        const output = await Promise.race([this._generate(prompt), timeout]);
+        const { text, usage } = typeof output === 'string' ? { text: output, usage: null } : output;
+
+        metrics.llmRequests.inc({ ...labels, outcome: 'success' });
+        if (usage) {
+          metrics.llmTokens.inc({ ...labels, type: 'input' }, usage.inputTokens);
+          metrics.llmTokens.inc({ ...labels, type: 'output' }, usage.outputTokens);
+          span.setAttributes({ 'llm.input_tokens': usage.inputTokens, 'llm.output_tokens': usage.outputTokens });
+        }
+        return text;
+      } catch (error) {
+        metrics.llmRequests.inc({ ...labels, outcome: 'error' });
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+    });
+  }
+
+  /**
+   * Readiness probe: check that the provider is reachable and its credentials
+   * are accepted, as cheaply as the API allows
+   * @returns {Promise<void>} Resolves when the provider is usable
+   */
+  async probe() {
+    await this.complete('Reply with OK.');
+  }
+
+  /**
+   * Human-readable description of the upstream call, for apiCalls
+   * @returns {string}
+   */
+  describeCall() {
+    return `${this.name} (${this.model})`;
+  }
+
+  /**
+   * Provider-specific generation
+   * Returns the response text, or { text, usage: { inputTokens, outputTokens } }
+   * when the API reports token usage
+   * @abstract
+   * @protected
+   */
+  async _generate(prompt) {
+    throw new Error(`${this.name} provider does not implement _generate`);
+  }
+}
+
+module.exports = LLMProvider;
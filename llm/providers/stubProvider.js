@@ -0,0 +1,57 @@
+const fs = require('fs');
+const LLMProvider = require('./provider');
+
+/**
+ * Offline, deterministic provider for local development and tests.
+ * Responses come from a fixtures file: the first fixture whose keywords all
+ * appear in the prompt wins, otherwise the fixture file's default is used.
+ * A top-level "unavailable": "<reason>" makes every call and probe fail.
+ * settings.fixtures, when given, is used instead of the file (the replay
+ * harness passes recorded responses this way).
+ */
+class StubProvider extends LLMProvider {
+  constructor(settings) {
+    super('stub', settings);
+    this.fixtures = settings.fixtures || null;
+  }
+
+  describeCall() {
+    return 'stub LLM (local fixtures)';
+  }
+
+  async probe() {
+    // Re-read the fixtures so a test can simulate an outage by editing the file
+    this.fixtures = this.settings.fixtures || JSON.parse(fs.readFileSync(this.settings.fixturesPath, 'utf8'));
+    if (this.fixtures.unavailable) {
+      throw new Error(`stub is unavailable: ${this.fixtures.unavailable}`);
+    }
+  }
+
+  async _generate(prompt) {
+    this.fixtures = this.fixtures || JSON.parse(fs.readFileSync(this.settings.fixturesPath, 'utf8'));
+    if (this.fixtures.unavailable) {
+      throw new Error(`stub is unavailable: ${this.fixtures.unavailable}`);
+    }
+    const text = prompt.toLowerCase();
+
+    const fixture = (this.fixtures.responses || []).find(candidate =>
+      candidate.whenPromptContains.every(keyword => text.includes(keyword.toLowerCase()))
+    );
+    const response = fixture ? fixture.response : this.fixtures.default;
+
+    if (response === undefined) {
+      throw new Error('stub has no fixture for this prompt and no default');
+    }
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    const output = typeof response === 'string' ? response : JSON.stringify(response);
+    // Rough estimate (about four characters per token) so token metrics work offline
+    return {
+      text: output,
+      usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(output.length / 4) }
+    };
+  }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,255 @@
+/**
+ * PII redaction for LLM prompts
+ * Subscription data and customer messages go to a third-party model, so the
+ * prompt only carries what the diagnosis needs:
+ *   - subscription fields on the allow-list pass through; any other field keeps
+ *     its name but its value becomes a token, or is left out entirely when
+ *     blockUnlisted is set (LLM_REDACTION_BLOCK_UNLISTED=true)
+ *   - emails, phone numbers, ICCIDs, IMEIs and names in free text (and in
+ *     allowed string fields) become tokens such as [EMAIL_1]
+ * Within one prompt the same value always gets the same token, and restore()
+ * puts the originals back into customer-facing text the LLM returns. The
+ * redaction log lists what was masked, by kind and location, never the values.
+ */
+
+// Subscription fields the LLM may see; an entry also allows everything below it
+const DEFAULT_ALLOWED_FIELDS = [
+  'object',
+  'id',
+  'status',
+  'plan',
+  'createdAt',
+  'activatedAt',
+  'canceledAt',
+  'endedAt',
+  'currentPeriod',
+  'sim.object',
+  'sim.id',
+  'sim.type',
+  'sim.status',
+  'sim.createdAt',
+  'sim.activatedAt',
+  'sim.error'
+];
+
+// Token kind for a field that is not on the allow-list, by field name
+const FIELD_KINDS = [
+  [/e-?mail/i, 'EMAIL'],
+  [/phone|msisdn/i, 'PHONE'],
+  [/iccid/i, 'ICCID'],
+  [/imei/i, 'IMEI'],
+  [/name/i, 'NAME'],
+  [/address|street|city|postal|zip/i, 'ADDRESS'],
+  [/(^id|Id|_id)$/, 'ID']
+];
+
+// Patterns for personal data in free text, applied in this order
+const TEXT_PATTERNS = [
+  { kind: 'EMAIL', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  // ICCIDs start with the telecom prefix 89 and have 19-20 digits
+  { kind: 'ICCID', pattern: /\b89\d{17,18}F?\b/g },
+  { kind: 'IMEI', pattern: /\b\d{15}\b/g },
+  {
+    kind: 'PHONE',
+    pattern: /(?:\+|\b00|\b0)\d(?:[ ()/-]{0,2}\d){6,14}\b|\(?\b\d{3}\)?[ -]\d{3}[ -]\d{4}\b/g,
+    // Separators are allowed, so check the digit count of what matched
+    accept: match => match.replace(/\D/g, '').length >= 8
+  },
+  // A name introduced by the customer ("my name is ...") or signing off ("Thanks, ...")
+  {
+    kind: 'NAME',
+    pattern: /\b(?:[Mm]y name is|[Nn]ame:|I am|I'm|[Mm]ein Name ist|[Ii]ch heiße|[Jj]e m'appelle|[Mm]on nom est|[Mm]e llamo|[Mm]i nombre es|[Mm]i chiamo|[Tt]hanks,|[Rr]egards,|[Cc]heers,|[Gg]rüße,|[Dd]anke,|[Mm]erci,|[Gg]racias,|[Gg]razie,)\s+([A-ZÀ-Ý][a-zà-ÿ'-]+(?: [A-ZÀ-Ý][a-zà-ÿ'-]+)?)/g,
+    group: 1
+  }
+];
+
+const TOKEN_PATTERN = /\[([A-Z]+)_(\d+)\]/g;
+
+// Kinds whose values are also masked where they reappear in free text
+const PERSONAL_KINDS = ['EMAIL', 'PHONE', 'ICCID', 'IMEI', 'NAME', 'ADDRESS'];
+
+class Redactor {
+  /**
+   * @param {object} options - { allowedFields, blockUnlisted } - allowedFields are dotted
+   *   subscription paths added to DEFAULT_ALLOWED_FIELDS (array items share their array's path)
+   */
+  constructor({ allowedFields = [], blockUnlisted = false } = {}) {
+    this.allowedFields = [...DEFAULT_ALLOWED_FIELDS, ...allowedFields];
+    this.blockUnlisted = blockUnlisted;
+    this.tokens = new Map(); // token -> original value
+    this.values = new Map(); // original value -> token
+    this.counters = {};
+    this.entries = [];
+  }
+
+  /**
+   * Copy of a structured value with unlisted fields tokenized or removed
+   * and personal data in allowed strings masked
+   * @param {*} value - e.g. the Gigs subscription
+   * @param {string} source - Name for the redaction log
+   * @returns {*}
+   */
+  redactObject(value, source = 'subscription') {
+    return this._redactValue(value, '', source, true);
+  }
+
+  /**
+   * Mask personal data in free text
+   * @param {string} text - Customer message, conversation turn, ...
+   * @param {string} source - Name for the redaction log
+   * @returns {string}
+   */
+  redactText(text, source) {
+    if (typeof text !== 'string' || !text) {
+      return text;
+    }
+
+    // Values already seen in structured fields (e.g. the customer's name) are masked wherever they appear
+    let redacted = text;
+    for (const [value, token] of [...this.values].sort((a, b) => b[0].length - a[0].length)) {
+      if (!PERSONAL_KINDS.includes(tokenKind(token)) || value.length < 3) {
+        continue;
+      }
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(value)}(?![\\p{L}\\p{N}])`, 'gu');
+      if (pattern.test(redacted)) {
+        redacted = redacted.replace(pattern, token);
+        this._logEntry(tokenKind(token), source, 'masked', token);
+      }
+    }
+
+    for (const { kind, pattern, accept, group } of TEXT_PATTERNS) {
+      redacted = redacted.replace(pattern, (match, ...captures) => {
+        const value = group ? captures[group - 1] : match;
+        if (accept && !accept(value)) {
+          return match;
+        }
+        const token = this._tokenFor(value, kind);
+        this._logEntry(kind, source, 'masked', token);
+        return match.replace(value, token);
+      });
+    }
+    return redacted;
+  }
+
+  /**
+   * Put the original values back in place of this redactor's tokens
+   * @param {string} text - Text returned by the LLM
+   * @returns {string}
+   */
+  restore(text) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+    return text.replace(TOKEN_PATTERN, token => (this.tokens.has(token) ? this.tokens.get(token) : token));
+  }
+
+  /**
+   * What was redacted, without the values
+   * @returns {object} { blockUnlisted, masked, blocked, kinds: { [kind]: count }, entries: [{ kind, source, action, token? }] }
+   */
+  report() {
+    const kinds = {};
+    for (const entry of this.entries) {
+      kinds[entry.kind] = (kinds[entry.kind] || 0) + 1;
+    }
+    return {
+      blockUnlisted: this.blockUnlisted,
+      masked: this.entries.filter(entry => entry.action === 'masked').length,
+      blocked: this.entries.filter(entry => entry.action === 'blocked').length,
+      kinds,
+      entries: this.entries
+    };
+  }
+
+  /**
+   * @private
+   */
+  _redactValue(value, path, source, allowed) {
+    if (Array.isArray(value)) {
+      return value.map(item => this._redactValue(item, path, source, allowed));
+    }
+    if (value && typeof value === 'object') {
+      const copy = {};
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = path ? `${path}.${key}` : key;
+        const childAllowed = allowed && this._isAllowed(childPath);
+        if (!childAllowed && this.blockUnlisted) {
+          this._logEntry(fieldKind(key), `${source}.${childPath}`, 'blocked');
+          continue;
+        }
+        // An unlisted object is still walked so its fields are tokenized one by one
+        copy[key] = this._redactValue(child, childPath, source, childAllowed);
+      }
+      return copy;
+    }
+
+    const location = `${source}.${path}`;
+    if (allowed) {
+      return typeof value === 'string' ? this.redactText(value, location) : value;
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      // Booleans and nulls carry no personal data
+      return value;
+    }
+    const kind = fieldKind(path.split('.').pop());
+    const token = this._tokenFor(String(value), kind);
+    this._logEntry(kind, location, 'masked', token);
+    return token;
+  }
+
+  /**
+   * @private
+   */
+  _isAllowed(path) {
+    return this.allowedFields.some(field => path === field || path.startsWith(`${field}.`) || field.startsWith(`${path}.`));
+  }
+
+  /**
+   * Same value, same token
+   * @private
+   */
+  _tokenFor(value, kind) {
+    if (this.values.has(value)) {
+      return this.values.get(value);
+    }
+    this.counters[kind] = (this.counters[kind] || 0) + 1;
+    const token = `[${kind}_${this.counters[kind]}]`;
+    this.tokens.set(token, value);
+    this.values.set(value, token);
+    return token;
+  }
+
+  /**
+   * @private
+   */
+  _logEntry(kind, source, action, token) {
+    this.entries.push(token ? { kind, source, action, token } : { kind, source, action });
+  }
+}
+
+/**
+ * @private
+ */
+function fieldKind(key) {
+  const match = FIELD_KINDS.find(([pattern]) => pattern.test(key));
+  return match ? match[1] : 'FIELD';
+}
+
+/**
+ * @private
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @private
+ */
+function tokenKind(token) {
+  return token.slice(1, token.lastIndexOf('_'));
+}
+
+module.exports = {
+  DEFAULT_ALLOWED_FIELDS,
+  Redactor
+};
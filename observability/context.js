@@ -0,0 +1,33 @@
+/**
+ * Per-request context
+ * Carries the request ID and the active span through async calls, so log
+ * lines and spans from gigsClient, the rule engine or the LLM handler can be
+ * tied back to the HTTP request that caused them without passing IDs around
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a context
+ * @param {object} context - { requestId, span }
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Context of the current async call chain
+ * @returns {object|null} { requestId, span } or null outside a request
+ */
+function currentContext() {
+  return storage.getStore() || null;
+}
+
+module.exports = {
+  runWithContext,
+  currentContext
+};
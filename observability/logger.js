@@ -0,0 +1,86 @@
+/**
+ * Structured JSON logger
+ * One JSON object per line with time, level, component and message, plus the
+ * requestId, traceId and spanId of the current request when there is one.
+ * Levels below LOG_LEVEL (debug | info | warn | error, default info) are dropped.
+ */
+
+require('dotenv').config();
+const { currentContext } = require('./context');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+class Logger {
+  /**
+   * @param {string} component - Subsystem name, e.g. "gigs" or "diagnosis"
+   * @param {object} options - { level, write }
+   */
+  constructor(component, { level = process.env.LOG_LEVEL || 'info', write = defaultWrite } = {}) {
+    this.component = component;
+    this.threshold = LEVELS[level] ?? LEVELS.info;
+    this.write = write;
+  }
+
+  debug(message, fields) {
+    this._log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this._log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this._log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this._log('error', message, fields);
+  }
+
+  /**
+   * @private
+   */
+  _log(level, message, fields = {}) {
+    if (LEVELS[level] < this.threshold) {
+      return;
+    }
+
+    const context = currentContext();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      component: this.component,
+      msg: message,
+      requestId: context?.requestId,
+      traceId: context?.span?.traceId,
+      spanId: context?.span?.spanId
+    };
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+
+    this.write(level, JSON.stringify(entry));
+  }
+}
+
+function serializeError(error) {
+  return { name: error.name, message: error.message, ...(error.kind ? { kind: error.kind } : {}), stack: error.stack };
+}
+
+function defaultWrite(level, line) {
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+/**
+ * Logger for a subsystem
+ * @param {string} component - Subsystem name
+ * @returns {Logger}
+ */
+function createLogger(component) {
+  return new Logger(component);
+}
+
+module.exports = {
+  Logger,
+  createLogger
+};
@@ -0,0 +1,139 @@
+/**
+ * Prometheus metrics
+ * A small in-process registry of counters and histograms rendered in the
+ * Prometheus text exposition format by GET /metrics
+ */
+
+// Seconds; covers a fast rule match up to a slow LLM call
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  /**
+   * @param {object} labels - Label values, keyed by label name
+   * @param {number} amount - Increment (default 1)
+   */
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${key} ${value}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  /**
+   * @param {object} labels - Label values, keyed by label name
+   * @param {number} value - Observed value (seconds for durations)
+   */
+  observe(labels, value) {
+    const key = labelKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, series] of this.series) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${labelKey([...this.labelNames, 'le'], { ...series.labels, le: String(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${labelKey([...this.labelNames, 'le'], { ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${key} ${series.sum}`);
+      lines.push(`${this.name}_count${key} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Every metric in the Prometheus text format
+   * @returns {string}
+   */
+  render() {
+    return this.metrics.flatMap(metric => metric.render()).join('\n') + '\n';
+  }
+
+  /**
+   * @private
+   */
+  _register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+}
+
+/**
+ * Render label values as {a="1",b="2"} in label-name order
+ * @private
+ */
+function labelKey(labelNames, labels) {
+  if (labelNames.length === 0) {
+    return '';
+  }
+  const pairs = labelNames.map(name =>
+    `${name}="${String(labels[name] ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  return `{${pairs.join(',')}}`;
+}
+
+const registry = new Registry();
+
+module.exports = {
+  registry,
+  httpRequests: registry.counter('esim_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']),
+  httpDuration: registry.histogram('esim_http_request_duration_seconds', 'HTTP request latency', ['method', 'route']),
+  diagnoses: registry.counter('esim_diagnoses_total', 'Diagnoses by method, matched rule and final action', ['method', 'rule', 'action']),
+  escalations: registry.counter('esim_escalations_total', 'Escalations to a human by reason', ['reason']),
+  actions: registry.counter('esim_actions_total', 'Action handler runs by action and result status', ['action', 'status']),
+  stageDuration: registry.histogram('esim_diagnosis_stage_duration_seconds', 'Latency of each diagnosis stage', ['stage']),
+  gigsRequests: registry.counter('esim_gigs_requests_total', 'Gigs API calls by endpoint and outcome', ['method', 'endpoint', 'outcome']),
+  gigsCache: registry.counter('esim_gigs_cache_total', 'Gigs read cache lookups by resource and result', ['resource', 'result']),
+  scanFindings: registry.counter('esim_fleet_scan_findings_total', 'Fleet scan findings by rule and remediation outcome', ['rule', 'remediation']),
+  llmRequests: registry.counter('esim_llm_requests_total', 'LLM provider calls by outcome', ['provider', 'model', 'outcome']),
+  llmTokens: registry.counter('esim_llm_tokens_total', 'LLM tokens used, by direction', ['provider', 'model', 'type'])
+};
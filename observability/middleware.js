@@ -0,0 +1,63 @@
+/**
+ * Request observability middleware
+ * Gives every request an ID (X-Request-Id, echoed back or generated), opens
+ * the server span that later spans nest under, and records the request's
+ * latency and status once the response is sent
+ */
+
+const crypto = require('crypto');
+const { runWithContext } = require('./context');
+const { tracer, parseTraceparent } = require('./tracing');
+const { createLogger } = require('./logger');
+const metrics = require('./metrics');
+
+const logger = createLogger('http');
+
+// Accept caller-supplied IDs only if they are short and log-safe
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Must be registered after the body parser so the context survives into the handlers
+ */
+function requestContext(req, res, next) {
+  const supplied = req.get('x-request-id');
+  const requestId = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : `req_${crypto.randomBytes(8).toString('hex')}`;
+  const startTime = process.hrtime.bigint();
+
+  const span = tracer.startSpan(`${req.method} ${req.path}`, {
+    kind: 'server',
+    parent: parseTraceparent(req.get('traceparent')),
+    attributes: { 'http.method': req.method, 'http.target': req.originalUrl, 'request.id': requestId }
+  });
+
+  req.requestId = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    // Route templates keep label cardinality bounded (/cases/:id, not every case ID)
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpDuration.observe({ method: req.method, route }, seconds);
+
+    span.name = `${req.method} ${route}`;
+    span.setAttributes({ 'http.route': route, 'http.status_code': res.statusCode, 'principal.id': req.principal?.id });
+    if (res.statusCode >= 500) {
+      span.setError(`HTTP ${res.statusCode}`);
+    }
+    span.end();
+
+    runWithContext({ requestId, span }, () => logger.info('Request completed', {
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      principal: req.principal?.id
+    }));
+  });
+
+  runWithContext({ requestId, span }, next);
+}
+
+module.exports = { requestContext };
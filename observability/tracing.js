@@ -0,0 +1,217 @@
+/**
+ * OpenTelemetry-compatible tracing
+ * Spans follow the W3C trace context (an incoming traceparent header is
+ * continued, outgoing Gigs calls carry one) and are exported in batches as
+ * OTLP/HTTP JSON to OTEL_EXPORTER_OTLP_ENDPOINT (e.g. a local collector on
+ * http://localhost:4318). Without an endpoint, spans are only used to stamp
+ * log lines with trace and span IDs.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const axios = require('axios');
+const { runWithContext, currentContext } = require('./context');
+const { createLogger } = require('./logger');
+const { envNumber } = require('../utils/env');
+
+// OTLP span kinds and status codes
+const SPAN_KINDS = { internal: 1, server: 2, client: 3 };
+const STATUS = { unset: 0, ok: 1, error: 2 };
+
+const logger = createLogger('tracing');
+
+class Span {
+  constructor(tracer, name, { traceId, parentSpanId = null, kind = 'internal', attributes = {} }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = parentSpanId;
+    this.kind = kind;
+    this.attributes = { ...attributes };
+    this.status = { code: STATUS.unset };
+    this.startTime = nowNanos();
+    this.endTime = null;
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  /**
+   * Mark the span as failed
+   * @param {Error|string} error - Cause
+   */
+  setError(error) {
+    this.status = { code: STATUS.error, message: error instanceof Error ? error.message : String(error) };
+    return this;
+  }
+
+  end() {
+    if (this.endTime) {
+      return;
+    }
+    this.endTime = nowNanos();
+    if (this.status.code === STATUS.unset) {
+      this.status = { code: STATUS.ok };
+    }
+    this.tracer._onEnd(this);
+  }
+
+  /**
+   * W3C traceparent header value for calls made within this span
+   * @returns {string}
+   */
+  traceparent() {
+    return `00-${this.traceId}-${this.spanId}-01`;
+  }
+}
+
+class Tracer {
+  /**
+   * @param {object} options - { endpoint, serviceName, exportIntervalMs, maxBatchSize }
+   */
+  constructor({
+    endpoint = process.env.OTEL_EXPORTER_OTLP_ENDPOINT,
+    serviceName = process.env.OTEL_SERVICE_NAME || 'gigs-esim-automation',
+    exportIntervalMs = envNumber('OTEL_BSP_SCHEDULE_DELAY', 5000),
+    maxBatchSize = envNumber('OTEL_BSP_MAX_EXPORT_BATCH_SIZE', 512)
+  } = {}) {
+    this.url = endpoint ? `${endpoint.replace(/\/$/, '')}/v1/traces` : null;
+    this.serviceName = serviceName;
+    this.exportIntervalMs = exportIntervalMs;
+    this.maxBatchSize = maxBatchSize;
+    this.pending = [];
+    this.timer = null;
+  }
+
+  /**
+   * Start a span, as a child of the current span unless a parent is given
+   * @param {string} name - Span name
+   * @param {object} options - { kind, attributes, parent: { traceId, spanId } }
+   * @returns {Span}
+   */
+  startSpan(name, { kind = 'internal', attributes = {}, parent = currentContext()?.span } = {}) {
+    return new Span(this, name, {
+      traceId: parent?.traceId || crypto.randomBytes(16).toString('hex'),
+      parentSpanId: parent?.spanId || null,
+      kind,
+      attributes
+    });
+  }
+
+  /**
+   * Run a function inside a new child span; the span ends when the function
+   * settles and is marked failed if it throws
+   * @param {string} name - Span name
+   * @param {object} attributes - Span attributes
+   * @param {Function} fn - Receives the span
+   * @returns {Promise<*>} The function's result
+   */
+  async withSpan(name, attributes, fn) {
+    const span = this.startSpan(name, { attributes });
+    try {
+      return await runWithContext({ ...currentContext(), span }, () => fn(span));
+    } catch (error) {
+      span.setError(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Send every finished span now
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    while (this.url && this.pending.length > 0) {
+      const batch = this.pending.splice(0, this.maxBatchSize);
+      try {
+        await axios.post(this.url, this._toOtlp(batch), { timeout: 5000 });
+      } catch (error) {
+        // Tracing must never break a diagnosis; dropped spans are only reported
+        logger.warn('Span export failed', { url: this.url, spans: batch.length, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _onEnd(span) {
+    if (!this.url) {
+      return;
+    }
+    this.pending.push(span);
+    if (this.pending.length >= this.maxBatchSize) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.exportIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * OTLP/HTTP JSON request body
+   * @private
+   */
+  _toOtlp(spans) {
+    return {
+      resourceSpans: [{
+        resource: { attributes: toAttributes({ 'service.name': this.serviceName }) },
+        scopeSpans: [{
+          scope: { name: this.serviceName },
+          spans: spans.map(span => ({
+            traceId: span.traceId,
+            spanId: span.spanId,
+            ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+            name: span.name,
+            kind: SPAN_KINDS[span.kind],
+            startTimeUnixNano: span.startTime,
+            endTimeUnixNano: span.endTime,
+            attributes: toAttributes(span.attributes),
+            status: span.status
+          }))
+        }]
+      }]
+    };
+  }
+}
+
+/**
+ * Parse a W3C traceparent header
+ * @param {string} header - e.g. 00-<32 hex trace id>-<16 hex span id>-01
+ * @returns {{traceId: string, spanId: string}|null}
+ */
+function parseTraceparent(header) {
+  const match = /^[0-9a-f]{2}-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/.exec(String(header || '').trim());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+  return { traceId: match[1], spanId: match[2] };
+}
+
+function toAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({
+      key,
+      value: typeof value === 'number'
+        ? (Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value })
+        : typeof value === 'boolean' ? { boolValue: value } : { stringValue: String(value) }
+    }));
+}
+
+function nowNanos() {
+  return (BigInt(Date.now()) * 1000000n).toString();
+}
+
+module.exports = {
+  tracer: new Tracer(),
+  Tracer,
+  parseTraceparent
+};
@@ -0,0 +1,138 @@
+const express = require('express');
+const ruleEngine = require('../rules/ruleEngine');
+const { RulePackError } = require('../rules/rulePack');
+const { authorize } = require('../auth/middleware');
+const fleetScanner = require('../jobs/fleetScanner');
+const jobQueue = require('../jobs/jobQueue');
+
+const router = express.Router();
+
+// Every rule pack endpoint requires the admin role
+router.use(authorize('admin'));
+
+/**
+ * List the active rule pack and its version history
+ * GET /admin/rules
+ */
+router.get('/rules', (req, res) => {
+  res.json({
+    active: ruleEngine.getActiveVersion(),
+    settings: ruleEngine.pack.settings,
+    rules: ruleEngine.getRules(),
+    history: ruleEngine.getHistory()
+  });
+});
+
+/**
+ * Upload and activate a new rule pack
+ * PUT /admin/rules?force=true
+ * Body: rule pack document
+ * The pack is rejected if it fails validation, or if it fails the corpus check unless force=true
+ */
+router.put('/rules', (req, res) => {
+  const force = req.query.force === 'true';
+  sendActivation(res, () => ruleEngine.activate(req.body, { source: 'api', force, activatedBy: req.principal.id }));
+});
+
+/**
+ * Re-read the rule pack file from disk and activate it
+ * POST /admin/rules/reload?force=true
+ */
+router.post('/rules/reload', (req, res) => {
+  const force = req.query.force === 'true';
+  sendActivation(res, () => ruleEngine.reload({ force, activatedBy: req.principal.id }));
+});
+
+/**
+ * Roll back to a previous rule pack version
+ * POST /admin/rules/rollback
+ * Body: { version?: number } - defaults to the version before the active one
+ */
+router.post('/rules/rollback', (req, res) => {
+  const version = req.body?.version;
+  const active = ruleEngine.rollback(version === undefined ? undefined : Number(version), { by: req.principal.id });
+
+  if (!active) {
+    return res.status(404).json({
+      error: 'Rule pack version not found',
+      history: ruleEngine.getHistory()
+    });
+  }
+
+  res.json({ active });
+});
+
+/**
+ * Start a fleet scan for stuck activations and billing holds
+ * POST /admin/scan
+ * Body: { fix?: boolean, dryRun?: boolean, concurrency?: number, maxSubscriptions?: number } - defaults from SCAN_*
+ * The scan runs as a background job; poll statusUrl for the report
+ */
+router.post('/scan', (req, res) => {
+  const { fix, dryRun, concurrency, maxSubscriptions } = req.body || {};
+
+  for (const [field, value] of [['fix', fix], ['dryRun', dryRun]]) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      return res.status(400).json({ error: `${field} must be a boolean` });
+    }
+  }
+  for (const [field, value, max] of [['concurrency', concurrency, 50], ['maxSubscriptions', maxSubscriptions, 1000000]]) {
+    if (value !== undefined && !(Number.isInteger(value) && value > 0 && value <= max)) {
+      return res.status(400).json({ error: `${field} must be an integer between 1 and ${max}` });
+    }
+  }
+  // Reserved now rather than when the job starts, so a request arriving in between gets the 409
+  if (!fleetScanner.reserve()) {
+    return res.status(409).json({ error: 'A fleet scan is already running' });
+  }
+
+  const job = jobQueue.enqueue('fleet_scan', () =>
+    fleetScanner.scan({ fix, dryRun, concurrency, maxSubscriptions, principal: req.principal, reserved: true }),
+  { input: { fix, dryRun, concurrency, maxSubscriptions, requestedBy: req.principal.id } });
+
+  res.status(202).json({ jobId: job.id, status: job.status, statusUrl: `/diagnose/jobs/${job.id}` });
+});
+
+/**
+ * Scanner schedule and the report of the last finished scan
+ * GET /admin/scan
+ */
+router.get('/scan', (req, res) => {
+  res.json({
+    running: fleetScanner.isRunning(),
+    schedule: {
+      intervalMinutes: fleetScanner.intervalMinutes || null,
+      ...fleetScanner.defaults
+    },
+    lastReport: fleetScanner.lastReport
+  });
+});
+
+/**
+ * Run an activation and map its outcome to a response
+ * @private
+ */
+function sendActivation(res, activate) {
+  try {
+    const result = activate();
+
+    if (!result.activated) {
+      return res.status(422).json({
+        error: 'Rule pack failed the corpus check',
+        corpus: result.corpus
+      });
+    }
+
+    res.json({ active: result.version, corpus: result.corpus });
+  } catch (error) {
+    if (error instanceof RulePackError) {
+      return res.status(400).json({
+        error: 'Invalid rule pack',
+        details: error.errors.length ? error.errors : [error.message]
+      });
+    }
+    throw error;
+  }
+}
+
+module.exports = router;
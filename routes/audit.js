@@ -0,0 +1,61 @@
+const express = require('express');
+const auditLog = require('../store/auditLog');
+const { authorize } = require('../auth/middleware');
+const { createLogger } = require('../observability/logger');
+
+const router = express.Router();
+const logger = createLogger('audit');
+
+/**
+ * Export audit entries of automated Gigs actions
+ * GET /audit/export?simId=&subscriptionId=&from=&to=&format=json|jsonl
+ * from/to are ISO timestamps (inclusive). format=jsonl streams one entry per line,
+ * exactly as stored, for archiving.
+ */
+router.get('/audit/export', authorize('admin'), (req, res) => {
+  const { simId, subscriptionId, format = 'json' } = req.query;
+  const range = {};
+
+  for (const field of ['from', 'to']) {
+    if (req.query[field] !== undefined) {
+      range[field] = new Date(req.query[field]);
+      if (Number.isNaN(range[field].getTime())) {
+        return res.status(400).json({ error: `${field} must be an ISO 8601 timestamp` });
+      }
+    }
+  }
+  if (!['json', 'jsonl'].includes(format)) {
+    return res.status(400).json({ error: 'format must be json or jsonl' });
+  }
+
+  const entries = auditLog.query({ simId, subscriptionId, ...range });
+  logger.info('Audit export', { entries: entries.length, simId, subscriptionId, principal: req.principal.id });
+
+  if (format === 'jsonl') {
+    res.type('application/x-ndjson');
+    res.attachment('audit.jsonl');
+    return res.send(entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+  }
+
+  res.json({
+    filters: {
+      simId: simId || null,
+      subscriptionId: subscriptionId || null,
+      from: range.from ? range.from.toISOString() : null,
+      to: range.to ? range.to.toISOString() : null
+    },
+    chain: auditLog.verify(),
+    count: entries.length,
+    entries
+  });
+});
+
+/**
+ * Check the hash chain of the whole audit log
+ * GET /audit/verify
+ */
+router.get('/audit/verify', authorize('admin'), (req, res) => {
+  res.json(auditLog.verify());
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const caseStore = require('../store/caseStore');
+const { authorize } = require('../auth/middleware');
+
+const router = express.Router();
+
+/**
+ * Get a single diagnosis case
+ * GET /cases/:id
+ */
+router.get('/cases/:id', authorize('agent'), (req, res) => {
+  const record = caseStore.get(req.params.id);
+
+  if (!record) {
+    return res.status(404).json({ error: 'Case not found', caseId: req.params.id });
+  }
+
+  res.json(record);
+});
+
+/**
+ * Post-reprovision verification status of a case
+ * GET /cases/:id/verification
+ */
+router.get('/cases/:id/verification', authorize('agent'), (req, res) => {
+  const record = caseStore.get(req.params.id);
+
+  if (!record) {
+    return res.status(404).json({ error: 'Case not found', caseId: req.params.id });
+  }
+  if (!record.verification) {
+    return res.status(404).json({ error: 'Case has no verification', caseId: req.params.id });
+  }
+
+  res.json({
+    caseId: record.id,
+    verification: record.verification,
+    escalation: record.escalation || null
+  });
+});
+
+/**
+ * Diagnosis history for a subscription, newest first
+ * GET /subscriptions/:id/cases
+ */
+router.get('/subscriptions/:id/cases', authorize('agent'), (req, res) => {
+  const cases = caseStore.listBySubscription(req.params.id);
+
+  res.json({
+    subscriptionId: req.params.id,
+    count: cases.length,
+    cases
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const sessionService = require('../services/sessionService');
+const { validateWebhookUrl } = require('../jobs/webhook');
+const { SUPPORTED_LOCALES, normalizeLocale } = require('../i18n/locales');
+const { validateDevice, normalizeDevice } = require('../devices/deviceCatalog');
+const { validateUserIssue } = require('../utils/validation');
+const { authorize } = require('../auth/middleware');
+const { createLogger } = require('../observability/logger');
+
+const router = express.Router();
+const logger = createLogger('sessions');
+
+/**
+ * Start a conversational diagnosis
+ * POST /sessions
+ * Body: { subscriptionId: string, message: string, locale?: string, device?: object, verify?: boolean, callbackUrl?: string }
+ */
+router.post('/sessions', authorize('chatbot'), async (req, res) => {
+  const { subscriptionId, message, locale, device, verify, callbackUrl } = req.body;
+
+  if (!subscriptionId || !message) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['subscriptionId', 'message']
+    });
+  }
+  const messageError = validateUserIssue(message, 'message');
+  if (messageError) {
+    return res.status(400).json({ error: messageError });
+  }
+  if (locale !== undefined && !normalizeLocale(locale)) {
+    return res.status(400).json({ error: 'Unsupported locale', supported: SUPPORTED_LOCALES });
+  }
+  const deviceErrors = device === undefined ? [] : validateDevice(device);
+  if (deviceErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid device', details: deviceErrors });
+  }
+
+  await sendTurn(res, callbackUrl, () => sessionService.start({
+    subscriptionId, message, locale, device: normalizeDevice(device), verify, callbackUrl, principal: req.principal
+  }));
+});
+
+/**
+ * Reply to a session, e.g. answer its clarifying question
+ * POST /sessions/:id/messages
+ * Body: { message: string, verify?: boolean, callbackUrl?: string }
+ */
+router.post('/sessions/:id/messages', authorize('chatbot'), async (req, res) => {
+  const { message, verify, callbackUrl } = req.body;
+
+  if (!message) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['message']
+    });
+  }
+  const messageError = validateUserIssue(message, 'message');
+  if (messageError) {
+    return res.status(400).json({ error: messageError });
+  }
+
+  await sendTurn(res, callbackUrl, () => sessionService.reply(req.params.id, { message, verify, callbackUrl, principal: req.principal }));
+});
+
+/**
+ * Conversation history and status of a session
+ * GET /sessions/:id
+ */
+router.get('/sessions/:id', authorize('chatbot'), (req, res) => {
+  const session = sessionService.describe(req.params.id, req.principal);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found', sessionId: req.params.id });
+  }
+
+  res.json(session);
+});
+
+async function sendTurn(res, callbackUrl, turn) {
+  const callbackUrlError = callbackUrl === undefined ? null : validateWebhookUrl(callbackUrl);
+  if (callbackUrlError) {
+    return res.status(400).json({ error: `callbackUrl ${callbackUrlError}` });
+  }
+
+  try {
+    const { status, body } = await turn();
+    return res.status(status).json(body);
+  } catch (error) {
+    logger.error('Unhandled error', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,73 @@
+/**
+ * Rule corpus check
+ * Replays known (subscription, userIssue, locale?, device?, expected rule) cases against a rule pack
+ * so a new pack can be checked before it is activated
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CORPUS_PATH = path.join(__dirname, 'corpus', 'default.json');
+
+/**
+ * Load corpus cases from disk
+ * @param {string} filePath - Path to a JSON array of cases
+ * @returns {object[]} Corpus cases
+ */
+function loadCorpus(filePath = DEFAULT_CORPUS_PATH) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Build the subscription snapshot for a case, turning createdMinutesAgo
+ * into a createdAt timestamp relative to now
+ * @param {object} testCase - Corpus case
+ * @returns {object} Subscription data as returned by the Gigs API
+ */
+function buildSubscription(testCase) {
+  const subscription = { ...testCase.subscription };
+  if (typeof testCase.createdMinutesAgo === 'number') {
+    subscription.createdAt = new Date(Date.now() - testCase.createdMinutesAgo * 60 * 1000).toISOString();
+  }
+  return subscription;
+}
+
+/**
+ * Run every corpus case against a rule pack
+ * @param {object} engine - RuleEngine instance
+ * @param {object} pack - Normalized rule pack to check
+ * @param {object[]} cases - Corpus cases (defaults to the bundled corpus)
+ * @returns {{passed: boolean, total: number, failures: object[]}}
+ */
+function runCorpus(engine, pack, cases = loadCorpus()) {
+  const failures = [];
+
+  for (const testCase of cases) {
+    const result = engine.evaluate(buildSubscription(testCase), testCase.userIssue, pack, {
+      locale: testCase.locale,
+      device: testCase.device
+    });
+    const actualRule = result ? result.ruleName : null;
+
+    if (actualRule !== testCase.expectedRule) {
+      failures.push({
+        case: testCase.name,
+        expectedRule: testCase.expectedRule,
+        actualRule
+      });
+    }
+  }
+
+  return {
+    passed: failures.length === 0,
+    total: cases.length,
+    failures
+  };
+}
+
+module.exports = {
+  DEFAULT_CORPUS_PATH,
+  loadCorpus,
+  buildSubscription,
+  runCorpus
+};
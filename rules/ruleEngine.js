@@ -1,30 +1,60 @@
 /**
  * Rule Engine for eSIM Activation Issues
  * Handles deterministic cases where no LLM is needed (70-80% of issues)
+ *
+ * Rules are data, not code: they are loaded from a JSON rule pack
+ * (rules/packs/default.json unless RULE_PACK_PATH points elsewhere)
+ * and validated at startup. See rules/rulePack.js for the format.
+ *
+ * New packs can be activated at runtime; every activated pack is kept as a
+ * numbered version so the engine can roll back without a restart.
  */
 
+require('dotenv').config();
+const crypto = require('crypto');
+const { loadRulePack, validateRulePack, DEFAULT_PACK_PATH } = require('./rulePack');
+const { runCorpus } = require('./corpus');
+const { DEFAULT_LOCALE } = require('../i18n/locales');
+const { classify } = require('../intents/intentClassifier');
+const { profileDevice } = require('../devices/deviceCatalog');
+const { settingsGuide, formatSteps } = require('../devices/guides');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger('rules');
+
 class RuleEngine {
+  constructor() {
+    this.packPath = process.env.RULE_PACK_PATH || DEFAULT_PACK_PATH;
+    this.versions = [];
+    this.activeVersion = null;
+    this._addVersion(loadRulePack(this.packPath), { source: this.packPath });
+  }
+
+  /**
+   * Currently active rule pack
+   */
+  get pack() {
+    return this.versions.find(entry => entry.version === this.activeVersion).pack;
+  }
+
   /**
    * Evaluate subscription/SIM state against all rules
    * @param {object} subscriptionData - Data from Gigs API
    * @param {string} userIssue - User's description of the problem
+   * @param {object} pack - Rule pack to evaluate (defaults to the active pack)
+   * @param {object} options - { locale, device } - customer language for keywords and messages, and
+   *   the customer's device metadata (see devices/deviceCatalog.js)
    * @returns {object|null} Matched rule with action, or null if no match
    */
-  evaluate(subscriptionData, userIssue) {
-    const rules = [
-      this.ruleProvisioningStuck,
-      this.ruleBillingHold,
-      this.ruleNormalDelay,
-      this.ruleDeviceConfig,
-      this.rulePaymentOverdue,
-      this.ruleSubscriptionEnded,
-      this.ruleActivationFailed
-    ];
-
-    for (const rule of rules) {
-      const result = rule.call(this, subscriptionData, userIssue);
-      if (result) {
-        return result;
+  evaluate(subscriptionData, userIssue, pack = this.pack, { locale = DEFAULT_LOCALE, device = null } = {}) {
+    const context = this._buildContext(subscriptionData, userIssue, pack, locale, device);
+
+    for (const rule of pack.rules) {
+      const matched = rule.conditions.every(condition =>
+        this._evaluateCondition(condition, context).passed
+      );
+      if (matched) {
+        return this._buildResult(rule, context);
       }
     }
 
@@ -32,173 +62,306 @@ class RuleEngine {
   }
 
   /**
-   * RULE 1: Provisioning Stuck (>15 min)
-   * Condition: SIM inactive, subscription pending, >15 min elapsed
-   * Action: Trigger reprovision
+   * Dry-run every rule and report why each one matched or not.
+   * Unlike evaluate() this does not stop at the first match, and it never
+   * executes anything - it only describes what evaluate() would decide.
+   * @param {object} subscriptionData - Data from Gigs API
+   * @param {string} userIssue - User's description of the problem
+   * @param {object} pack - Rule pack to evaluate (defaults to the active pack)
+   * @param {object} options - { locale, device } - customer language for keywords and messages, and
+   *   the customer's device metadata (see devices/deviceCatalog.js)
+   * @returns {object} Per-rule trace plus the result evaluate() would return
    */
-  ruleProvisioningStuck(data, userIssue) {
-    const sim = data.sim || {};
-    const subscription = data;
+  explain(subscriptionData, userIssue, pack = this.pack, { locale = DEFAULT_LOCALE, device = null } = {}) {
+    const context = this._buildContext(subscriptionData, userIssue, pack, locale, device);
+    let winner = null;
 
-    if (sim.status === 'inactive' &&
-      subscription.status === 'pending' &&
-      this._minutesSinceActivation(data) > 15) {
+    const rules = pack.rules.map(rule => {
+      const conditions = rule.conditions.map(condition => {
+        const { passed, actual } = this._evaluateCondition(condition, context);
+        return {
+          field: condition.field,
+          op: condition.op,
+          expected: condition.value,
+          actual: actual === undefined ? null : actual,
+          passed
+        };
+      });
+      const matched = conditions.every(condition => condition.passed);
 
-      return {
-        ruleName: 'provisioning_stuck',
-        confidence: 95,
-        action: 'reprovision',
-        simId: sim.id,
-        message: "We detected your activation was stuck. We've reset it — please restart your phone in 2 minutes and check again.",
-        reasoning: `Provisioning has been pending for ${this._minutesSinceActivation(data)} minutes (>15 min threshold)`
+      const trace = {
+        name: rule.name,
+        priority: rule.priority,
+        action: rule.action,
+        confidence: rule.confidence,
+        matched,
+        selected: matched && !winner,
+        shadowedBy: matched && winner ? winner.name : null,
+        conditions
       };
-    }
-    return null;
+
+      if (matched && !winner) {
+        winner = rule;
+      }
+      return trace;
+    });
+
+    return {
+      matchedRule: winner ? winner.name : null,
+      result: winner ? this._buildResult(winner, context) : null,
+      fallsBackToLLM: !winner,
+      context: {
+        createdAt: subscriptionData.createdAt || subscriptionData.sim?.createdAt || null,
+        minutesSinceActivation: context.minutesSinceActivation,
+        minutesRemaining: context.minutesRemaining,
+        subscriptionStatus: subscriptionData.status ?? null,
+        simStatus: context.sim.status ?? null,
+        locale: context.locale,
+        intents: context.intents,
+        intentMatches: context.intentMatches,
+        device: context.device
+      },
+      warnings: this._contextWarnings(subscriptionData),
+      rules
+    };
   }
 
   /**
-   * RULE 2: Billing Hold
-   * Condition: SIM inactive, subscription initiated, first invoice unpaid
-   * Action: Route to payment update
+   * Rules in evaluation order
+   * @returns {object[]} Rule definitions from the active pack
    */
-  ruleBillingHold(data, userIssue) {
-    const sim = data.sim || {};
-    const subscription = data;
+  getRules() {
+    return this.pack.rules;
+  }
 
-    if (sim.status === 'inactive' &&
-      subscription.status === 'initiated') {
+  /**
+   * Identify the active rule pack, for tagging decisions
+   * @returns {{name: string, version: number, checksum: string}}
+   */
+  getActiveVersion() {
+    const entry = this.versions.find(v => v.version === this.activeVersion);
+    return { name: entry.pack.name, version: entry.version, checksum: entry.checksum };
+  }
 
-      return {
-        ruleName: 'billing_hold',
-        confidence: 98,
-        action: 'route_to_payment',
-        message: "Your activation is on hold due to a payment issue. Please update your payment method to continue.",
-        reasoning: "Subscription is in 'initiated' status, indicating unpaid first invoice"
-      };
-    }
-    return null;
+  /**
+   * Version history, oldest first (without rule bodies)
+   * @returns {object[]}
+   */
+  getHistory() {
+    return this.versions.map(entry => ({
+      version: entry.version,
+      name: entry.pack.name,
+      checksum: entry.checksum,
+      ruleCount: entry.pack.rules.length,
+      source: entry.source,
+      activatedBy: entry.activatedBy,
+      createdAt: entry.createdAt,
+      corpus: entry.corpus,
+      active: entry.version === this.activeVersion
+    }));
   }
 
   /**
-   * RULE 3: Normal Delay (<15 min)
-   * Condition: SIM inactive, subscription pending, <15 min elapsed
-   * Action: Inform user to wait
+   * Validate a rule pack, check it against the corpus and activate it as a new version
+   * @param {object} document - Parsed rule pack document
+   * @param {object} options - { source: string, force: boolean, activatedBy: string } - activatedBy is the caller's principal ID
+   * @returns {{activated: boolean, version?: object, corpus: object}}
+   * @throws {RulePackError} If the pack is invalid
    */
-  ruleNormalDelay(data, userIssue) {
-    const sim = data.sim || {};
-    const subscription = data;
-    const minutesElapsed = this._minutesSinceActivation(data);
+  activate(document, { source = 'api', force = false, activatedBy = null } = {}) {
+    const pack = validateRulePack(document, source);
+    const corpus = runCorpus(this, pack);
+
+    if (!corpus.passed && !force) {
+      return { activated: false, corpus };
+    }
 
-    if (sim.status === 'inactive' &&
-      subscription.status === 'pending' &&
-      minutesElapsed < 15) {
+    this._addVersion(pack, { source, corpus, activatedBy });
+    logger.info('Rule pack activated', { pack: pack.name, version: this.activeVersion, source, activatedBy });
+    return { activated: true, version: this.getActiveVersion(), corpus };
+  }
 
-      const minutesRemaining = Math.ceil(15 - minutesElapsed);
+  /**
+   * Re-read the rule pack file from disk and activate it
+   * @param {object} options - { force: boolean, activatedBy: string }
+   * @returns {{activated: boolean, version?: object, corpus: object}}
+   */
+  reload({ force = false, activatedBy = null } = {}) {
+    const pack = loadRulePack(this.packPath);
+    return this.activate(pack, { source: this.packPath, force, activatedBy });
+  }
 
-      return {
-        ruleName: 'normal_delay',
-        confidence: 90,
-        action: 'wait',
-        message: `Your activation is in progress. This usually takes 10-15 minutes. Please wait ${minutesRemaining} more minute(s) and restart your phone.`,
-        reasoning: `Only ${minutesElapsed} minutes have elapsed - still within normal activation window`
-      };
+  /**
+   * Re-activate a previous version
+   * @param {number} version - Version to activate (defaults to the one before the active version)
+   * @param {object} options - { by: string } - principal ID of the caller, for the log
+   * @returns {object|null} Active version, or null if the version does not exist
+   */
+  rollback(version = this.activeVersion - 1, { by = null } = {}) {
+    if (!this.versions.some(entry => entry.version === version)) {
+      return null;
     }
-    return null;
+
+    this.activeVersion = version;
+    logger.info('Rule pack rolled back', { version, by });
+    return this.getActiveVersion();
   }
 
   /**
-   * RULE 4: Device Config Issue
-   * Condition: SIM active, subscription active, user reports no service
-   * Action: Route to device settings guide
+   * Store a validated pack as the next version and make it active
+   * @private
    */
-  ruleDeviceConfig(data, userIssue) {
-    const sim = data.sim || {};
-    const subscription = data;
+  _addVersion(pack, { source, corpus = null, activatedBy = null }) {
+    const version = this.versions.length + 1;
+    this.versions.push({
+      version,
+      pack,
+      checksum: crypto.createHash('sha256').update(JSON.stringify(pack)).digest('hex').slice(0, 12),
+      source,
+      activatedBy,
+      corpus: corpus && { passed: corpus.passed, total: corpus.total, failures: corpus.failures.length },
+      createdAt: new Date().toISOString()
+    });
+    this.activeVersion = version;
+  }
 
-    // Check if issue description mentions "no service" or similar
-    const noServiceKeywords = ['no service', 'no data', 'not working', 'no signal'];
-    const mentionsNoService = noServiceKeywords.some(kw =>
-      userIssue.toLowerCase().includes(kw)
-    );
+  /**
+   * Build the values rule conditions and templates are evaluated against
+   * @private
+   */
+  _buildContext(data, userIssue, pack, locale, device) {
+    const minutesSinceActivation = this._minutesSinceActivation(data);
+    const classification = classify(userIssue, locale);
+    const profile = profileDevice(device);
 
-    if (sim.status === 'active' &&
-      subscription.status === 'active' &&
-      mentionsNoService) {
+    return {
+      subscription: data,
+      sim: data.sim || {},
+      userIssue: userIssue || '',
+      locale,
+      intents: classification.scores,
+      intentMatches: classification.matches,
+      minutesSinceActivation,
+      minutesRemaining: Math.max(0, Math.ceil(pack.settings.activationWindowMinutes - minutesSinceActivation)),
+      simId: data.sim?.id,
+      subscriptionId: data.id,
+      device: profile,
+      osName: profile.osName,
+      osVersion: profile.osVersion,
+      fixedInVersion: profile.fixedInVersion,
+      settingsGuide: formatSteps(settingsGuide(profile, locale))
+    };
+  }
 
-      return {
-        ruleName: 'device_config',
-        confidence: 85,
-        action: 'route_to_settings_guide',
-        message: "Your line is active on our end. Let's check your device settings:\n1. Is your eSIM selected as the default for calls/data?\n2. Is Airplane Mode off?\n3. Have you restarted your phone?\n[Link to detailed settings guide would go here]",
-        reasoning: "Backend shows active status but user reports no service - likely device configuration issue"
-      };
+  /**
+   * Flag inputs that silently change rule outcomes
+   * @private
+   */
+  _contextWarnings(data) {
+    const warnings = [];
+    if (!data.createdAt && !data.sim?.createdAt) {
+      warnings.push('No createdAt timestamp on subscription or SIM - minutesSinceActivation defaults to 0');
+    }
+    if (!data.sim) {
+      warnings.push('Subscription has no SIM object - sim.* fields are undefined');
     }
-    return null;
+    return warnings;
   }
 
   /**
-   * RULE 5: Payment Overdue
-   * Condition: SIM active, subscription restricted
-   * Action: Route to payment restoration
+   * Evaluate a single condition against the context
+   * @private
+   * @returns {{passed: boolean, actual: *}}
    */
-  rulePaymentOverdue(data, userIssue) {
-    const subscription = data;
+  _evaluateCondition(condition, context) {
+    const actual = this._resolveField(condition.field, context);
+    const expected = condition.value;
+    let passed;
 
-    if (subscription.status === 'restricted') {
-      return {
-        ruleName: 'payment_overdue',
-        confidence: 98,
-        action: 'route_to_payment_restoration',
-        message: "Your service is restricted due to an overdue payment. Update your payment method to restore service immediately.",
-        reasoning: "Subscription status is 'restricted' indicating service suspension"
-      };
+    switch (condition.op) {
+      case 'equals':
+        passed = actual === expected;
+        break;
+      case 'notEquals':
+        passed = actual !== expected;
+        break;
+      case 'in':
+        passed = expected.includes(actual);
+        break;
+      case 'notIn':
+        passed = !expected.includes(actual);
+        break;
+      case 'gt':
+        passed = typeof actual === 'number' && actual > expected;
+        break;
+      case 'gte':
+        passed = typeof actual === 'number' && actual >= expected;
+        break;
+      case 'lt':
+        passed = typeof actual === 'number' && actual < expected;
+        break;
+      case 'lte':
+        passed = typeof actual === 'number' && actual <= expected;
+        break;
+      case 'exists':
+        passed = (actual !== undefined && actual !== null) === expected;
+        break;
+      case 'containsAny': {
+        const text = String(actual || '').toLowerCase();
+        passed = this._keywords(expected, context.locale).some(kw => text.includes(kw.toLowerCase()));
+        break;
+      }
+      default:
+        passed = false;
     }
-    return null;
+
+    return { passed, actual };
   }
 
   /**
-   * RULE 6: Subscription Ended
-   * Condition: Subscription status is 'ended'
-   * Action: Inform user (no fix possible)
+   * Keywords to look for: a plain list applies to every locale; per-locale
+   * lists use the customer's locale plus the default locale's, since
+   * customers often mix in English terms
+   * @private
    */
-  ruleSubscriptionEnded(data, userIssue) {
-    const subscription = data;
-
-    if (subscription.status === 'ended') {
-      return {
-        ruleName: 'subscription_ended',
-        confidence: 100,
-        action: 'inform_only',
-        message: "This subscription has been canceled. If you'd like to reactivate service, please contact support or purchase a new plan.",
-        reasoning: "Subscription is in terminal 'ended' state"
-      };
+  _keywords(expected, locale) {
+    if (Array.isArray(expected)) {
+      return expected;
     }
-    return null;
+    return [...new Set([...(expected[locale] || []), ...(expected[DEFAULT_LOCALE] || [])])];
   }
 
   /**
-  * RULE 7: Activation failed 
-  * Condition: DEMO purpose only (Check if user mentions "activation failed")
-  * Action: Reprovision 
-  */
-  ruleActivationFailed(data, userIssue) {
-    // Check if issue description mentions "activation failed"
-    const activationFailedKeyword = ['activation failed'];
-    const mentionsActivationFailed = activationFailedKeyword.some(kw =>
-      userIssue.toLowerCase().includes(kw)
-    );
+   * Resolve a dotted field path (e.g. "sim.status") against the context
+   * @private
+   */
+  _resolveField(field, context) {
+    return field.split('.').reduce((value, key) =>
+      (value === undefined || value === null ? undefined : value[key]), context);
+  }
 
-    if (mentionsActivationFailed) {
+  /**
+   * Turn a matched rule into the engine's result object
+   * @private
+   */
+  _buildResult(rule, context) {
+    return {
+      ruleName: rule.name,
+      confidence: rule.confidence,
+      action: rule.action,
+      simId: context.simId,
+      locale: context.locale,
+      message: this._render(rule.messages?.[context.locale] || rule.message, context),
+      reasoning: this._render(rule.reasoning, context)
+    };
+  }
 
-      return {
-        ruleName: 'activation_failed',
-        confidence: 85,
-        action: 'reprovision',
-        message: "We detected your activation was stuck. We've reset it — please restart your phone in 2 minutes and check again.",
-        reasoning: "Provisioning has been pending for 20 minutes"
-      };
-    }
-    return null;
+  /**
+   * Fill {{variable}} placeholders in a template
+   * @private
+   */
+  _render(template, context) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => String(context[name] ?? ''));
   }
 
   /**
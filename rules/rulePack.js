@@ -0,0 +1,292 @@
+/**
+ * Rule Pack loading and validation
+ * A rule pack is a JSON document describing the rules the engine evaluates,
+ * so thresholds and messages can change without a code deploy
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SUPPORTED_LOCALES } = require('../i18n/locales');
+const { INTENTS } = require('../intents/intentClassifier');
+
+const DEFAULT_PACK_PATH = path.join(__dirname, 'packs', 'default.json');
+
+// Actions a rule is allowed to emit
+const ACTIONS = [
+  'reprovision',
+  'route_to_payment',
+  'route_to_payment_restoration',
+  'route_to_settings_guide',
+  'wait',
+  'inform_only',
+  'escalate'
+];
+
+// Fields a condition may reference (resolved by the engine's evaluation context)
+// intents.<name> is the classifier's 0-1 score for that intent (see intents/intentClassifier.js)
+// device.<field> is the customer's device profile (see devices/deviceCatalog.js); unknown values are null
+const FIELD_ROOTS = ['subscription', 'sim', 'userIssue', 'minutesSinceActivation', 'locale', 'intents', 'device'];
+
+// Comparison operators and the value type they expect
+const OPERATORS = {
+  equals: 'any',
+  notEquals: 'any',
+  in: 'array',
+  notIn: 'array',
+  gt: 'number',
+  gte: 'number',
+  lt: 'number',
+  lte: 'number',
+  exists: 'boolean',
+  containsAny: 'array'
+};
+
+// Variables available to message/reasoning templates
+// settingsGuide is the numbered settings guide for the customer's device and OS version
+const TEMPLATE_VARIABLES = [
+  'minutesSinceActivation',
+  'minutesRemaining',
+  'simId',
+  'subscriptionId',
+  'osName',
+  'osVersion',
+  'fixedInVersion',
+  'settingsGuide'
+];
+
+const DEFAULT_SETTINGS = {
+  activationWindowMinutes: 15
+};
+
+class RulePackError extends Error {
+  /**
+   * @param {string} message - Summary of the failure
+   * @param {string[]} errors - Individual validation errors
+   */
+  constructor(message, errors = []) {
+    super(errors.length ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+    this.name = 'RulePackError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate a parsed rule pack and return it normalized (defaults applied,
+ * rules sorted by ascending priority)
+ * @param {object} pack - Parsed rule pack document
+ * @param {string} source - Where the pack came from, used in error messages
+ * @returns {object} Normalized rule pack
+ * @throws {RulePackError} If the pack is invalid
+ */
+function validateRulePack(pack, source = 'rule pack') {
+  const errors = [];
+
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    throw new RulePackError(`Invalid ${source}`, ['pack must be a JSON object']);
+  }
+
+  if (pack.settings !== undefined && (typeof pack.settings !== 'object' || Array.isArray(pack.settings))) {
+    errors.push('settings must be an object');
+  }
+  const settings = { ...DEFAULT_SETTINGS, ...(pack.settings || {}) };
+  if (typeof settings.activationWindowMinutes !== 'number' || settings.activationWindowMinutes <= 0) {
+    errors.push('settings.activationWindowMinutes must be a positive number');
+  }
+
+  if (!Array.isArray(pack.rules) || pack.rules.length === 0) {
+    errors.push('rules must be a non-empty array');
+    throw new RulePackError(`Invalid ${source}`, errors);
+  }
+
+  const seenNames = new Set();
+  pack.rules.forEach((rule, index) => {
+    const label = `rules[${index}]${rule && rule.name ? ` (${rule.name})` : ''}`;
+
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    if (typeof rule.name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(rule.name)) {
+      errors.push(`${label}: name must be a snake_case string`);
+    } else if (seenNames.has(rule.name)) {
+      errors.push(`${label}: duplicate rule name '${rule.name}'`);
+    } else {
+      seenNames.add(rule.name);
+    }
+
+    if (!Number.isInteger(rule.priority)) {
+      errors.push(`${label}: priority must be an integer`);
+    }
+
+    if (!ACTIONS.includes(rule.action)) {
+      errors.push(`${label}: action '${rule.action}' is not one of ${ACTIONS.join(', ')}`);
+    }
+
+    if (typeof rule.confidence !== 'number' || rule.confidence < 0 || rule.confidence > 100) {
+      errors.push(`${label}: confidence must be a number between 0 and 100`);
+    }
+
+    for (const key of ['message', 'reasoning']) {
+      errors.push(...validateTemplate(rule[key]).map(error => `${label}: ${key} ${error}`));
+    }
+
+    // Translations of message, keyed by locale; untranslated locales get message
+    if (rule.messages !== undefined) {
+      if (!rule.messages || typeof rule.messages !== 'object' || Array.isArray(rule.messages)) {
+        errors.push(`${label}: messages must be an object keyed by locale`);
+      } else {
+        for (const [locale, template] of Object.entries(rule.messages)) {
+          if (!SUPPORTED_LOCALES.includes(locale)) {
+            errors.push(`${label}: messages.${locale} is not one of the supported locales ${SUPPORTED_LOCALES.join(', ')}`);
+          }
+          errors.push(...validateTemplate(template).map(error => `${label}: messages.${locale} ${error}`));
+        }
+      }
+    }
+
+    if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+      errors.push(`${label}: conditions must be a non-empty array`);
+      return;
+    }
+
+    rule.conditions.forEach((condition, conditionIndex) => {
+      errors.push(...validateCondition(condition).map(error =>
+        `${label}.conditions[${conditionIndex}]: ${error}`
+      ));
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new RulePackError(`Invalid ${source}`, errors);
+  }
+
+  // Stable sort keeps file order for rules sharing a priority
+  const rules = pack.rules
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => a.rule.priority - b.rule.priority || a.index - b.index)
+    .map(({ rule }) => rule);
+
+  return {
+    name: pack.name || path.basename(source, '.json'),
+    description: pack.description || '',
+    settings,
+    rules
+  };
+}
+
+/**
+ * Validate a message or reasoning template
+ * @private
+ * @returns {string[]} Errors, phrased to follow the template's name
+ */
+function validateTemplate(template) {
+  if (typeof template !== 'string' || template.trim() === '') {
+    return ['must be a non-empty string'];
+  }
+  return templateVariables(template)
+    .filter(variable => !TEMPLATE_VARIABLES.includes(variable))
+    .map(variable => `references unknown template variable '{{${variable}}}'`);
+}
+
+/**
+ * Validate a single condition
+ * @private
+ */
+function validateCondition(condition) {
+  if (!condition || typeof condition !== 'object') {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+  const root = typeof condition.field === 'string' ? condition.field.split('.')[0] : null;
+
+  if (!FIELD_ROOTS.includes(root)) {
+    errors.push(`field '${condition.field}' must start with one of ${FIELD_ROOTS.join(', ')}`);
+  } else if (root === 'intents' && !INTENTS.includes(condition.field.split('.')[1])) {
+    errors.push(`field '${condition.field}' must name one of the intents ${INTENTS.join(', ')}`);
+  }
+
+  const expectedType = OPERATORS[condition.op];
+  if (!expectedType) {
+    errors.push(`op '${condition.op}' is not one of ${Object.keys(OPERATORS).join(', ')}`);
+    return errors;
+  }
+
+  // containsAny also takes keyword lists per locale: { "en": [...], "de": [...] }
+  if (condition.op === 'containsAny' && condition.value && typeof condition.value === 'object' && !Array.isArray(condition.value)) {
+    if (Object.keys(condition.value).length === 0) {
+      errors.push(`op 'containsAny' requires at least one keyword list`);
+    }
+    for (const [locale, keywords] of Object.entries(condition.value)) {
+      if (!SUPPORTED_LOCALES.includes(locale)) {
+        errors.push(`op 'containsAny' keyword list '${locale}' is not one of the supported locales ${SUPPORTED_LOCALES.join(', ')}`);
+      } else if (!Array.isArray(keywords) || keywords.length === 0 || keywords.some(keyword => typeof keyword !== 'string')) {
+        errors.push(`op 'containsAny' keyword list '${locale}' must be a non-empty array of strings`);
+      }
+    }
+    return errors;
+  }
+
+  if (expectedType === 'array' && (!Array.isArray(condition.value) || condition.value.length === 0)) {
+    errors.push(`op '${condition.op}' requires a non-empty array value`);
+  } else if (expectedType !== 'array' && expectedType !== 'any' && typeof condition.value !== expectedType) {
+    errors.push(`op '${condition.op}' requires a ${expectedType} value`);
+  } else if (expectedType === 'any' && condition.value === undefined) {
+    errors.push(`op '${condition.op}' requires a value`);
+  }
+
+  if (condition.op === 'containsAny' && Array.isArray(condition.value) &&
+    condition.value.some(keyword => typeof keyword !== 'string')) {
+    errors.push(`op 'containsAny' requires an array of strings`);
+  }
+
+  return errors;
+}
+
+/**
+ * Extract {{variable}} placeholders from a template string
+ * @private
+ */
+function templateVariables(template) {
+  return [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]);
+}
+
+/**
+ * Read and validate a rule pack file (JSON only)
+ * @param {string} filePath - Path to a JSON rule pack
+ * @returns {object} Normalized rule pack
+ * @throws {RulePackError} If the file cannot be read, parsed or validated
+ */
+function loadRulePack(filePath = DEFAULT_PACK_PATH) {
+  // JSON is the only pack format; a YAML file would otherwise fail with a confusing parse error
+  if (/\.ya?ml$/i.test(filePath)) {
+    throw new RulePackError(`Rule pack ${filePath} is YAML - only JSON rule packs are supported, convert it to .json`);
+  }
+
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new RulePackError(`Cannot read rule pack ${filePath}: ${error.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new RulePackError(`Rule pack ${filePath} is not valid JSON: ${error.message}`);
+  }
+
+  return validateRulePack(parsed, filePath);
+}
+
+module.exports = {
+  ACTIONS,
+  OPERATORS,
+  TEMPLATE_VARIABLES,
+  DEFAULT_PACK_PATH,
+  RulePackError,
+  validateRulePack,
+  loadRulePack
+};
@@ -1,24 +1,55 @@
 const express = require('express');
 const gigsClient = require('./api/gigsClient');
 const ruleEngine = require('./rules/ruleEngine');
-const llmHandler = require('./llm/llmHandler');
+const diagnosisService = require('./services/diagnosisService');
+const jobQueue = require('./jobs/jobQueue');
+const fleetScanner = require('./jobs/fleetScanner');
+const { validateWebhookUrl } = require('./jobs/webhook');
+const { DEVICE_FIELDS, PLATFORMS, validateDevice, normalizeDevice } = require('./devices/deviceCatalog');
+const { SUPPORTED_LOCALES, normalizeLocale, resolveLocale } = require('./i18n/locales');
+const { authorize } = require('./auth/middleware');
+const { requestContext } = require('./observability/middleware');
+const { createLogger } = require('./observability/logger');
+const metrics = require('./observability/metrics');
+const readiness = require('./health/readiness');
+const { checkConfig } = require('./health/configCheck');
+const { envNumber } = require('./utils/env');
+const { validateUserIssue } = require('./utils/validation');
+const adminRoutes = require('./routes/admin');
+const auditRoutes = require('./routes/audit');
+const caseRoutes = require('./routes/cases');
+const sessionRoutes = require('./routes/sessions');
 require('dotenv').config();
 
+const logger = createLogger('server');
+
 const app = express();
 app.use(express.json());
+app.use(requestContext);
+app.use('/admin', adminRoutes);
+app.use('/', caseRoutes);
+app.use('/', auditRoutes);
+app.use('/', sessionRoutes);
 
 const PORT = process.env.PORT || 3000;
 
 /**
  * Main diagnostic endpoint
  * POST /diagnose
- * Body: { subscriptionId: string, userIssue: string }
+ * Body: { subscriptionId: string, userIssue: string, locale?: string, device?: object, verify?: boolean,
+ *         callbackUrl?: string, async?: boolean, webhookUrl?: string }
+ * Add ?explain=true for a dry-run trace (same as POST /diagnose/explain)
+ * Add ?async=true (or "async": true) to queue the diagnosis and get a job ID back immediately
+ * Requires the chatbot role (or higher)
  */
-app.post('/diagnose', async (req, res) => {
-  const startTime = Date.now();
+app.post('/diagnose', authorize('chatbot'), async (req, res) => {
+  if (req.query.explain === 'true') {
+    return explainDiagnosis(req, res);
+  }
 
   try {
-    const { subscriptionId, userIssue } = req.body;
+    const { subscriptionId, userIssue, locale, device, verify, callbackUrl, webhookUrl } = req.body;
+    const principal = req.principal;
 
     // Validation
     if (!subscriptionId || !userIssue) {
@@ -28,119 +59,215 @@ app.post('/diagnose', async (req, res) => {
       });
     }
 
-    console.log(`\n[DIAGNOSE] Starting diagnosis for subscription: ${subscriptionId}`);
-    console.log(`[DIAGNOSE] User issue: "${userIssue}"\n`);
+    const issueError = validateUserIssue(userIssue);
+    if (issueError) {
+      return res.status(400).json({ error: issueError });
+    }
 
-    // Step 1: Fetch subscription data from Gigs API
-    console.log('[STEP 1] Fetching subscription data from Gigs API...');
-    const subscriptionResponse = await gigsClient.getSubscription(subscriptionId);
+    if (locale !== undefined && !normalizeLocale(locale)) {
+      return res.status(400).json({ error: 'Unsupported locale', supported: SUPPORTED_LOCALES });
+    }
 
-    if (!subscriptionResponse.success) {
-      return res.status(500).json({
-        error: 'Failed to fetch subscription data',
-        details: subscriptionResponse.error
+    const deviceErrors = device === undefined ? [] : validateDevice(device);
+    if (deviceErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid device', details: deviceErrors });
+    }
+    // Only the known fields are kept on the case
+    const deviceInfo = normalizeDevice(device);
+
+    for (const [field, url] of [['callbackUrl', callbackUrl], ['webhookUrl', webhookUrl]]) {
+      const urlError = url === undefined ? null : validateWebhookUrl(url);
+      if (urlError) {
+        return res.status(400).json({ error: `${field} ${urlError}` });
+      }
+    }
+
+    if (req.query.async === 'true' || req.body.async === true) {
+      const job = jobQueue.enqueue('diagnosis', async () => {
+        const { status, body } = await diagnosisService.diagnose({ subscriptionId, userIssue, locale, device: deviceInfo, verify, callbackUrl, principal });
+        if (status >= 400) {
+          const error = new Error(body.error);
+          error.details = body;
+          throw error;
+        }
+        return body;
+      }, { input: { subscriptionId, userIssue, locale, requestedBy: principal.id }, webhookUrl });
+
+      return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/diagnose/jobs/${job.id}`,
+        webhookUrl: webhookUrl || null
       });
     }
 
-    const subscriptionData = subscriptionResponse.data;
-    console.log(`[STEP 1] ✓ Got subscription data - SIM status: ${subscriptionData.sim?.status}, Subscription status: ${subscriptionData.status}`);
+    const { status, body } = await diagnosisService.diagnose({ subscriptionId, userIssue, locale, device: deviceInfo, verify, callbackUrl, principal });
+    return res.status(status).json(body);
 
-    // Step 2: Try rule engine first
-    console.log('\n[STEP 2] Running rule engine...');
-    const ruleResult = ruleEngine.evaluate(subscriptionData, userIssue);
+  } catch (error) {
+    logger.error('Unhandled error', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
 
-    if (ruleResult) {
-      console.log(`[STEP 2] ✓ Rule matched: ${ruleResult.ruleName}`);
+/**
+ * Batch diagnosis
+ * POST /diagnose/batch
+ * Body: { items: [{ subscriptionId, userIssue, locale?, device? }], async?: boolean, webhookUrl?: string }
+ *   or { subscriptionIds: string[], userIssue: string, locale?: string } to send one message for many subscriptions
+ * Every item is a full diagnosis with its own case, run BATCH_CONCURRENCY at a time (at most BATCH_MAX_ITEMS items)
+ * Requires the agent role
+ */
+app.post('/diagnose/batch', authorize('agent'), async (req, res) => {
+  try {
+    const { subscriptionIds, userIssue, locale, webhookUrl } = req.body;
+    const items = Array.isArray(subscriptionIds)
+      ? subscriptionIds.map(subscriptionId => ({ subscriptionId, userIssue, locale }))
+      : req.body.items;
+    const maxItems = envNumber('BATCH_MAX_ITEMS', 100);
 
-      // Execute action if needed
-      let actionResult = null;
-      if (ruleResult.action === 'reprovision' && ruleResult.simId) {
-        console.log('[ACTION] Triggering SIM reprovision...');
-        actionResult = await gigsClient.reprovisionSIM(ruleResult.simId);
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Provide a non-empty items array or subscriptionIds with a userIssue' });
+    }
+    if (items.length > maxItems) {
+      return res.status(400).json({ error: `A batch can hold at most ${maxItems} items`, count: items.length });
+    }
+    for (const [index, item] of items.entries()) {
+      if (!item || typeof item.subscriptionId !== 'string' || typeof item.userIssue !== 'string' || !item.subscriptionId || !item.userIssue) {
+        return res.status(400).json({ error: 'Invalid batch item', index, required: ['subscriptionId', 'userIssue'] });
+      }
+      const issueError = validateUserIssue(item.userIssue);
+      if (issueError) {
+        return res.status(400).json({ error: issueError, index });
       }
+      if (item.locale !== undefined && !normalizeLocale(item.locale)) {
+        return res.status(400).json({ error: 'Unsupported locale', index, supported: SUPPORTED_LOCALES });
+      }
+      const deviceErrors = item.device === undefined ? [] : validateDevice(item.device);
+      if (deviceErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid device', index, details: deviceErrors });
+      }
+    }
+    const webhookUrlError = webhookUrl === undefined ? null : validateWebhookUrl(webhookUrl);
+    if (webhookUrlError) {
+      return res.status(400).json({ error: `webhookUrl ${webhookUrlError}` });
+    }
 
-      const response = {
-        method: 'rule_engine',
-        rule: ruleResult.ruleName,
-        confidence: ruleResult.confidence,
-        action: ruleResult.action,
-        message: ruleResult.message,
-        reasoning: ruleResult.reasoning,
-        actionResult: actionResult,
-        apiCalls: [
-          `GET /subscriptions/${subscriptionId}`,
-          ...(actionResult ? [`POST /sims/${ruleResult.simId}/reprovision`] : [])
-        ],
-        processingTimeMs: Date.now() - startTime
-      };
-
-      console.log(`\n[RESULT] Rule engine resolved the issue`);
-      return res.json(response);
-    }
-
-    console.log('[STEP 2] ✗ No rule matched - falling back to LLM');
-
-    // Step 3: Fall back to LLM for ambiguous cases
-    console.log('\n[STEP 3] Calling LLM for diagnosis...');
-    const llmResult = await llmHandler.diagnose(subscriptionData, userIssue);
-
-    if (!llmResult.success) {
-      console.log('[STEP 3] ✗ LLM failed - escalating to human');
-      return res.json({
-        method: 'llm_failed',
-        confidence: 0,
-        action: 'escalate',
-        message: 'Unable to diagnose automatically. A support agent will review your case.',
-        reasoning: llmResult.error,
-        apiCalls: [`GET /subscriptions/${subscriptionId}`],
-        processingTimeMs: Date.now() - startTime
+    const principal = req.principal;
+    const runBatch = () => diagnosisService.diagnoseBatch(
+      items.map(({ subscriptionId, userIssue, locale, device }) => ({ subscriptionId, userIssue, locale, device: normalizeDevice(device) })),
+      { principal, concurrency: envNumber('BATCH_CONCURRENCY', 4) }
+    );
+
+    if (req.query.async === 'true' || req.body.async === true) {
+      const job = jobQueue.enqueue('diagnosis_batch', runBatch, {
+        input: { count: items.length, requestedBy: principal.id },
+        webhookUrl
       });
+      return res.status(202).json({ jobId: job.id, status: job.status, statusUrl: `/diagnose/jobs/${job.id}`, webhookUrl: webhookUrl || null });
     }
 
-    const diagnosis = llmResult.diagnosis;
-    console.log(`[STEP 3] ✓ LLM diagnosis: ${diagnosis.diagnosis} (confidence: ${diagnosis.confidence}%)`);
+    res.json(await runBatch());
 
-    // Execute action if LLM recommends and confidence is high enough
-    let actionResult = null;
-    if (diagnosis.confidence >= 80) {
-      if (diagnosis.recommendedAction === 'reprovision' && subscriptionData.sim?.id) {
-        console.log('[ACTION] LLM recommended reprovision - executing...');
-        actionResult = await gigsClient.reprovisionSIM(subscriptionData.sim.id);
-      }
-    } else {
-      console.log(`[ACTION] Confidence too low (${diagnosis.confidence}%) - escalating to human`);
-      diagnosis.recommendedAction = 'escalate';
-    }
-
-    const response = {
-      method: 'llm',
-      confidence: diagnosis.confidence,
-      action: diagnosis.recommendedAction,
-      message: diagnosis.userMessage || diagnosis.diagnosis,
-      reasoning: diagnosis.reasoning,
-      actionResult: actionResult,
-      apiCalls: [
-        `GET /subscriptions/${subscriptionId}`,
-        'POST /models/gemini-2.5-flash:generateContent (Gemini API)',
-        ...(actionResult ? [`POST /sims/${subscriptionData.sim.id}/reprovision`] : [])
-      ],
-      processingTimeMs: Date.now() - startTime
-    };
+  } catch (error) {
+    logger.error('Unhandled error', { error });
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Asynchronous diagnosis job status
+ * GET /diagnose/jobs/:id
+ */
+app.get('/diagnose/jobs/:id', authorize('chatbot'), (req, res) => {
+  const job = jobQueue.describe(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', jobId: req.params.id });
+  }
+
+  res.json(job);
+});
+
+/**
+ * Dry-run diagnostic endpoint
+ * POST /diagnose/explain
+ * Body: { subscriptionId: string, userIssue: string, locale?: string, device?: object }
+ * Traces every rule against the subscription without executing any action or calling the LLM
+ */
+app.post('/diagnose/explain', authorize('chatbot'), (req, res) => explainDiagnosis(req, res));
+
+async function explainDiagnosis(req, res) {
+  const startTime = Date.now();
+
+  try {
+    const { subscriptionId, userIssue } = req.body;
+
+    if (!subscriptionId || !userIssue) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['subscriptionId', 'userIssue']
+      });
+    }
+
+    const issueError = validateUserIssue(userIssue);
+    if (issueError) {
+      return res.status(400).json({ error: issueError });
+    }
 
-    console.log(`\n[RESULT] LLM diagnosis complete`);
-    return res.json(response);
+    if (req.body.locale !== undefined && !normalizeLocale(req.body.locale)) {
+      return res.status(400).json({ error: 'Unsupported locale', supported: SUPPORTED_LOCALES });
+    }
+
+    const deviceErrors = req.body.device === undefined ? [] : validateDevice(req.body.device);
+    if (deviceErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid device', details: deviceErrors });
+    }
+
+    logger.info('Explain dry-run', { subscriptionId, principal: req.principal.id });
+    const subscriptionResponse = await gigsClient.getSubscription(subscriptionId);
+
+    if (!subscriptionResponse.success) {
+      return res.status(500).json({
+        error: 'Failed to fetch subscription data',
+        details: subscriptionResponse.error
+      });
+    }
+
+    const rulePack = ruleEngine.getActiveVersion();
+    const locale = resolveLocale(req.body.locale, userIssue);
+    const trace = ruleEngine.explain(subscriptionResponse.data, userIssue, ruleEngine.pack, {
+      locale: locale.code,
+      device: normalizeDevice(req.body.device)
+    });
+
+    return res.json({
+      method: 'explain',
+      dryRun: true,
+      rulePack: rulePack,
+      locale: locale,
+      ...trace,
+      apiCalls: [`GET /subscriptions/${subscriptionId} (cache ${subscriptionResponse.cache})`],
+      processingTimeMs: Date.now() - startTime
+    });
 
   } catch (error) {
-    console.error('\n[ERROR]', error);
+    logger.error('Unhandled error', { error });
     return res.status(500).json({
       error: 'Internal server error',
       details: error.message
     });
   }
-});
+}
 
 /**
- * Health check endpoint
+ * Health check endpoint (liveness: the process is up)
  */
 app.get('/health', (req, res) => {
   res.json({
@@ -150,6 +277,31 @@ app.get('/health', (req, res) => {
   });
 });
 
+/**
+ * Readiness check
+ * GET /ready
+ * Checks configuration and probes Gigs and the LLM chain (results cached for
+ * READY_CACHE_TTL_MS). Answers 503 while anything is down.
+ */
+app.get('/ready', async (req, res) => {
+  try {
+    const { ready, checkedAt, checks } = await readiness.check();
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checkedAt, checks });
+  } catch (error) {
+    logger.error('Readiness check failed', { error });
+    res.status(503).json({ status: 'not_ready', error: error.message });
+  }
+});
+
+/**
+ * Prometheus metrics
+ * GET /metrics
+ */
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4');
+  res.send(metrics.registry.render());
+});
+
 /**
  * Root endpoint with API documentation
  */
@@ -157,33 +309,165 @@ app.get('/', (req, res) => {
   res.json({
     name: 'Gigs eSIM Automation Prototype',
     description: 'Rule Engine + LLM hybrid for eSIM activation issue diagnosis',
+    authentication: {
+      headers: 'X-API-Key: <key> or Authorization: Bearer <key or JWT>',
+      roles: {
+        chatbot: '/diagnose, /diagnose/explain, /diagnose/jobs and /sessions',
+        agent: 'everything chatbot can, plus /diagnose/batch, /cases and /subscriptions/:id/cases',
+        admin: 'everything agent can, plus /admin and /audit'
+      },
+      public: ['GET /', 'GET /health', 'GET /ready', 'GET /metrics']
+    },
     endpoints: {
       'POST /diagnose': {
         description: 'Diagnose eSIM activation issues',
         body: {
           subscriptionId: 'string (required) - Gigs subscription ID',
-          userIssue: 'string (required) - User description of the problem'
+          userIssue: 'string (required) - User description of the problem',
+          locale: `string (optional) - ${SUPPORTED_LOCALES.join(' | ')}; detected from userIssue when omitted`,
+          device: `object (optional) - { ${Object.keys(DEVICE_FIELDS).join(', ')} }, os one of ${PLATFORMS.join(' | ')}; feeds device rules, the LLM prompt and the settings guide`,
+          verify: 'boolean (optional) - poll the SIM after a reprovision until it is active (default: VERIFY_REPROVISION)',
+          callbackUrl: 'string (optional) - URL that receives the verification outcome',
+          async: 'boolean (optional) - queue the diagnosis and return a job ID immediately (also ?async=true)',
+          webhookUrl: 'string (optional, async only) - URL that receives the signed final result'
         },
         example: {
           subscriptionId: 'sub_0SNlurA049MEWV2gSfSxi00xlPIi',
           userIssue: 'my eSIM has been stuck for 2 hours'
         }
       },
+      'POST /diagnose/batch': {
+        description: 'Diagnose many subscriptions (agent role); each item gets its own case',
+        body: {
+          items: 'array (required unless subscriptionIds) - [{ subscriptionId, userIssue, locale?, device? }]',
+          subscriptionIds: 'array (optional) - shorthand with one shared userIssue and locale',
+          async: 'boolean (optional) - run as a job and return a job ID immediately',
+          webhookUrl: 'string (optional, async only) - URL that receives the signed batch result'
+        }
+      },
+      'GET /diagnose/jobs/:id': {
+        description: 'Status and result of an asynchronous diagnosis, batch or fleet scan job'
+      },
+      'POST /diagnose/explain': {
+        description: 'Dry-run trace of every rule (conditions, values seen, shadowing) - no actions, no LLM call. Also available as POST /diagnose?explain=true',
+        body: {
+          subscriptionId: 'string (required) - Gigs subscription ID',
+          userIssue: 'string (required) - User description of the problem',
+          device: 'object (optional) - as for POST /diagnose'
+        }
+      },
+      'POST /sessions': {
+        description: 'Start a conversational diagnosis; unclear issues get a clarifying question instead of an immediate escalation',
+        body: {
+          subscriptionId: 'string (required) - Gigs subscription ID',
+          message: 'string (required) - First customer message',
+          locale: 'string (optional) - as for POST /diagnose; kept for the whole session',
+          device: 'object (optional) - as for POST /diagnose; kept for the whole session',
+          verify: 'boolean (optional) - as for POST /diagnose',
+          callbackUrl: 'string (optional) - as for POST /diagnose'
+        }
+      },
+      'POST /sessions/:id/messages': {
+        description: 'Reply to a session; rules and LLM re-run on the whole conversation',
+        body: {
+          message: 'string (required) - Customer reply'
+        }
+      },
+      'GET /sessions/:id': {
+        description: 'Conversation history, status and remaining clarifying turns of a session'
+      },
+      'GET /cases/:id': {
+        description: 'A saved diagnosis case: subscription snapshot, rule/LLM output, action taken and timing'
+      },
+      'GET /cases/:id/verification': {
+        description: 'Post-reprovision verification status for a case'
+      },
+      'GET /subscriptions/:id/cases': {
+        description: 'Diagnosis history for a subscription, newest first'
+      },
+      'GET /audit/export': {
+        description: 'Hash-chained audit entries of automated Gigs actions',
+        query: {
+          simId: 'string (optional)',
+          subscriptionId: 'string (optional)',
+          from: 'ISO timestamp (optional, inclusive)',
+          to: 'ISO timestamp (optional, inclusive)',
+          format: 'json (default) | jsonl'
+        }
+      },
+      'GET /audit/verify': {
+        description: 'Check the audit log hash chain for tampering'
+      },
       'GET /health': {
-        description: 'Health check endpoint'
+        description: 'Liveness check: the process is up'
+      },
+      'GET /ready': {
+        description: 'Readiness check: configuration plus Gigs and LLM probes with status and latency (503 while a dependency is down)'
+      },
+      'GET /metrics': {
+        description: 'Prometheus metrics: diagnoses by rule/action/method, escalations by reason, stage latency, LLM tokens'
+      },
+      'GET /admin/rules': {
+        description: 'Active rule pack, its rules and version history'
+      },
+      'PUT /admin/rules': {
+        description: 'Validate, corpus-check and activate a new rule pack (?force=true to skip corpus failures)'
+      },
+      'POST /admin/rules/reload': {
+        description: 'Re-read the rule pack file from disk and activate it'
+      },
+      'POST /admin/rules/rollback': {
+        description: 'Roll back to a previous rule pack version',
+        body: {
+          version: 'number (optional) - defaults to the version before the active one'
+        }
+      },
+      'POST /admin/scan': {
+        description: 'Scan every subscription for stuck provisioning and billing holds, optionally fixing them (runs as a job)',
+        body: {
+          fix: 'boolean (optional) - run each finding through the diagnosis pipeline (default: SCAN_FIX)',
+          dryRun: 'boolean (optional) - report planned fixes without making them (default: SCAN_DRY_RUN)',
+          concurrency: 'number (optional) - fixes in flight at once (default: SCAN_CONCURRENCY)',
+          maxSubscriptions: 'number (optional) - stop after this many subscriptions (default: SCAN_MAX_SUBSCRIPTIONS)'
+        }
+      },
+      'GET /admin/scan': {
+        description: 'Scan schedule and the last scan report'
       }
     },
     repository: 'https://github.com/[your-username]/gigs-esim-prototype'
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`\n🚀 Gigs eSIM Automation Prototype running on http://localhost:${PORT}`);
-  console.log(`\n📋 Endpoints:`);
-  console.log(`   POST http://localhost:${PORT}/diagnose`);
-  console.log(`   GET  http://localhost:${PORT}/health`);
-  console.log(`\n💡 See README.md for usage examples\n`);
-});
+// Start server (skipped when required by the test harness)
+if (require.main === module) {
+  const { errors, warnings } = checkConfig();
+  warnings.forEach(warning => logger.warn(`Configuration: ${warning}`));
+  if (errors.length > 0) {
+    logger.error('Invalid configuration - refusing to start', { errors });
+    process.exit(1);
+  }
+
+  fleetScanner.start();
+  app.listen(PORT, () => {
+    console.log(`\n🚀 Gigs eSIM Automation Prototype running on http://localhost:${PORT}`);
+    console.log(`\n📋 Endpoints:`);
+    console.log(`   POST http://localhost:${PORT}/diagnose`);
+    console.log(`   POST http://localhost:${PORT}/diagnose/batch`);
+    console.log(`   GET  http://localhost:${PORT}/diagnose/jobs/:id`);
+    console.log(`   POST http://localhost:${PORT}/diagnose/explain`);
+    console.log(`   POST http://localhost:${PORT}/sessions`);
+    console.log(`   POST http://localhost:${PORT}/sessions/:id/messages`);
+    console.log(`   GET  http://localhost:${PORT}/cases/:id`);
+    console.log(`   GET  http://localhost:${PORT}/subscriptions/:id/cases`);
+    console.log(`   GET  http://localhost:${PORT}/audit/export`);
+    console.log(`   GET  http://localhost:${PORT}/health`);
+    console.log(`   GET  http://localhost:${PORT}/ready`);
+    console.log(`   GET  http://localhost:${PORT}/metrics`);
+    console.log(`   GET  http://localhost:${PORT}/admin/rules`);
+    console.log(`   POST http://localhost:${PORT}/admin/scan`);
+    console.log(`\n💡 See README.md for usage examples\n`);
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,499 @@
+/**
+ * Diagnosis pipeline
+ * Fetch subscription -> rule engine -> LLM fallback -> action,
+ * with every run saved as a case record. When a dependency's readiness
+ * probe reports it down, the pipeline escalates instead of using it.
+ */
+
+const gigsClient = require('../api/gigsClient');
+const ruleEngine = require('../rules/ruleEngine');
+const llmHandler = require('../llm/llmHandler');
+const caseStore = require('../store/caseStore');
+const actionGuard = require('../actions/actionGuard');
+const actionRegistry = require('../actions/actionRegistry');
+const verifier = require('../actions/verifier');
+const followUps = require('../actions/followUps');
+const { loadThresholds, thresholdFor } = require('../actions/thresholds');
+const escalationService = require('../escalation/escalationService');
+const readiness = require('../health/readiness');
+const { CLARIFY_ACTION } = require('../llm/diagnosisSchema');
+const { Redactor } = require('../llm/redaction');
+const { resolveLocale } = require('../i18n/locales');
+const { translate } = require('../i18n/messages');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { createLogger } = require('../observability/logger');
+const { tracer } = require('../observability/tracing');
+const { currentContext } = require('../observability/context');
+const metrics = require('../observability/metrics');
+
+const logger = createLogger('diagnosis');
+
+class DiagnosisService {
+  /**
+   * @param {object} options - { thresholds } - auto-action confidence thresholds (see actions/thresholds.js)
+   */
+  constructor({ thresholds = loadThresholds() } = {}) {
+    this.thresholds = thresholds;
+  }
+
+  /**
+   * Run a full diagnosis and record it as a case
+   * @param {object} request - { subscriptionId, userIssue, locale?: string, verify?: boolean, callbackUrl?: string,
+   *   principal?: object, device?: object } - principal is the authenticated caller ({ id, role, type }) recorded
+   *   on the case, device (see devices/deviceCatalog.js) feeds device rules, the LLM prompt and the settings guide; plus, for session turns, { sessionId, conversation: [{role, text}],
+   *   allowClarify: boolean }; source (api | session | batch | fleet_scan | follow_up) is recorded on the case,
+   *   rulesOnly skips the LLM fallback for callers that have no customer message to interpret, and followUpOf
+   *   ({ caseId, check }) marks a re-check scheduled by an earlier 'wait'
+   * @returns {Promise<{status: number, body: object}>} HTTP status and response body
+   */
+  async diagnose({
+    subscriptionId, userIssue, locale: requestedLocale, verify, callbackUrl, principal = null, device = null,
+    sessionId = null, conversation = [], allowClarify = false, followUpOf = null,
+    source = followUpOf ? 'follow_up' : sessionId ? 'session' : 'api', rulesOnly = false
+  }) {
+    const startTime = Date.now();
+    const locale = resolveLocale(requestedLocale, userIssue);
+    const timing = {};
+    const recordContext = { subscriptionId, userIssue, locale, principal, device, sessionId, source, followUpOf };
+    // Each stage is timed for the case record, traced as a span and observed in the latency histogram
+    const stage = (name, fn) => tracer.withSpan(`diagnosis.${name}`, { 'subscription.id': subscriptionId }, async () => {
+      const stageStart = Date.now();
+      try {
+        return await fn();
+      } finally {
+        timing[`${name}Ms`] = Date.now() - stageStart;
+        metrics.stageDuration.observe({ stage: name }, timing[`${name}Ms`] / 1000);
+      }
+    });
+
+    // Customer messages carry names, numbers and emails; the log only gets the masked text
+    logger.info('Diagnosis started', {
+      subscriptionId,
+      userIssue: new Redactor().redactText(userIssue, 'userIssue'),
+      userIssueLength: userIssue.length,
+      locale: locale.code,
+      localeSource: locale.source,
+      principal: principal?.id,
+      role: principal?.role,
+      sessionId,
+      source,
+      followUpOf: followUpOf?.caseId
+    });
+
+    // Without Gigs there is no subscription state to diagnose from
+    if (await readiness.isDown('gigs')) {
+      logger.warn('Gigs API is down - escalating without a diagnosis', { subscriptionId });
+      const response = {
+        method: 'degraded',
+        rulePack: ruleEngine.getActiveVersion(),
+        confidence: 0,
+        action: 'escalate',
+        message: translate('degraded', locale.code),
+        reasoning: 'The Gigs API is unavailable, so the subscription could not be checked and the case was escalated',
+        degraded: { unavailable: ['gigs'] },
+        apiCalls: []
+      };
+      return this._record(200, response, { ...recordContext, startTime, timing });
+    }
+
+    // Step 1: Fetch subscription data from Gigs API
+    // A follow-up re-check is looking for a change, so it must not be answered from the cache
+    const subscriptionResponse = await stage('fetch', () => gigsClient.getSubscription(subscriptionId, { fresh: Boolean(followUpOf) }));
+
+    if (!subscriptionResponse.success) {
+      const body = {
+        error: 'Failed to fetch subscription data',
+        details: subscriptionResponse.error
+      };
+      return this._record(500, body, { ...recordContext, method: 'fetch_failed', startTime, timing });
+    }
+
+    const subscriptionData = subscriptionResponse.data;
+    logger.info('Subscription fetched', { subscriptionId, simStatus: subscriptionData.sim?.status, subscriptionStatus: subscriptionData.status });
+
+    // Step 2: Try rule engine first
+    const rulePack = ruleEngine.getActiveVersion();
+    const actionContext = { subscriptionId, snapshot: subscriptionData, principal, locale: locale.code, device, followUpOf };
+    const ruleResult = await stage('rules', () => ruleEngine.evaluate(subscriptionData, userIssue, ruleEngine.pack, { locale: locale.code, device }));
+
+    if (ruleResult) {
+      logger.info('Rule matched', { rule: ruleResult.ruleName, action: ruleResult.action, confidence: ruleResult.confidence });
+
+      // Execute action if needed
+      const outcome = await stage('action', () =>
+        this._executeAction(ruleResult.action, {
+          ...actionContext,
+          simId: ruleResult.simId,
+          justification: {
+            method: 'rule_engine',
+            rule: ruleResult.ruleName,
+            rulePack,
+            confidence: ruleResult.confidence,
+            reasoning: ruleResult.reasoning
+          }
+        })
+      );
+      const { action, actionResult, guardrail } = outcome;
+
+      const response = {
+        method: 'rule_engine',
+        rule: ruleResult.ruleName,
+        rulePack: rulePack,
+        confidence: ruleResult.confidence,
+        action: action,
+        ...this._describeOutcome(ruleResult.message, ruleResult.reasoning, outcome, locale.code),
+        actionResult: actionResult,
+        ...(guardrail ? { guardrail } : {}),
+        apiCalls: [
+          this._describeFetch(subscriptionId, subscriptionResponse),
+          ...actionRegistry.describeCalls({ simId: ruleResult.simId }, actionResult)
+        ]
+      };
+
+      return this._record(200, response, {
+        ...recordContext, subscriptionData, startTime, timing,
+        verification: this._verificationTarget(outcome, ruleResult.simId, verify, callbackUrl),
+        followUp: this._followUpTarget(outcome, recordContext)
+      });
+    }
+
+    if (rulesOnly) {
+      const response = {
+        method: 'no_match',
+        rulePack: rulePack,
+        confidence: 0,
+        action: null,
+        message: null,
+        reasoning: 'No rule matched the subscription state and the LLM fallback was not requested',
+        apiCalls: [this._describeFetch(subscriptionId, subscriptionResponse)]
+      };
+      return this._record(200, response, { ...recordContext, subscriptionData, startTime, timing });
+    }
+
+    // Rules only: an unreachable LLM would fail slowly and then escalate anyway
+    if (await readiness.isDown('llm')) {
+      logger.warn('No rule matched and the LLM is down - escalating', { subscriptionId });
+      const response = {
+        method: 'degraded',
+        rulePack: rulePack,
+        confidence: 0,
+        action: 'escalate',
+        message: translate('degraded', locale.code),
+        reasoning: 'No rule matched and the LLM is unavailable, so the case was escalated instead of falling back to it',
+        degraded: { unavailable: ['llm'] },
+        apiCalls: [this._describeFetch(subscriptionId, subscriptionResponse)]
+      };
+      return this._record(200, response, { ...recordContext, subscriptionData, startTime, timing });
+    }
+
+    logger.info('No rule matched - falling back to LLM', { subscriptionId });
+
+    // Step 3: Fall back to LLM for ambiguous cases
+    const llmResult = await stage('llm', () => llmHandler.diagnose(subscriptionData, userIssue, { conversation, allowClarify, locale: locale.code, device }));
+
+    if (!llmResult.success) {
+      logger.warn('LLM failed - escalating to human', { error: llmResult.error });
+      const response = {
+        method: 'llm_failed',
+        rulePack: rulePack,
+        confidence: 0,
+        action: 'escalate',
+        message: translate('llm_failed', locale.code),
+        reasoning: llmResult.error,
+        llmAttempts: llmResult.attempts,
+        apiCalls: [
+          this._describeFetch(subscriptionId, subscriptionResponse),
+          ...llmResult.apiCalls
+        ]
+      };
+      return this._record(200, response, { ...recordContext, subscriptionData, llmResult, startTime, timing });
+    }
+
+    const diagnosis = llmResult.diagnosis;
+    logger.info('LLM diagnosis', {
+      provider: llmResult.provider?.name,
+      diagnosis: diagnosis.diagnosis,
+      recommendedAction: diagnosis.recommendedAction,
+      confidence: diagnosis.confidence
+    });
+
+    // Execute action if LLM recommends and confidence reaches the action's threshold
+    // The diagnosis itself is kept as the LLM returned it, so the case shows what was proposed
+    const threshold = thresholdFor(diagnosis.recommendedAction, this.thresholds);
+    let action;
+    let outcome = { actionResult: null, guardrail: null, actionFailed: false };
+    let message = diagnosis.userMessage || diagnosis.diagnosis;
+    if (diagnosis.recommendedAction === CLARIFY_ACTION || (allowClarify && diagnosis.confidence < threshold)) {
+      // In a session an unsure diagnosis asks the customer instead of escalating
+      logger.info('Asking the customer a clarifying question', { confidence: diagnosis.confidence, threshold });
+      message = diagnosis.recommendedAction === CLARIFY_ACTION ? diagnosis.clarifyingQuestion : translate('clarify_default', locale.code);
+      action = CLARIFY_ACTION;
+    } else if (diagnosis.confidence >= threshold) {
+      outcome = await stage('action', () =>
+        this._executeAction(diagnosis.recommendedAction, {
+          ...actionContext,
+          simId: subscriptionData.sim?.id,
+          justification: {
+            method: 'llm',
+            provider: llmResult.provider,
+            rulePack,
+            diagnosis: diagnosis.diagnosis,
+            confidence: diagnosis.confidence,
+            reasoning: diagnosis.reasoning
+          }
+        })
+      );
+      action = outcome.action;
+    } else {
+      logger.info('Confidence too low - escalating to human', { confidence: diagnosis.confidence, threshold, recommendedAction: diagnosis.recommendedAction });
+      action = 'escalate';
+    }
+
+    const response = {
+      method: 'llm',
+      rulePack: rulePack,
+      provider: llmResult.provider,
+      llmValidation: llmResult.validation,
+      confidence: diagnosis.confidence,
+      autoActionThreshold: { action: diagnosis.recommendedAction, threshold },
+      action: action,
+      ...this._describeOutcome(message, diagnosis.reasoning, outcome, locale.code),
+      actionResult: outcome.actionResult,
+      ...(outcome.guardrail ? { guardrail: outcome.guardrail } : {}),
+      apiCalls: [
+        this._describeFetch(subscriptionId, subscriptionResponse),
+        ...llmResult.apiCalls,
+        ...actionRegistry.describeCalls({ simId: subscriptionData.sim?.id }, outcome.actionResult)
+      ]
+    };
+
+    return this._record(200, response, {
+      ...recordContext, subscriptionData, llmResult, startTime, timing,
+      verification: this._verificationTarget(outcome, subscriptionData.sim?.id, verify, callbackUrl),
+      followUp: this._followUpTarget(outcome, recordContext)
+    });
+  }
+
+  /**
+   * Diagnose many subscriptions, at most `concurrency` at a time
+   * Each item is a full diagnosis with its own case; one failing item does not stop the rest
+   * @param {object[]} items - [{ subscriptionId, userIssue, locale? }]
+   * @param {object} options - { principal, concurrency }
+   * @returns {Promise<{summary: object, results: object[]}>} results are in item order
+   */
+  async diagnoseBatch(items, { principal = null, concurrency = 4 } = {}) {
+    const results = await mapWithConcurrency(items, concurrency, async ({ subscriptionId, userIssue, locale, device = null }) => {
+      try {
+        const { status, body } = await this.diagnose({ subscriptionId, userIssue, locale, device, principal, source: 'batch' });
+        return { subscriptionId, status, ...body };
+      } catch (error) {
+        logger.error('Batch item failed', { subscriptionId, error });
+        return { subscriptionId, status: 500, error: 'Internal server error', details: error.message };
+      }
+    });
+
+    const byAction = {};
+    for (const result of results.filter(result => result.status < 400)) {
+      byAction[result.action] = (byAction[result.action] || 0) + 1;
+    }
+    const failed = results.filter(result => result.status >= 400).length;
+
+    return {
+      summary: { total: results.length, succeeded: results.length - failed, failed, byAction },
+      results
+    };
+  }
+
+  /**
+   * Run an action's handler (see actions/actionRegistry.js) behind the action guardrails.
+   * An action whose preconditions fail, or that is blocked or fails, is switched to 'escalate'.
+   * @private
+   * @param {object} context - { simId, subscriptionId, snapshot, principal, justification, locale, device, followUpOf }
+   * @returns {Promise<{action: string, actionResult: object|null, guardrail: object|null, actionFailed: boolean}>}
+   */
+  async _executeAction(action, context) {
+    if (!actionRegistry.get(action)) {
+      return { action, actionResult: null, guardrail: null, actionFailed: false };
+    }
+
+    // An action that cannot run must not use up a guardrail slot
+    const ready = actionRegistry.checkPreconditions(action, context).every(precondition => precondition.passed);
+    const decision = ready ? actionGuard.authorize(action, context.simId) : { allowed: true };
+    if (!decision.allowed) {
+      logger.warn('Guardrail blocked action - escalating to human', { action, simId: context.simId, reason: decision.reason });
+      return {
+        action: 'escalate',
+        actionResult: null,
+        actionFailed: false,
+        guardrail: {
+          overridden: true,
+          originalAction: action,
+          reason: decision.reason,
+          retryAfterSeconds: decision.retryAfterSeconds,
+          reasoning: `Guardrail override: ${decision.reason}, so the case was escalated instead of repeating ${action}`
+        }
+      };
+    }
+
+    const actionResult = await actionRegistry.execute(action, context);
+    if (!actionResult.success) {
+      logger.warn('Action failed - escalating to human', {
+        action,
+        simId: context.simId,
+        status: actionResult.status,
+        kind: actionResult.error?.kind,
+        error: actionResult.error?.message
+      });
+      return { action: 'escalate', actionResult, guardrail: null, actionFailed: true, failedAction: action };
+    }
+    return { action, actionResult, guardrail: null, actionFailed: false };
+  }
+
+  /**
+   * Customer message and reasoning, adjusted when the planned action was blocked or failed
+   * @private
+   */
+  _describeOutcome(message, reasoning, outcome, locale) {
+    if (outcome.guardrail) {
+      return { message: translate('guardrail', locale), reasoning: `${reasoning}. ${outcome.guardrail.reasoning}` };
+    }
+    if (outcome.actionFailed) {
+      const { status, error } = outcome.actionResult;
+      if (status === 'precondition_failed') {
+        return {
+          message: translate('action_unavailable', locale),
+          reasoning: `${reasoning}. ${outcome.failedAction} could not run (${error.message}), so the case was escalated`
+        };
+      }
+      return {
+        // The reprovision message tells the customer their eSIM reset did not go through
+        message: translate(outcome.failedAction === 'reprovision' ? 'action_failed' : 'action_unavailable', locale),
+        reasoning: `${reasoning}. ${outcome.failedAction} failed${error.attempts ? ` after ${error.attempts} attempt(s)` : ''} (${error.kind}: ${error.message}), so the case was escalated`
+      };
+    }
+    return { message, reasoning };
+  }
+
+  /**
+   * apiCalls entry for the subscription read, noting whether the read cache answered it
+   * @private
+   */
+  _describeFetch(subscriptionId, response) {
+    return `GET /subscriptions/${subscriptionId} (cache ${response.cache})`;
+  }
+
+  /**
+   * What to verify after the action, or null when no verification should run
+   * @private
+   */
+  _verificationTarget(outcome, simId, requested, callbackUrl) {
+    const verifiable = actionRegistry.get(outcome.action)?.verifiable;
+    if (!verifiable || !outcome.actionResult?.success || outcome.actionResult.mocked || !verifier.isEnabled(requested)) {
+      return null;
+    }
+    return { simId, callbackUrl };
+  }
+
+  /**
+   * Re-check to schedule after a 'wait', or null when none is planned
+   * @private
+   */
+  _followUpTarget(outcome, { subscriptionId, userIssue, locale, principal, device }) {
+    const planned = outcome.action === 'wait' && outcome.actionResult?.followUp;
+    if (!planned) {
+      return null;
+    }
+    return {
+      ...planned,
+      // The re-check has no new customer message, so it only needs the rules
+      request: { subscriptionId, userIssue, locale: locale.code, principal, device, rulesOnly: true }
+    };
+  }
+
+  /**
+   * Save the run as a case, hand escalations to a human and finish the response body
+   * @private
+   */
+  async _record(status, body, {
+    subscriptionId, userIssue, locale, principal = null, device = null, sessionId = null, source = 'api', followUpOf = null,
+    subscriptionData = null, llmResult = null, method, startTime, timing, verification = null, followUp = null
+  }) {
+    body.locale = locale;
+    body.processingTimeMs = Date.now() - startTime;
+    const context = currentContext();
+
+    const record = caseStore.create({
+      subscriptionId,
+      userIssue,
+      locale,
+      sessionId,
+      source,
+      followUpOf,
+      principal,
+      device,
+      requestId: context?.requestId || null,
+      traceId: context?.span?.traceId || null,
+      subscriptionSnapshot: subscriptionData,
+      method: body.method || method,
+      rule: body.rule || null,
+      rulePack: body.rulePack || null,
+      llm: llmResult && {
+        provider: llmResult.provider,
+        diagnosis: llmResult.diagnosis,
+        validation: llmResult.validation || null,
+        attempts: llmResult.attempts,
+        redaction: llmResult.redaction || null
+      },
+      confidence: body.confidence ?? null,
+      autoActionThreshold: body.autoActionThreshold || null,
+      action: body.action || null,
+      message: body.message || null,
+      reasoning: body.reasoning || null,
+      actionResult: body.actionResult || null,
+      guardrail: body.guardrail || null,
+      error: body.error ? { message: body.error, details: body.details } : null,
+      timing: { ...timing, totalMs: body.processingTimeMs }
+    });
+
+    body.caseId = record.id;
+    metrics.stageDuration.observe({ stage: 'total' }, body.processingTimeMs / 1000);
+    metrics.diagnoses.inc({ method: record.method, rule: record.rule || 'none', action: record.action || 'none' });
+    logger.info('Diagnosis complete', {
+      caseId: record.id,
+      method: record.method,
+      rule: record.rule,
+      action: record.action,
+      confidence: record.confidence,
+      durationMs: body.processingTimeMs
+    });
+
+    const reason = escalationService.reasonFor(record);
+    if (reason) {
+      // Records the ticket on the case; delivery to the sinks finishes in the background
+      const escalation = escalationService.escalate(record, reason);
+      body.escalation = {
+        ticketId: escalation.ticketId,
+        priority: escalation.priority,
+        reason: reason.code
+      };
+    }
+
+    if (verification) {
+      const state = verifier.start(record.id, { ...verification, subscriptionId });
+      body.verification = {
+        status: state.status,
+        statusUrl: `/cases/${record.id}/verification`,
+        callbackUrl: verification.callbackUrl || null
+      };
+    }
+
+    if (followUp) {
+      const state = followUps.schedule(record.id, followUp, request => this.diagnose(request));
+      body.followUp = { status: state.status, check: state.check, recheckAt: state.recheckAt };
+    }
+
+    return { status, body };
+  }
+}
+
+module.exports = new DiagnosisService();
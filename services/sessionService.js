@@ -0,0 +1,189 @@
+/**
+ * Multi-turn diagnosis sessions
+ * Each customer message re-runs the full pipeline (rules, then LLM) on
+ * everything the customer has said so far. While clarifying turns remain,
+ * an unsure LLM asks a follow-up question instead of escalating; once they
+ * are used up the session escalates like a one-shot diagnosis would.
+ * A session belongs to the principal that opened it, and takes no more
+ * messages once it is resolved or escalated.
+ */
+
+require('dotenv').config();
+const sessionStore = require('../store/sessionStore');
+const diagnosisService = require('./diagnosisService');
+const { envNumber } = require('../utils/env');
+const { DEFAULT_MAX_USER_ISSUE_LENGTH } = require('../utils/validation');
+const { hasRole } = require('../auth/config');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger('sessions');
+
+class SessionService {
+  /**
+   * @param {object} options - { maxClarifications, maxTurns }
+   */
+  constructor({
+    maxClarifications = envNumber('SESSION_MAX_CLARIFICATIONS', 2),
+    maxTurns = envNumber('SESSION_MAX_TURNS', 10)
+  } = {}) {
+    this.maxClarifications = maxClarifications;
+    this.maxTurns = maxTurns;
+  }
+
+  /**
+   * Open a session and diagnose the customer's first message
+   * @param {object} request - { subscriptionId, message, locale?, device?, verify?, callbackUrl?, principal? }
+   * @returns {Promise<{status: number, body: object}>}
+   */
+  async start({ subscriptionId, message, locale, device, ...options }) {
+    const session = sessionStore.create(subscriptionId, locale, device, options.principal?.id);
+    logger.info('Session opened', { sessionId: session.id, subscriptionId });
+    return this._turn(session, message, options);
+  }
+
+  /**
+   * Add a customer reply to a session and diagnose again
+   * @param {string} sessionId - Session ID
+   * @param {object} request - { message, verify?, callbackUrl?, principal? }
+   * @returns {Promise<{status: number, body: object}>}
+   */
+  async reply(sessionId, { message, ...options }) {
+    const session = this._find(sessionId, options.principal);
+    if (!session) {
+      return { status: 404, body: { error: 'Session not found', sessionId } };
+    }
+    if (session.status === 'escalated') {
+      return {
+        status: 409,
+        body: { error: 'Session has been escalated to a support agent', sessionId, status: session.status }
+      };
+    }
+    if (session.status === 'resolved') {
+      return {
+        status: 409,
+        body: { error: 'Session is resolved - open a new session for a new issue', sessionId, status: session.status }
+      };
+    }
+    if (this._userMessages(session).length >= this.maxTurns) {
+      return {
+        status: 409,
+        body: { error: `Session has reached SESSION_MAX_TURNS (${this.maxTurns} messages)`, sessionId, status: session.status }
+      };
+    }
+    return this._turn(session, message, options);
+  }
+
+  /**
+   * Public view of a session
+   * @param {string} sessionId - Session ID
+   * @param {object} principal - Caller; only the principal that opened the session, or an admin, may see it
+   * @returns {object|null}
+   */
+  describe(sessionId, principal) {
+    const session = this._find(sessionId, principal);
+    return session && { ...session, clarificationsRemaining: this._clarificationsRemaining(session) };
+  }
+
+  /**
+   * Session by ID, hidden from principals other than its owner and admins
+   * @private
+   */
+  _find(sessionId, principal) {
+    const session = sessionStore.get(sessionId);
+    if (!session || (session.principalId && session.principalId !== principal?.id && !hasRole(principal?.role, 'admin'))) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Record the customer's message, diagnose the whole conversation and record the answer
+   * @private
+   */
+  async _turn(session, message, { verify, callbackUrl, principal }) {
+    sessionStore.addTurn(session.id, { role: 'user', text: message });
+
+    const { status, body } = await diagnosisService.diagnose({
+      subscriptionId: session.subscriptionId,
+      userIssue: this._userIssue(session),
+      locale: session.locale,
+      device: session.device,
+      verify,
+      callbackUrl,
+      principal,
+      sessionId: session.id,
+      conversation: session.turns,
+      allowClarify: this._clarificationsRemaining(session) > 0
+    });
+
+    if (status >= 400) {
+      return { status, body: { sessionId: session.id, ...body } };
+    }
+
+    sessionStore.addTurn(session.id, { role: 'assistant', text: body.message, caseId: body.caseId, action: body.action });
+    sessionStore.update(session.id, {
+      // The language settles on the first turn so replies don't switch mid-conversation
+      locale: body.locale.code,
+      status: this._statusAfter(body.action),
+      clarifications: session.clarifications + (body.action === 'clarify' ? 1 : 0),
+      caseIds: [...session.caseIds, body.caseId]
+    });
+    logger.info('Session turn', { sessionId: session.id, turn: session.caseIds.length, action: body.action, status: session.status });
+
+    return {
+      status,
+      body: {
+        sessionId: session.id,
+        sessionStatus: session.status,
+        turn: session.caseIds.length,
+        clarificationsRemaining: this._clarificationsRemaining(session),
+        ...body
+      }
+    };
+  }
+
+  /**
+   * Session status after a turn ended in the given action
+   * @private
+   */
+  _statusAfter(action) {
+    if (action === 'clarify') {
+      return 'awaiting_reply';
+    }
+    return action === 'escalate' ? 'escalated' : 'resolved';
+  }
+
+  /**
+   * The customer's latest messages, as many as fit in USER_ISSUE_MAX_LENGTH
+   * @private
+   */
+  _userIssue(session) {
+    const maxLength = envNumber('USER_ISSUE_MAX_LENGTH', DEFAULT_MAX_USER_ISSUE_LENGTH);
+    const messages = [];
+    let length = 0;
+    for (const { text } of this._userMessages(session).reverse()) {
+      length += text.length + (messages.length > 0 ? 1 : 0);
+      if (messages.length > 0 && length > maxLength) {
+        break;
+      }
+      messages.unshift(text);
+    }
+    return messages.join('\n');
+  }
+
+  /**
+   * @private
+   */
+  _userMessages(session) {
+    return session.turns.filter(turn => turn.role === 'user');
+  }
+
+  /**
+   * @private
+   */
+  _clarificationsRemaining(session) {
+    return Math.max(0, this.maxClarifications - session.clarifications);
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,197 @@
+/**
+ * Append-only audit log of automated actions against the Gigs API
+ * Every write call (e.g. a SIM reprovision) is recorded with who requested
+ * it, the rule or LLM decision that justified it, a hash of the subscription
+ * snapshot it was based on, the redacted request/response and whether the
+ * call was mocked.
+ *
+ * Entries are appended to a JSON Lines file (AUDIT_LOG_PATH, default
+ * data/audit.jsonl) and never rewritten. Each entry carries the hash of the
+ * previous one, so editing, removing or reordering a line breaks the chain
+ * and shows up in verify().
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { redactSecrets } = require('../utils/redact');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger('audit');
+
+const DEFAULT_LOG_PATH = path.join(__dirname, '..', 'data', 'audit.jsonl');
+const GENESIS_HASH = '0'.repeat(64);
+
+class AuditLog {
+  /**
+   * @param {string} filePath - JSON Lines file to append to
+   */
+  constructor(filePath = process.env.AUDIT_LOG_PATH || DEFAULT_LOG_PATH) {
+    this.filePath = filePath;
+    this.entries = [];
+    this._load();
+  }
+
+  /**
+   * Record a Gigs write call made by automation
+   * @param {object} action - { action, simId, subscriptionId, principal, justification, snapshot, result }
+   *   where result is the gigsClient response ({ success, mocked, request, status, data, error })
+   * @returns {object} Stored entry
+   */
+  recordAction({ action, simId, subscriptionId, principal = null, justification, snapshot = null, result }) {
+    return this.append({
+      type: 'gigs_action',
+      action,
+      simId,
+      subscriptionId,
+      requestedBy: principal ? { id: principal.id, role: principal.role, type: principal.type } : null,
+      justification,
+      confidence: justification?.confidence ?? null,
+      inputSnapshotHash: snapshot ? sha256(canonicalJson(snapshot)) : null,
+      mocked: Boolean(result.mocked),
+      success: Boolean(result.success),
+      request: redactSecrets(result.request || null),
+      response: redactSecrets(result.success
+        ? { status: result.status ?? null, body: result.data ?? null }
+        : { status: result.error?.status ?? null, body: result.error?.details ?? null, error: { kind: result.error?.kind, message: result.error?.message } }),
+      attempts: result.attempts ?? null
+    });
+  }
+
+  /**
+   * Append an entry to the chain
+   * @param {object} fields - Entry contents
+   * @returns {object} Stored entry with seq, id, at, prevHash and hash
+   */
+  append(fields) {
+    const previous = this.entries[this.entries.length - 1];
+    const entry = {
+      seq: previous ? previous.seq + 1 : 1,
+      id: `aud_${crypto.randomBytes(10).toString('hex')}`,
+      at: new Date().toISOString(),
+      ...fields,
+      prevHash: previous ? previous.hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    this.entries.push(entry);
+    logger.info('Audit entry appended', { seq: entry.seq, action: entry.action || entry.type, simId: entry.simId, mocked: entry.mocked });
+    return entry;
+  }
+
+  /**
+   * Entries matching every given filter, oldest first
+   * @param {object} filters - { simId, subscriptionId, from: Date, to: Date }
+   * @returns {object[]}
+   */
+  query({ simId, subscriptionId, from, to } = {}) {
+    return this.entries.filter(entry =>
+      (!simId || entry.simId === simId) &&
+      (!subscriptionId || entry.subscriptionId === subscriptionId) &&
+      (!from || new Date(entry.at) >= from) &&
+      (!to || new Date(entry.at) <= to)
+    );
+  }
+
+  /**
+   * Re-read the file and check every link of the chain
+   * @returns {{valid: boolean, entries: number, headHash: string, brokenAt?: number, reason?: string}}
+   */
+  verify() {
+    return verifyChain(readLines(this.filePath));
+  }
+
+  /**
+   * Load the chain from disk so new entries link to the last stored one
+   * @private
+   */
+  _load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const lines = readLines(this.filePath);
+    this.entries = lines.filter(line => line.entry).map(line => line.entry);
+
+    const status = verifyChain(lines);
+    if (!status.valid) {
+      logger.error('Audit log failed verification', { file: this.filePath, brokenAt: status.brokenAt, reason: status.reason });
+    }
+  }
+}
+
+/**
+ * Parse a JSON Lines file, keeping unparseable lines so verification can report them
+ * @private
+ */
+function readLines(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  return fs.readFileSync(filePath, 'utf8').split('\n')
+    .map((text, index) => ({ number: index + 1, text }))
+    .filter(line => line.text.trim())
+    .map(line => {
+      try {
+        return { ...line, entry: JSON.parse(line.text) };
+      } catch (error) {
+        return { ...line, entry: null };
+      }
+    });
+}
+
+/**
+ * Walk the chain: each entry must hash to its own hash and link to the previous one
+ * @private
+ */
+function verifyChain(lines) {
+  let prevHash = GENESIS_HASH;
+
+  for (const line of lines) {
+    const entry = line.entry;
+    if (!entry) {
+      return { valid: false, entries: lines.length, headHash: prevHash, brokenAt: line.number, reason: 'line is not valid JSON' };
+    }
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, entries: lines.length, headHash: prevHash, brokenAt: line.number, reason: 'prevHash does not match the previous entry' };
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      return { valid: false, entries: lines.length, headHash: prevHash, brokenAt: line.number, reason: 'entry contents do not match its hash' };
+    }
+    prevHash = entry.hash;
+  }
+
+  return { valid: true, entries: lines.length, headHash: prevHash };
+}
+
+/**
+ * Hash of an entry without its own hash field
+ * @private
+ */
+function hashEntry(entry) {
+  const { hash, ...content } = entry;
+  return sha256(canonicalJson(content));
+}
+
+/**
+ * JSON with object keys sorted, so the same content always hashes the same
+ * @private
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+module.exports = new AuditLog();
@@ -0,0 +1,129 @@
+/**
+ * Persistent case store
+ * Every diagnosis is saved as a case record so support agents can see what
+ * automation already tried for a customer.
+ *
+ * Records are kept in memory and appended to a JSON Lines file
+ * (CASE_STORE_PATH, default data/cases.jsonl). Updates append the full
+ * record again; on load the last line for an ID wins.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('../observability/logger');
+
+const logger = createLogger('cases');
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', 'data', 'cases.jsonl');
+
+class CaseStore {
+  /**
+   * @param {string} filePath - JSON Lines file to persist to
+   */
+  constructor(filePath = process.env.CASE_STORE_PATH || DEFAULT_STORE_PATH) {
+    this.filePath = filePath;
+    this.cases = new Map();
+    this._load();
+  }
+
+  /**
+   * Save a new case
+   * @param {object} record - Case fields (subscriptionId, userIssue, outcome, ...)
+   * @returns {object} Stored case including its generated id and createdAt
+   */
+  create(record) {
+    const stored = {
+      id: `case_${crypto.randomBytes(10).toString('hex')}`,
+      createdAt: new Date().toISOString(),
+      ...record
+    };
+    this._write(stored);
+    return stored;
+  }
+
+  /**
+   * Merge fields into an existing case
+   * @param {string} caseId - Case ID
+   * @param {object} patch - Fields to merge
+   * @returns {object|null} Updated case, or null if not found
+   */
+  update(caseId, patch) {
+    const existing = this.cases.get(caseId);
+    if (!existing) {
+      return null;
+    }
+
+    const updated = { ...existing, ...patch, id: existing.id, updatedAt: new Date().toISOString() };
+    this._write(updated);
+    return updated;
+  }
+
+  /**
+   * Get a case by ID
+   * @param {string} caseId - Case ID
+   * @returns {object|null}
+   */
+  get(caseId) {
+    return this.cases.get(caseId) || null;
+  }
+
+  /**
+   * All cases, in insertion order
+   * @returns {object[]}
+   */
+  all() {
+    return [...this.cases.values()];
+  }
+
+  /**
+   * All cases for a subscription, newest first
+   * @param {string} subscriptionId - Gigs subscription ID
+   * @returns {object[]}
+   */
+  listBySubscription(subscriptionId) {
+    return [...this.cases.values()]
+      .filter(record => record.subscriptionId === subscriptionId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Keep a record in memory and append it to the file
+   * @private
+   */
+  _write(record) {
+    this.cases.set(record.id, record);
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+    } catch (error) {
+      logger.error('Failed to persist case', { caseId: record.id, error: error.message });
+    }
+  }
+
+  /**
+   * Load existing records from the file
+   * @private
+   */
+  _load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        const record = JSON.parse(line);
+        this.cases.set(record.id, record);
+      } catch (error) {
+        logger.warn('Skipping corrupt case line', { line: index + 1, file: this.filePath });
+      }
+    });
+  }
+}
+
+module.exports = new CaseStore();
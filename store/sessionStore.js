@@ -0,0 +1,107 @@
+/**
+ * Conversation session store
+ * Holds multi-turn diagnosis sessions in memory. Sessions idle for longer
+ * than SESSION_TTL_MINUTES are forgotten; every turn's diagnosis is still
+ * saved as a case (with its sessionId) in the case store.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { envNumber } = require('../utils/env');
+
+class SessionStore {
+  /**
+   * @param {object} options - { ttlMs }
+   */
+  constructor({ ttlMs = envNumber('SESSION_TTL_MINUTES', 60) * 60 * 1000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Open a new session
+   * @param {string} subscriptionId - Gigs subscription ID the conversation is about
+   * @param {string} locale - Requested locale, if any (otherwise detected on the first turn)
+   * @param {object} device - Customer's device metadata, if given (see devices/deviceCatalog.js)
+   * @param {string} principalId - ID of the caller that opened the session
+   * @returns {object} Stored session
+   */
+  create(subscriptionId, locale = null, device = null, principalId = null) {
+    this._prune();
+
+    const now = new Date().toISOString();
+    const session = {
+      id: `sess_${crypto.randomBytes(10).toString('hex')}`,
+      subscriptionId,
+      locale,
+      device,
+      principalId,
+      status: 'open',
+      createdAt: now,
+      updatedAt: now,
+      clarifications: 0,
+      turns: [],
+      caseIds: []
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Get a session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {object|null}
+   */
+  get(sessionId) {
+    this._prune();
+    return this.sessions.get(sessionId) || null;
+  }
+
+  /**
+   * Append a turn to the conversation
+   * @param {string} sessionId - Session ID
+   * @param {object} turn - { role: 'user'|'assistant', text, caseId?, action? }
+   * @returns {object|null} Updated session, or null if not found
+   */
+  addTurn(sessionId, turn) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    session.turns.push({ ...turn, at: new Date().toISOString() });
+    session.updatedAt = new Date().toISOString();
+    return session;
+  }
+
+  /**
+   * Merge fields into a session
+   * @param {string} sessionId - Session ID
+   * @param {object} patch - Fields to merge
+   * @returns {object|null} Updated session, or null if not found
+   */
+  update(sessionId, patch) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    Object.assign(session, patch, { id: session.id, updatedAt: new Date().toISOString() });
+    return session;
+  }
+
+  /**
+   * Forget sessions idle past the TTL
+   * @private
+   */
+  _prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [sessionId, session] of this.sessions) {
+      if (new Date(session.updatedAt).getTime() < cutoff) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+}
+
+module.exports = new SessionStore();
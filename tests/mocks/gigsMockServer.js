@@ -0,0 +1,161 @@
+/**
+ * Local mock of the Gigs API endpoints used by api/gigsClient.js
+ * Backed by one fixture file per subscription in tests/fixtures/gigs/
+ *
+ * Fixture format:
+ * {
+ *   "createdMinutesAgo": 120,            // optional - sets createdAt relative to now
+ *   "subscription": { "id": "...", "status": "...", "sim": { "id": "...", ... } },
+ *   "reprovisionResponse": { "status": 500, "body": {...} }, // optional - defaults to 200
+ *   "afterReprovision": { "simStatus": "active", "subscriptionStatus": "active" } // optional
+ * }
+ *
+ * afterReprovision is applied once a reprovision succeeds, so post-action
+ * verification can observe the SIM changing state. setState(id, state) does
+ * the same directly, for changes that happen on their own. reset() undoes both.
+ *
+ * setAvailable(false) simulates an outage: every endpoint answers 503 until
+ * setAvailable(true) or reset().
+ *
+ * Run standalone with: npm run mock:gigs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'gigs');
+
+/**
+ * Create the mock app
+ * @param {string} fixturesDir - Directory of subscription fixtures
+ * @returns {object} { app, calls, reset, setAvailable, setState } - calls records every request received
+ */
+function createGigsMock(fixturesDir = DEFAULT_FIXTURES_DIR) {
+  const app = express();
+  const calls = [];
+  const overrides = new Map(); // subscription id -> { simStatus, subscriptionStatus }
+  let available = true;
+
+  const fixtures = fs.readdirSync(fixturesDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8')));
+
+  const findSubscription = id => fixtures.find(fixture => fixture.subscription.id === id);
+  const findSim = id => fixtures.find(fixture => fixture.subscription.sim?.id === id);
+
+  // Resolve time-relative fields at request time so fixtures never go stale
+  const snapshot = fixture => {
+    const subscription = JSON.parse(JSON.stringify(fixture.subscription));
+    if (typeof fixture.createdMinutesAgo === 'number') {
+      subscription.createdAt = new Date(Date.now() - fixture.createdMinutesAgo * 60 * 1000).toISOString();
+    }
+
+    const override = overrides.get(subscription.id);
+    if (override?.simStatus && subscription.sim) {
+      subscription.sim.status = override.simStatus;
+    }
+    if (override?.subscriptionStatus) {
+      subscription.status = override.subscriptionStatus;
+    }
+    return subscription;
+  };
+
+  const notFound = (res, type, id) => res.status(404).json({
+    object: 'error',
+    type: 'notFound',
+    message: `No ${type} found with id ${id}`
+  });
+
+  app.use(express.json());
+  app.use((req, res, next) => {
+    calls.push({ method: req.method, path: req.path, headers: req.headers, body: req.body });
+    if (!available) {
+      return res.status(503).json({ object: 'error', type: 'serviceUnavailable', message: 'Gigs API is unavailable' });
+    }
+    next();
+  });
+
+  // Cursor pagination as in the Gigs list APIs: pass the last page's moreItemsAfter as ?after=
+  app.get('/subscriptions', (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 10, 100);
+    const sorted = [...fixtures].sort((a, b) => a.subscription.id.localeCompare(b.subscription.id));
+    const start = req.query.after ? sorted.findIndex(fixture => fixture.subscription.id === req.query.after) + 1 : 0;
+    const page = sorted.slice(start, start + limit).map(snapshot);
+    const more = start + limit < sorted.length;
+
+    res.json({
+      object: 'list',
+      items: page,
+      moreItemsAfter: more ? page[page.length - 1].id : null,
+      moreItemsBefore: start > 0 ? page[0]?.id ?? null : null
+    });
+  });
+
+  app.get('/subscriptions/:id', (req, res) => {
+    const fixture = findSubscription(req.params.id);
+    if (!fixture) {
+      return notFound(res, 'subscription', req.params.id);
+    }
+    res.json(snapshot(fixture));
+  });
+
+  app.get('/v1/sims/:id', (req, res) => {
+    const fixture = findSim(req.params.id);
+    if (!fixture) {
+      return notFound(res, 'sim', req.params.id);
+    }
+    res.json(snapshot(fixture).sim);
+  });
+
+  app.post('/v1/sims/:id/reprovision', (req, res) => {
+    const fixture = findSim(req.params.id);
+    if (!fixture) {
+      return notFound(res, 'sim', req.params.id);
+    }
+
+    const configured = fixture.reprovisionResponse;
+    if (configured && (configured.status || 200) >= 400) {
+      return res.status(configured.status).json(configured.body || {});
+    }
+
+    if (fixture.afterReprovision) {
+      overrides.set(fixture.subscription.id, fixture.afterReprovision);
+    }
+    if (configured) {
+      return res.status(configured.status || 200).json(configured.body || {});
+    }
+
+    res.json({
+      object: 'simReprovision',
+      simId: req.params.id,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    });
+  });
+
+  return {
+    app,
+    calls,
+    reset: () => {
+      calls.length = 0;
+      overrides.clear();
+      available = true;
+    },
+    setState: (subscriptionId, state) => {
+      overrides.set(subscriptionId, state);
+    },
+    setAvailable: value => {
+      available = value;
+    }
+  };
+}
+
+module.exports = { createGigsMock };
+
+if (require.main === module) {
+  const port = process.env.MOCK_GIGS_PORT || 4010;
+  createGigsMock().app.listen(port, () => {
+    console.log(`Mock Gigs API listening on http://localhost:${port}`);
+  });
+}
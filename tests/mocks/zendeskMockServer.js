@@ -0,0 +1,46 @@
+/**
+ * Local stand-in for a Zendesk-style ticketing API (POST /api/v2/tickets.json)
+ * Used by the escalation 'zendesk' sink in tests and local development.
+ *
+ * Run standalone with: npm run mock:zendesk
+ */
+
+const express = require('express');
+
+/**
+ * Create the mock app
+ * @returns {object} { app, tickets, reset } - tickets records every ticket created
+ */
+function createZendeskMock() {
+  const app = express();
+  const tickets = [];
+  let nextId = 1000;
+
+  app.use(express.json());
+
+  app.post('/api/v2/tickets.json', (req, res) => {
+    const ticket = req.body?.ticket;
+    if (!ticket || !ticket.subject || !ticket.comment?.body) {
+      return res.status(422).json({ error: 'RecordInvalid', description: 'subject and comment.body are required' });
+    }
+
+    const created = { id: nextId++, status: 'new', created_at: new Date().toISOString(), ...ticket };
+    tickets.push(created);
+    res.status(201).json({ ticket: created });
+  });
+
+  return {
+    app,
+    tickets,
+    reset: () => { tickets.length = 0; }
+  };
+}
+
+module.exports = { createZendeskMock };
+
+if (require.main === module) {
+  const port = process.env.MOCK_ZENDESK_PORT || 4020;
+  createZendeskMock().app.listen(port, () => {
+    console.log(`Mock Zendesk API listening on http://localhost:${port}`);
+  });
+}
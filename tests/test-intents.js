@@ -0,0 +1,60 @@
+/**
+ * Labelled corpus check for the intent classifier
+ * Run with: npm test
+ *
+ * Classifies every phrasing in intents/corpus.json and compares the intents
+ * scoring at or above the corpus threshold with the labelled ones. Prints
+ * precision and recall per intent and exits with a non-zero code if any
+ * phrasing is misclassified.
+ */
+
+const path = require('path');
+const { INTENTS, classify } = require('../intents/intentClassifier');
+
+const CORPUS_PATH = path.join(__dirname, '..', 'intents', 'corpus.json');
+
+function runIntentCorpus() {
+  const { threshold, cases } = require(CORPUS_PATH);
+  const counts = Object.fromEntries(INTENTS.map(intent => [intent, { tp: 0, fp: 0, fn: 0 }]));
+  const failures = [];
+
+  console.log('\n🧭 Running Intent Corpus\n');
+  console.log('='.repeat(80));
+
+  for (const testCase of cases) {
+    const { scores, matches } = classify(testCase.text, testCase.locale);
+    const predicted = INTENTS.filter(intent => scores[intent] >= threshold);
+
+    for (const intent of INTENTS) {
+      const expected = testCase.intents.includes(intent);
+      const actual = predicted.includes(intent);
+      if (expected && actual) counts[intent].tp++;
+      if (!expected && actual) counts[intent].fp++;
+      if (expected && !actual) counts[intent].fn++;
+    }
+
+    if (predicted.join() !== [...testCase.intents].sort((a, b) => INTENTS.indexOf(a) - INTENTS.indexOf(b)).join()) {
+      failures.push({ testCase, predicted, matches });
+    }
+  }
+
+  for (const { testCase, predicted, matches } of failures) {
+    console.log(`\n   ✗ FAILED: "${testCase.text}" (${testCase.locale})`);
+    console.log(`     expected [${testCase.intents.join(', ')}], got [${predicted.join(', ')}]`);
+    console.log(`     matches: ${JSON.stringify(matches)}`);
+  }
+
+  console.log('');
+  for (const intent of INTENTS) {
+    const { tp, fp, fn } = counts[intent];
+    const precision = tp + fp === 0 ? 1 : tp / (tp + fp);
+    const recall = tp + fn === 0 ? 1 : tp / (tp + fn);
+    console.log(`   ${intent.padEnd(20)} precision ${precision.toFixed(2)}  recall ${recall.toFixed(2)}`);
+  }
+
+  console.log('\n' + '='.repeat(80));
+  console.log(`\n📊 Results: ${cases.length - failures.length} passed, ${failures.length} failed (threshold ${threshold})\n`);
+  return failures.length === 0;
+}
+
+process.exit(runIntentCorpus() ? 0 : 1);
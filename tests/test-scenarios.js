@@ -1,11 +1,51 @@
 /**
  * Test scenarios for the eSIM automation prototype
  * Run with: npm test
+ *
+ * Boots the app in-process against the mock Gigs API (tests/mocks/gigsMockServer.js)
+ * and the stub LLM provider, so no network access or API keys are needed.
+ * Exits with a non-zero code if any scenario fails.
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const axios = require('axios');
+const express = require('express');
+const { createGigsMock } = require('./mocks/gigsMockServer');
+const { createZendeskMock } = require('./mocks/zendeskMockServer');
+const { sign, validateWebhookUrl, deliverWebhook } = require('../jobs/webhook');
+const { signJwt } = require('../auth/jwt');
+const { classify } = require('../intents/intentClassifier');
 
-const BASE_URL = 'http://localhost:3000';
+const WEBHOOK_SECRET = 'test_webhook_secret';
+const JWT_SECRET = 'test_jwt_secret';
+const PAYMENT_LINK_SECRET = 'test_payment_secret';
+// Readiness probe results are cached this long; checks that break a dependency wait it out
+const READY_CACHE_TTL_MS = 200;
+const GIGS_CACHE_TTL_MS = 500;
+
+// One API key per role, plus a chatbot key with a tiny rate limit
+const API_KEYS = {
+  chatbot: 'test_chatbot_key',
+  agent: 'test_agent_key',
+  admin: 'test_admin_key',
+  limited: 'test_limited_key'
+};
+
+// Scenarios call the service as a support agent (may diagnose and read cases)
+const api = axios.create({ headers: { 'X-API-Key': API_KEYS.agent } });
+
+/**
+ * Request options for calling the service with a bearer credential (none if null)
+ */
+function as(credential) {
+  return {
+    headers: credential ? { Authorization: `Bearer ${credential}` } : {},
+    validateStatus: () => true
+  };
+}
 
 const testScenarios = [
   {
@@ -15,8 +55,66 @@ const testScenarios = [
       subscriptionId: 'sub_test_stuck',
       userIssue: 'my eSIM has been stuck for 2 hours'
     },
-    expectedMethod: 'rule_engine',
-    expectedRule: 'provisioning_stuck'
+    expected: { method: 'rule_engine', rule: 'provisioning_stuck', action: 'reprovision', reprovisioned: true }
+  },
+  {
+    name: 'Guardrail - Repeat Reprovision',
+    description: 'Same customer resubmits right after a reprovision; cooldown forces escalation',
+    request: {
+      subscriptionId: 'sub_test_stuck',
+      userIssue: 'still stuck, please fix it'
+    },
+    expected: { method: 'rule_engine', rule: 'provisioning_stuck', action: 'escalate', reprovisioned: false }
+  },
+  {
+    name: 'Action Failure - Reprovision Unavailable',
+    description: 'Gigs keeps returning 503; the client retries with one idempotency key, then escalates honestly',
+    request: {
+      subscriptionId: 'sub_test_reprovision_fails',
+      userIssue: 'my eSIM has been stuck for over an hour'
+    },
+    expected: { method: 'rule_engine', rule: 'provisioning_stuck', action: 'escalate', reprovisioned: true, reprovisionCalls: 3, ticketMentions: 'reprovision (failed)' }
+  },
+  {
+    name: 'Verification - SIM Activates',
+    description: 'SIM becomes active after the reprovision; verification succeeds and the callback fires',
+    request: {
+      subscriptionId: 'sub_test_verify',
+      userIssue: 'my eSIM has been stuck for 40 minutes',
+      verify: true
+    },
+    withCallback: true,
+    expected: { method: 'rule_engine', action: 'reprovision', reprovisioned: true, verification: 'verified' }
+  },
+  {
+    name: 'Verification - SIM Stays Inactive',
+    description: 'Reprovision succeeds but the SIM never activates; the case is escalated',
+    request: {
+      subscriptionId: 'sub_test_verify_fails',
+      userIssue: 'my eSIM has been stuck for 40 minutes',
+      verify: true
+    },
+    expected: { method: 'rule_engine', action: 'reprovision', reprovisioned: true, verification: 'failed', escalated: true }
+  },
+  {
+    name: 'Async Job - Signed Webhook',
+    description: 'Diagnosis is queued, polled by job ID and the result POSTed to a signed webhook',
+    request: {
+      subscriptionId: 'sub_test_recent',
+      userIssue: 'my eSIM is still activating',
+      async: true
+    },
+    withWebhook: true,
+    expected: { status: 202, method: 'rule_engine', rule: 'normal_delay', action: 'wait', reprovisioned: false }
+  },
+  {
+    name: 'Rule Engine - Billing Hold',
+    description: 'First invoice unpaid, subscription still initiated',
+    request: {
+      subscriptionId: 'sub_test_billing',
+      userIssue: 'my eSIM never activated'
+    },
+    expected: { method: 'rule_engine', rule: 'billing_hold', action: 'route_to_payment', reprovisioned: false }
   },
   {
     name: 'Rule Engine - Normal Delay',
@@ -25,8 +123,7 @@ const testScenarios = [
       subscriptionId: 'sub_test_recent',
       userIssue: 'my eSIM is still activating'
     },
-    expectedMethod: 'rule_engine',
-    expectedRule: 'normal_delay'
+    expected: { method: 'rule_engine', rule: 'normal_delay', action: 'wait', reprovisioned: false }
   },
   {
     name: 'Rule Engine - Device Config',
@@ -35,8 +132,53 @@ const testScenarios = [
       subscriptionId: 'sub_test_active',
       userIssue: 'I have no service even though it says active'
     },
-    expectedMethod: 'rule_engine',
-    expectedRule: 'device_config'
+    expected: { method: 'rule_engine', rule: 'device_config', action: 'route_to_settings_guide', reprovisioned: false }
+  },
+  {
+    name: 'Localization - Detected Language',
+    description: 'German message matches the German keywords and gets the German rule message',
+    request: {
+      subscriptionId: 'sub_test_active',
+      userIssue: 'Ich habe kein Netz, obwohl alles aktiv ist'
+    },
+    expected: { method: 'rule_engine', rule: 'device_config', locale: 'de', messageIncludes: 'Geräteeinstellungen', reprovisioned: false }
+  },
+  {
+    name: 'Localization - Requested Locale',
+    description: 'An explicit locale wins over the language of the message',
+    request: {
+      subscriptionId: 'sub_test_billing',
+      userIssue: 'my eSIM never activated',
+      locale: 'fr-FR'
+    },
+    expected: { method: 'rule_engine', rule: 'billing_hold', locale: 'fr', messageIncludes: 'moyen de paiement', reprovisioned: false }
+  },
+  {
+    name: 'Rule Engine - Payment Overdue',
+    description: 'Subscription restricted for an overdue payment',
+    request: {
+      subscriptionId: 'sub_test_restricted',
+      userIssue: 'my phone stopped working'
+    },
+    expected: { method: 'rule_engine', rule: 'payment_overdue', action: 'route_to_payment_restoration', reprovisioned: false }
+  },
+  {
+    name: 'Rule Engine - Subscription Ended',
+    description: 'Subscription is in its terminal state',
+    request: {
+      subscriptionId: 'sub_test_ended',
+      userIssue: 'my plan does not work anymore'
+    },
+    expected: { method: 'rule_engine', rule: 'subscription_ended', action: 'inform_only', reprovisioned: false }
+  },
+  {
+    name: 'Rule Engine - Activation Failed',
+    description: 'User reports the activation failed on their device',
+    request: {
+      subscriptionId: 'sub_test_active',
+      userIssue: 'my phone says activation failed'
+    },
+    expected: { method: 'rule_engine', rule: 'activation_failed', action: 'reprovision', reprovisioned: true }
   },
   {
     name: 'LLM Fallback - Ambiguous Issue',
@@ -45,7 +187,7 @@ const testScenarios = [
       subscriptionId: 'sub_test_ambiguous',
       userIssue: 'it just doesn\'t work'
     },
-    expectedMethod: 'llm'
+    expected: { method: 'llm', action: 'escalate', reprovisioned: false }
   },
   {
     name: 'LLM Fallback - Unknown Error',
@@ -54,14 +196,1437 @@ const testScenarios = [
       subscriptionId: 'sub_test_error',
       userIssue: 'getting a weird error message'
     },
-    expectedMethod: 'llm'
+    expected: { method: 'llm', action: 'reprovision', reprovisioned: true }
+  },
+  {
+    name: 'Session - Clarifying Question',
+    description: 'Vague first message gets a follow-up question; the answer lets the LLM pick the settings guide',
+    request: { subscriptionId: 'sub_test_ambiguous' },
+    session: ['my phone is acting up', 'It\'s an iPhone 15 and I already scanned the code'],
+    expected: { method: 'llm', turns: ['clarify', 'route_to_settings_guide'], action: 'route_to_settings_guide', reprovisioned: false }
+  },
+  {
+    name: 'Session - Escalates After Max Turns',
+    description: 'Customer never adds detail; the session escalates once its clarifying turns are used up',
+    request: { subscriptionId: 'sub_test_ambiguous' },
+    session: ['it just doesn\'t work', 'it still doesn\'t work', 'it really doesn\'t work'],
+    expected: { method: 'llm', turns: ['clarify', 'clarify', 'escalate'], action: 'escalate', reprovisioned: false }
+  },
+  {
+    name: 'Unknown Subscription',
+    description: 'Gigs returns 404 for the subscription',
+    request: {
+      subscriptionId: 'sub_does_not_exist',
+      userIssue: 'my eSIM has been stuck for 2 hours'
+    },
+    expected: { status: 500, reprovisioned: false }
   }
 ];
 
+// Checks beyond a single diagnosis, run after the scenarios; each returns failure descriptions
+const endpointChecks = [
+  {
+    name: 'Rule Pack - Validation',
+    description: 'An invalid or non-JSON rule pack is rejected with a RulePackError listing every problem; the default pack loads sorted by priority',
+    run: async () => {
+      const failures = [];
+      const { DEFAULT_PACK_PATH, RulePackError, validateRulePack, loadRulePack } = require('../rules/rulePack');
+      const pack = JSON.parse(fs.readFileSync(DEFAULT_PACK_PATH, 'utf8'));
+      const [first, second] = pack.rules;
+
+      const broken = {
+        ...pack,
+        rules: [
+          { ...first, action: 'refund' },
+          { ...second, name: first.name, message: 'Please wait {{eta}}' },
+          { ...second, name: 'bad_condition', conditions: [{ field: 'customer.email', op: 'matches', value: 'x' }] }
+        ]
+      };
+      try {
+        validateRulePack(broken, 'broken pack');
+        failures.push('Expected the broken pack to be rejected');
+      } catch (error) {
+        const expected = [/action 'refund'/, /duplicate rule name/, /unknown template variable '\{\{eta\}\}'/, /field 'customer\.email'/, /op 'matches'/];
+        const missing = expected.filter(pattern => !(error.errors || []).some(message => pattern.test(message)));
+        if (!(error instanceof RulePackError) || missing.length > 0) {
+          failures.push(`Expected a RulePackError listing every problem, got ${error.name}: ${JSON.stringify(error.errors)} (missing ${missing.join(', ')})`);
+        }
+      }
+
+      const notJson = path.join(os.tmpdir(), `rule-pack-${process.pid}.json`);
+      fs.writeFileSync(notJson, '{ "rules": [');
+      try {
+        loadRulePack(notJson);
+        failures.push('Expected a pack that is not valid JSON to be rejected');
+      } catch (error) {
+        if (!(error instanceof RulePackError) || !/not valid JSON/.test(error.message)) {
+          failures.push(`Expected a RulePackError for invalid JSON, got ${error.name}: ${error.message}`);
+        }
+      } finally {
+        fs.unlinkSync(notJson);
+      }
+      try {
+        loadRulePack(path.join(os.tmpdir(), 'rules.yaml'));
+        failures.push('Expected a YAML rule pack to be rejected');
+      } catch (error) {
+        if (!(error instanceof RulePackError) || !/only JSON rule packs are supported/.test(error.message)) {
+          failures.push(`Expected a RulePackError naming JSON as the only format, got ${error.name}: ${error.message}`);
+        }
+      }
+
+      const loaded = loadRulePack();
+      if (loaded.rules.some((rule, index) => index > 0 && rule.priority < loaded.rules[index - 1].priority)) {
+        failures.push(`Expected the default pack sorted by priority, got ${loaded.rules.map(rule => rule.priority).join(', ')}`);
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Rule Pack - Upload, Corpus Check and Rollback',
+    description: 'PUT /admin/rules refuses a pack that fails the corpus unless forced; diagnoses are tagged with the active version until a rollback',
+    run: async baseUrl => {
+      const failures = [];
+      const admin = as(API_KEYS.admin);
+      const { DEFAULT_PACK_PATH } = require('../rules/rulePack');
+      const pack = JSON.parse(fs.readFileSync(DEFAULT_PACK_PATH, 'utf8'));
+      const diagnose = () => axios.post(`${baseUrl}/diagnose`, { subscriptionId: 'sub_test_recent', userIssue: 'still activating' }, as(API_KEYS.agent));
+      const before = (await axios.get(`${baseUrl}/admin/rules`, admin)).data.active;
+
+      const tagged = (await diagnose()).data.rulePack;
+      if (tagged?.version !== before.version || tagged?.checksum !== before.checksum) {
+        failures.push(`Expected /diagnose to carry the active rule pack version ${JSON.stringify(before)}, got ${JSON.stringify(tagged)}`);
+      }
+
+      const invalid = await axios.put(`${baseUrl}/admin/rules`, { ...pack, rules: [{ ...pack.rules[0], action: 'refund' }] }, admin);
+      if (invalid.status !== 400 || !(invalid.data.details || []).some(detail => /action 'refund'/.test(detail))) {
+        failures.push(`Expected 400 with validation details for an invalid pack, got ${invalid.status} ${JSON.stringify(invalid.data)}`);
+      }
+
+      // Without its stuck rule the pack misroutes the corpus' stuck cases
+      const failing = { ...pack, name: 'test-no-stuck', rules: pack.rules.filter(rule => rule.name !== 'provisioning_stuck') };
+      const refused = await axios.put(`${baseUrl}/admin/rules`, failing, admin);
+      if (refused.status !== 422 || refused.data.corpus?.passed !== false ||
+        !refused.data.corpus.failures.some(failure => failure.expectedRule === 'provisioning_stuck')) {
+        failures.push(`Expected 422 naming the failed corpus cases, got ${refused.status} ${JSON.stringify(refused.data)}`);
+      }
+      const afterRefusal = (await axios.get(`${baseUrl}/admin/rules`, admin)).data.active;
+      if (afterRefusal.version !== before.version) {
+        failures.push(`Expected a refused pack to leave version ${before.version} active, got ${afterRefusal.version}`);
+      }
+
+      const forced = await axios.put(`${baseUrl}/admin/rules?force=true`, failing, admin);
+      try {
+        if (forced.status !== 200 || forced.data.active?.name !== 'test-no-stuck' || forced.data.active?.version <= before.version) {
+          failures.push(`Expected force=true to activate the pack as a new version, got ${forced.status} ${JSON.stringify(forced.data)}`);
+        }
+        const forcedTag = (await diagnose()).data.rulePack;
+        if (forcedTag?.name !== 'test-no-stuck' || forcedTag?.version !== forced.data.active?.version) {
+          failures.push(`Expected /diagnose to carry the forced version, got ${JSON.stringify(forcedTag)}`);
+        }
+      } finally {
+        const rollback = await axios.post(`${baseUrl}/admin/rules/rollback`, { version: before.version }, admin);
+        if (rollback.status !== 200 || rollback.data.active?.version !== before.version) {
+          failures.push(`Expected a rollback to version ${before.version}, got ${rollback.status} ${JSON.stringify(rollback.data)}`);
+        }
+      }
+
+      const restoredTag = (await diagnose()).data.rulePack;
+      if (restoredTag?.version !== before.version || restoredTag?.name !== before.name) {
+        failures.push(`Expected /diagnose to carry version ${before.version} after the rollback, got ${JSON.stringify(restoredTag)}`);
+      }
+      const unknown = await axios.post(`${baseUrl}/admin/rules/rollback`, { version: 999 }, admin);
+      if (unknown.status !== 404) {
+        failures.push(`Expected 404 when rolling back to an unknown version, got ${unknown.status}`);
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Explain - Shadowed Rules and Warnings',
+    description: 'The dry run marks the selected rule, names the rule shadowing a later match and warns about missing inputs',
+    run: async () => {
+      const failures = [];
+      const ruleEngine = require('../rules/ruleEngine');
+      const subscription = {
+        object: 'subscription',
+        id: 'sub_explain',
+        status: 'ended',
+        createdAt: new Date(Date.now() - 600 * 60000).toISOString(),
+        sim: { object: 'sim', id: 'sim_explain', status: 'inactive' }
+      };
+      const explained = ruleEngine.explain(subscription, 'my eSIM activation failed');
+      const trace = name => explained.rules.find(rule => rule.name === name);
+
+      const ended = trace('subscription_ended');
+      if (explained.matchedRule !== 'subscription_ended' || !ended?.selected || ended.shadowedBy !== null) {
+        failures.push(`Expected subscription_ended to be selected, got ${JSON.stringify({ matchedRule: explained.matchedRule, ended })}`);
+      }
+      const failed = trace('activation_failed');
+      if (!failed?.matched || failed.selected || failed.shadowedBy !== 'subscription_ended') {
+        failures.push(`Expected activation_failed to match but be shadowed by subscription_ended, got ${JSON.stringify(failed)}`);
+      }
+      const billing = trace('billing_hold');
+      const unmet = billing?.conditions.find(condition => !condition.passed);
+      if (billing?.matched !== false || billing.shadowedBy !== null || unmet?.field !== 'subscription.status' || unmet.actual !== 'ended') {
+        failures.push(`Expected billing_hold to show the failing condition and the value seen, got ${JSON.stringify(billing)}`);
+      }
+      if (explained.warnings.length > 0) {
+        failures.push(`Expected no warnings for a complete subscription, got ${JSON.stringify(explained.warnings)}`);
+      }
+
+      const { warnings } = ruleEngine.explain({ object: 'subscription', id: 'sub_no_sim', status: 'pending' }, 'still activating');
+      if (!warnings.some(warning => /No createdAt/.test(warning)) || !warnings.some(warning => /no SIM object/.test(warning))) {
+        failures.push(`Expected warnings for the missing createdAt and SIM, got ${JSON.stringify(warnings)}`);
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'LLM - Provider Fallback',
+    description: 'A failing primary provider hands the diagnosis to the next one in the chain; when all fail the diagnosis escalates',
+    run: async () => {
+      const failures = [];
+      const llmHandler = require('../llm/llmHandler');
+      const { loadLLMConfig } = require('../llm/config');
+      const subscription = { object: 'subscription', id: 'sub_fallback', status: 'active', sim: { object: 'sim', id: 'sim_fallback', status: 'active' } };
+      // Gemini without an API key fails every call, so the stub behind it has to answer
+      const chainFor = fixtures => new llmHandler.constructor(loadLLMConfig({
+        LLM_PROVIDER: 'gemini',
+        LLM_FALLBACK_PROVIDERS: 'stub',
+        LLM_STUB_FIXTURES: writeStubFixtures(fixtures)
+      }));
+
+      const answer = {
+        diagnosis: 'Line is not selected for data',
+        recommendedAction: 'route_to_settings_guide',
+        confidence: 85,
+        reasoning: 'SIM and subscription are active',
+        userMessage: 'Please follow our settings guide.'
+      };
+      const result = await chainFor({ default: answer }).diagnose(subscription, 'no signal');
+      const attempts = (result.attempts || []).map(attempt => `${attempt.provider}:${attempt.success}`);
+      if (!result.success || result.provider?.name !== 'stub' || result.diagnosis.recommendedAction !== 'route_to_settings_guide') {
+        failures.push(`Expected the stub fallback to answer, got ${JSON.stringify({ success: result.success, provider: result.provider, diagnosis: result.diagnosis })}`);
+      }
+      if (attempts.join(',') !== 'gemini:false,stub:true' || !result.apiCalls.some(call => /Gemini API\) - failed/.test(call))) {
+        failures.push(`Expected gemini to fail before stub answered, got ${JSON.stringify({ attempts: result.attempts, apiCalls: result.apiCalls })}`);
+      }
+
+      const allDown = await chainFor({ default: { error: 'stub is down' } }).diagnose(subscription, 'no signal');
+      if (allDown.success || allDown.diagnosis.recommendedAction !== 'escalate' || allDown.attempts.length !== 2 ||
+        !/gemini: GOOGLE_API_KEY is not set; stub: stub is down/.test(allDown.diagnosis.reasoning)) {
+        failures.push(`Expected an escalation naming both provider errors, got ${JSON.stringify(allDown.diagnosis)}`);
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'LLM - Schema Validation and Repair',
+    description: 'An invalid LLM answer gets exactly one repair re-prompt; a repair that is still invalid is coerced into an escalation',
+    run: async () => {
+      const failures = [];
+      const llmHandler = require('../llm/llmHandler');
+      const { loadLLMConfig } = require('../llm/config');
+      const subscription = { object: 'subscription', id: 'sub_schema', status: 'active', sim: { object: 'sim', id: 'sim_schema', status: 'active' } };
+      const valid = {
+        diagnosis: 'Line is healthy',
+        recommendedAction: 'wait',
+        confidence: 80,
+        reasoning: 'Subscription and SIM are active',
+        userMessage: 'Your eSIM is active.'
+      };
+      const invalid = { ...valid, recommendedAction: 'refund', confidence: 150 };
+      // The repair prompt quotes the rejected answer, so its fixture keys on that heading
+      const handlerFor = (first, repaired) => {
+        const handler = new llmHandler.constructor(loadLLMConfig({
+          LLM_PROVIDER: 'stub',
+          LLM_STUB_FIXTURES: writeStubFixtures({ responses: [{ whenPromptContains: ['previous response was rejected'], response: repaired }], default: first })
+        }));
+        const prompts = [];
+        const complete = handler.providers[0].complete.bind(handler.providers[0]);
+        handler.providers[0].complete = prompt => {
+          prompts.push(prompt);
+          return complete(prompt);
+        };
+        return { handler, prompts };
+      };
+
+      const repair = handlerFor(invalid, valid);
+      const repaired = await repair.handler.diagnose(subscription, 'no signal');
+      if (repair.prompts.length !== 2 || !/"recommendedAction" must be one of/.test(repair.prompts[1])) {
+        failures.push(`Expected one repair re-prompt quoting the validation errors, got ${repair.prompts.length} prompts`);
+      }
+      if (!repaired.success || repaired.diagnosis.recommendedAction !== 'wait' || repaired.validation.valid !== false ||
+        repaired.validation.repaired !== true || repaired.validation.coercions.length !== 0 || repaired.validation.failures.length !== 1) {
+        failures.push(`Expected the repaired answer to be used as is, got ${JSON.stringify({ diagnosis: repaired.diagnosis, validation: repaired.validation })}`);
+      }
+
+      const coerce = handlerFor(invalid, invalid);
+      const coerced = await coerce.handler.diagnose(subscription, 'no signal');
+      const { coercions = [], failures: attempts = [] } = coerced.validation || {};
+      if (coerce.prompts.length !== 2) {
+        failures.push(`Expected no second repair re-prompt, got ${coerce.prompts.length} prompts`);
+      }
+      if (!coerced.success || coerced.diagnosis.recommendedAction !== 'escalate' || coerced.diagnosis.confidence !== 0 ||
+        coerced.validation.repaired !== false || attempts.map(attempt => attempt.attempt).join(',') !== 'initial,repair' ||
+        !coercions.includes('recommendedAction "refund" -> "escalate"') || !coercions.includes('confidence 150 -> 0')) {
+        failures.push(`Expected the still-invalid answer to be coerced into an escalation, got ${JSON.stringify({ diagnosis: coerced.diagnosis, validation: coerced.validation })}`);
+      }
+
+      // The fallback message promises an agent review, so an action without a userMessage escalates
+      const noMessage = { ...valid, recommendedAction: 'reprovision', userMessage: '' };
+      const silent = await handlerFor(noMessage, noMessage).handler.diagnose(subscription, 'no signal');
+      if (silent.diagnosis.recommendedAction !== 'escalate' || !/support agent/.test(silent.diagnosis.userMessage) ||
+        !silent.validation?.coercions.includes('recommendedAction "reprovision" -> "escalate"')) {
+        failures.push(`Expected a missing userMessage to escalate instead of reprovisioning, got ${JSON.stringify({ diagnosis: silent.diagnosis, validation: silent.validation })}`);
+      }
+
+      const notJson = handlerFor('I think the SIM is fine', 'still not JSON');
+      const unparsable = await notJson.handler.diagnose(subscription, 'no signal');
+      if (unparsable.success || unparsable.diagnosis.recommendedAction !== 'escalate' || notJson.prompts.length !== 2 ||
+        unparsable.attempts[0]?.repairRequested !== true) {
+        failures.push(`Expected an answer that never parses to fail the provider after one repair, got ${JSON.stringify(unparsable.attempts)}`);
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Auth - Missing Credentials',
+    description: 'Diagnosis needs a key; health and API docs stay public',
+    run: async baseUrl => {
+      const failures = [];
+      const diagnose = await axios.post(`${baseUrl}/diagnose`, { subscriptionId: 'sub_test_recent', userIssue: 'still activating' }, as(null));
+      if (diagnose.status !== 401) failures.push(`Expected 401 without credentials, got ${diagnose.status}`);
+      const wrongKey = await axios.post(`${baseUrl}/diagnose`, { subscriptionId: 'sub_test_recent', userIssue: 'still activating' }, as('not_a_key'));
+      if (wrongKey.status !== 401) failures.push(`Expected 401 for an unknown key, got ${wrongKey.status}`);
+      const health = await axios.get(`${baseUrl}/health`, as(null));
+      if (health.status !== 200) failures.push(`Expected /health to be public, got ${health.status}`);
+      return failures;
+    }
+  },
+  {
+    name: 'Validation - Message Length',
+    description: 'A customer message over USER_ISSUE_MAX_LENGTH is rejected before it is classified',
+    run: async baseUrl => {
+      const failures = [];
+      const longIssue = 'no signal '.repeat(401);
+      const requests = [
+        ['/diagnose', { subscriptionId: 'sub_test_active', userIssue: longIssue }],
+        ['/diagnose/explain', { subscriptionId: 'sub_test_active', userIssue: longIssue }],
+        ['/diagnose/batch', { items: [{ subscriptionId: 'sub_test_active', userIssue: 'no signal' }, { subscriptionId: 'sub_test_active', userIssue: longIssue }] }],
+        ['/sessions', { subscriptionId: 'sub_test_active', message: longIssue }]
+      ];
+      for (const [route, body] of requests) {
+        const response = await axios.post(`${baseUrl}${route}`, body, as(API_KEYS.agent));
+        if (response.status !== 400 || !/at most 4000 characters/.test(response.data.error)) {
+          failures.push(`Expected ${route} to reject a ${longIssue.length}-character message, got ${response.status} ${JSON.stringify(response.data.error)}`);
+        }
+      }
+      const batch = await axios.post(`${baseUrl}/diagnose/batch`, requests[2][1], as(API_KEYS.agent));
+      if (batch.data.index !== 1) {
+        failures.push(`Expected the batch error to name item 1, got ${JSON.stringify(batch.data)}`);
+      }
+
+      // Text that reaches the classifier another way is cut to its latest USER_ISSUE_MAX_LENGTH characters
+      const { scores } = classify(`activation failed. ${'and then '.repeat(500)}no signal`);
+      if (scores.activation_failed !== 0 || !(scores.no_service > 0)) {
+        failures.push(`Expected only the last 4000 characters to be classified, got ${JSON.stringify(scores)}`);
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Validation - Webhook Targets',
+    description: 'Callback and webhook URLs must be on WEBHOOK_ALLOWED_HOSTS, or public when no allow-list is set',
+    run: async baseUrl => {
+      const failures = [];
+      const metadataUrl = 'http://169.254.169.254/latest/meta-data';
+      const requests = [
+        ['/diagnose', { subscriptionId: 'sub_test_active', userIssue: 'no signal', webhookUrl: metadataUrl }],
+        ['/diagnose', { subscriptionId: 'sub_test_active', userIssue: 'no signal', verify: true, callbackUrl: metadataUrl }],
+        ['/diagnose/batch', { items: [{ subscriptionId: 'sub_test_active', userIssue: 'no signal' }], webhookUrl: metadataUrl }],
+        ['/sessions', { subscriptionId: 'sub_test_active', message: 'no signal', callbackUrl: metadataUrl }]
+      ];
+      for (const [route, body] of requests) {
+        const response = await axios.post(`${baseUrl}${route}`, body, as(API_KEYS.agent));
+        if (response.status !== 400 || !/WEBHOOK_ALLOWED_HOSTS/.test(response.data.error)) {
+          failures.push(`Expected ${route} to reject a host off the allow-list, got ${response.status} ${JSON.stringify(response.data.error)}`);
+        }
+      }
+
+      // Without an allow-list, internal addresses are refused and public ones pass
+      const internal = ['http://localhost:8080/', 'http://127.0.0.1/', 'http://[::1]/', 'http://10.0.0.1/', 'http://192.168.1.10/', metadataUrl, 'http://[::ffff:127.0.0.1]/', 'http://redis.internal/'];
+      for (const url of internal) {
+        if (!validateWebhookUrl(url, {})) {
+          failures.push(`Expected ${url} to be refused without an allow-list`);
+        }
+      }
+      for (const url of ['https://hooks.example.com/gigs', 'http://8.8.8.8/']) {
+        const error = validateWebhookUrl(url, {});
+        if (error) {
+          failures.push(`Expected ${url} to be accepted, got ${error}`);
+        }
+      }
+      if (validateWebhookUrl('https://a.hooks.example.com/', { WEBHOOK_ALLOWED_HOSTS: '*.hooks.example.com' })) {
+        failures.push('Expected a wildcard allow-list entry to accept its subdomains');
+      }
+
+      // Delivery checks the target again, so a URL that skipped validation is not sent either
+      const allowedHosts = process.env.WEBHOOK_ALLOWED_HOSTS;
+      delete process.env.WEBHOOK_ALLOWED_HOSTS;
+      try {
+        const delivery = await deliverWebhook(`${baseUrl}/health`, { event: 'test' });
+        if (delivery.delivered || delivery.attempts !== 0) {
+          failures.push(`Expected delivery to a loopback URL to be refused, got ${JSON.stringify(delivery)}`);
+        }
+
+        // A public name that resolves to an internal address is refused after the lookup
+        const dnsPromises = require('dns').promises;
+        const lookup = dnsPromises.lookup;
+        dnsPromises.lookup = async () => [{ address: '127.0.0.1', family: 4 }];
+        try {
+          const rebound = await deliverWebhook('http://hooks.example.com/gigs', { event: 'test' });
+          if (rebound.delivered || rebound.attempts !== 1 || !/must not resolve/.test(rebound.error)) {
+            failures.push(`Expected delivery to a name resolving to loopback to be refused, got ${JSON.stringify(rebound)}`);
+          }
+        } finally {
+          dnsPromises.lookup = lookup;
+        }
+      } finally {
+        process.env.WEBHOOK_ALLOWED_HOSTS = allowedHosts;
+      }
+
+      // Redirects are not followed
+      let redirectFollowed = false;
+      const redirectApp = express();
+      redirectApp.post('/hook', (req, res) => res.redirect(307, '/elsewhere'));
+      redirectApp.post('/elsewhere', (req, res) => {
+        redirectFollowed = true;
+        res.sendStatus(204);
+      });
+      const redirectReceiver = await listen(redirectApp);
+      try {
+        const redirected = await deliverWebhook(`${redirectReceiver.url}/hook`, { event: 'test' });
+        if (redirected.delivered || redirected.attempts !== 1 || !/redirects are not followed/.test(redirected.error) || redirectFollowed) {
+          failures.push(`Expected a redirecting receiver to fail the delivery without a retry, got ${JSON.stringify(redirected)}`);
+        }
+      } finally {
+        redirectReceiver.server.close();
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Auth - Chatbot Role',
+    description: 'A chatbot may diagnose (recorded as the case principal) but not read cases or manage rules',
+    run: async baseUrl => {
+      const failures = [];
+      const diagnose = await axios.post(`${baseUrl}/diagnose`, { subscriptionId: 'sub_test_recent', userIssue: 'still activating' }, as(API_KEYS.chatbot));
+      if (diagnose.status !== 200) failures.push(`Expected the chatbot to diagnose, got ${diagnose.status}`);
+
+      const record = await api.get(`${baseUrl}/cases/${diagnose.data.caseId}`, { validateStatus: () => true });
+      const principal = record.data.principal;
+      if (principal?.id !== 'test-chatbot' || principal?.role !== 'chatbot' || principal?.type !== 'api_key') {
+        failures.push(`Expected the case to record the chatbot principal, got ${JSON.stringify(principal)}`);
+      }
+
+      const cases = await axios.get(`${baseUrl}/cases/${diagnose.data.caseId}`, as(API_KEYS.chatbot));
+      if (cases.status !== 403) failures.push(`Expected 403 for a chatbot reading cases, got ${cases.status}`);
+      const rules = await axios.get(`${baseUrl}/admin/rules`, as(API_KEYS.chatbot));
+      if (rules.status !== 403) failures.push(`Expected 403 for a chatbot managing rules, got ${rules.status}`);
+      return failures;
+    }
+  },
+  {
+    name: 'Auth - Admin Role',
+    description: 'Only admins may manage rule packs',
+    run: async baseUrl => {
+      const failures = [];
+      const agent = await axios.get(`${baseUrl}/admin/rules`, as(API_KEYS.agent));
+      if (agent.status !== 403) failures.push(`Expected 403 for an agent managing rules, got ${agent.status}`);
+      const admin = await axios.get(`${baseUrl}/admin/rules`, as(API_KEYS.admin));
+      if (admin.status !== 200) failures.push(`Expected an admin to read rules, got ${admin.status}`);
+      return failures;
+    }
+  },
+  {
+    name: 'Session - Ownership and Limits',
+    description: 'Only the opener (or an admin) sees a session; closed and over-long sessions take no more messages',
+    run: async (baseUrl, { diagnosisService }) => {
+      const failures = [];
+      const opened = await axios.post(`${baseUrl}/sessions`, { subscriptionId: 'sub_test_recent', message: 'my eSIM is still activating' }, as(API_KEYS.chatbot));
+      const sessionUrl = `${baseUrl}/sessions/${opened.data.sessionId}`;
+      if (opened.status !== 200 || opened.data.sessionStatus !== 'resolved') {
+        failures.push(`Expected the session to resolve on its first turn, got ${opened.status} ${opened.data.sessionStatus}`);
+      }
+
+      const owner = await axios.get(sessionUrl, as(API_KEYS.chatbot));
+      if (owner.status !== 200 || owner.data.principalId !== 'test-chatbot') {
+        failures.push(`Expected the opener to read the session, got ${owner.status} ${JSON.stringify(owner.data.principalId)}`);
+      }
+      const other = await axios.get(sessionUrl, as(API_KEYS.agent));
+      const otherReply = await axios.post(`${sessionUrl}/messages`, { message: 'hello?' }, as(API_KEYS.agent));
+      if (other.status !== 404 || otherReply.status !== 404) {
+        failures.push(`Expected 404 for another principal's session, got ${other.status} / ${otherReply.status}`);
+      }
+      const admin = await axios.get(sessionUrl, as(API_KEYS.admin));
+      if (admin.status !== 200) failures.push(`Expected an admin to read any session, got ${admin.status}`);
+
+      const resolvedReply = await axios.post(`${sessionUrl}/messages`, { message: 'hello?' }, as(API_KEYS.chatbot));
+      if (resolvedReply.status !== 409) {
+        failures.push(`Expected a reply to a resolved session to be rejected with 409, got ${resolvedReply.status}`);
+      }
+
+      // An endless clarifying conversation stops at SESSION_MAX_TURNS, and only its latest messages are diagnosed
+      const sessionService = require('../services/sessionService');
+      const service = new sessionService.constructor({ maxClarifications: 100, maxTurns: 3 });
+      const userIssues = [];
+      const diagnose = diagnosisService.diagnose;
+      diagnosisService.diagnose = async request => {
+        userIssues.push(request.userIssue);
+        return { status: 200, body: { caseId: `case_${userIssues.length}`, action: 'clarify', message: 'Which phone?', locale: { code: 'en' } } };
+      };
+      try {
+        const messages = ['a'.repeat(3000), 'b'.repeat(3000), 'c'.repeat(3000)];
+        const { body } = await service.start({ subscriptionId: 'sub_test_recent', message: messages[0] });
+        const replies = [];
+        for (const message of [...messages.slice(1), 'd']) {
+          replies.push((await service.reply(body.sessionId, { message })).status);
+        }
+        if (replies.join(',') !== '200,200,409') {
+          failures.push(`Expected the fourth message to be rejected with 409, got ${replies.join(',')}`);
+        }
+        if (userIssues.some(userIssue => userIssue.length > 4000) || userIssues[2] !== messages[2]) {
+          failures.push(`Expected only the latest messages within USER_ISSUE_MAX_LENGTH to be diagnosed, got lengths ${userIssues.map(userIssue => userIssue.length)}`);
+        }
+      } finally {
+        diagnosisService.diagnose = diagnose;
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Auth - JWT',
+    description: 'Signed tokens carry the role; expired, everlasting, long-lived, forged and unsigned tokens are rejected',
+    run: async baseUrl => {
+      const failures = [];
+      const now = Math.floor(Date.now() / 1000);
+      const valid = signJwt({ sub: 'support-portal', role: 'agent', exp: now + 60 }, JWT_SECRET);
+      const expired = signJwt({ sub: 'support-portal', role: 'agent', exp: now - 60 }, JWT_SECRET);
+      const forged = signJwt({ sub: 'support-portal', role: 'admin', exp: now + 60 }, 'wrong_secret');
+      const unsigned = `${Buffer.from('{"alg":"none"}').toString('base64url')}.${Buffer.from(JSON.stringify({ sub: 'x', role: 'admin' })).toString('base64url')}.`;
+      const everlasting = signJwt({ sub: 'support-portal', role: 'agent' }, JWT_SECRET);
+      const longLived = signJwt({ sub: 'support-portal', role: 'agent', iat: now, exp: now + 7200 }, JWT_SECRET);
+      const farFuture = signJwt({ sub: 'support-portal', role: 'agent', exp: now + 86400 }, JWT_SECRET);
+
+      const ok = await axios.get(`${baseUrl}/subscriptions/sub_test_recent/cases`, as(valid));
+      if (ok.status !== 200) failures.push(`Expected a valid agent JWT to read cases, got ${ok.status}`);
+      const rejected = [['expired', expired], ['forged', forged], ['unsigned', unsigned], ['exp-less', everlasting], ['over-long iat-to-exp', longLived], ['over-long now-to-exp', farFuture]];
+      for (const [label, token] of rejected) {
+        const response = await axios.get(`${baseUrl}/subscriptions/sub_test_recent/cases`, as(token));
+        if (response.status !== 401) failures.push(`Expected 401 for an ${label} JWT, got ${response.status}`);
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Auth - Per-Key Rate Limit',
+    description: 'A key limited to 2 requests/minute gets 429 on the third, without affecting other keys',
+    run: async baseUrl => {
+      const failures = [];
+      const body = { subscriptionId: 'sub_test_recent', userIssue: 'still activating' };
+      const statuses = [];
+      let last;
+      for (let i = 0; i < 3; i++) {
+        last = await axios.post(`${baseUrl}/diagnose/explain`, body, as(API_KEYS.limited));
+        statuses.push(last.status);
+      }
+      if (statuses.join(',') !== '200,200,429') failures.push(`Expected 200,200,429, got ${statuses.join(',')}`);
+      if (!last.headers['retry-after']) failures.push('Expected a Retry-After header on 429');
+      const other = await axios.post(`${baseUrl}/diagnose/explain`, body, as(API_KEYS.chatbot));
+      if (other.status !== 200) failures.push(`Expected other keys to keep their own limit, got ${other.status}`);
+      return failures;
+    }
+  },
+  {
+    name: 'Audit - Export by SIM',
+    description: 'Reprovisions made by the scenarios are audited with caller, justification and redacted credentials',
+    run: async baseUrl => {
+      const failures = [];
+      const denied = await axios.get(`${baseUrl}/audit/export`, as(API_KEYS.agent));
+      if (denied.status !== 403) failures.push(`Expected 403 for an agent exporting the audit log, got ${denied.status}`);
+
+      const response = await axios.get(`${baseUrl}/audit/export?simId=sim_test_stuck`, as(API_KEYS.admin));
+      const [entry] = response.data.entries || [];
+      if (response.status !== 200 || response.data.count !== 1 || !entry) {
+        return [...failures, `Expected one audit entry for sim_test_stuck, got ${response.status} ${JSON.stringify(response.data).slice(0, 200)}`];
+      }
+      if (entry.requestedBy?.id !== 'test-agent' || entry.justification?.rule !== 'provisioning_stuck' || entry.confidence !== 95) {
+        failures.push(`Expected the entry to name the caller and justifying rule, got ${JSON.stringify({ requestedBy: entry.requestedBy, justification: entry.justification })}`);
+      }
+      if (entry.request?.headers?.Authorization !== '[REDACTED]' || JSON.stringify(entry).includes('test_key')) {
+        failures.push('Expected the Gigs credentials to be redacted from the audit entry');
+      }
+      if (entry.mocked !== false || entry.success !== true || !/^[0-9a-f]{64}$/.test(entry.inputSnapshotHash || '')) {
+        failures.push(`Expected a real, successful call with a snapshot hash, got ${JSON.stringify({ mocked: entry.mocked, success: entry.success, inputSnapshotHash: entry.inputSnapshotHash })}`);
+      }
+
+      const failed = await axios.get(`${baseUrl}/audit/export?subscriptionId=sub_test_reprovision_fails`, as(API_KEYS.admin));
+      if (failed.data.entries?.[0]?.success !== false || failed.data.entries?.[0]?.response?.status !== 503) {
+        failures.push('Expected the failed reprovision to be audited with the Gigs error response');
+      }
+      const past = await axios.get(`${baseUrl}/audit/export?to=2000-01-01T00:00:00Z`, as(API_KEYS.admin));
+      if (past.data.count !== 0) failures.push(`Expected no entries before 2000, got ${past.data.count}`);
+      const invalid = await axios.get(`${baseUrl}/audit/export?from=yesterday`, as(API_KEYS.admin));
+      if (invalid.status !== 400) failures.push(`Expected 400 for an invalid from timestamp, got ${invalid.status}`);
+      return failures;
+    }
+  },
+  {
+    name: 'Audit - Tamper Detection',
+    description: 'Editing a stored entry breaks the hash chain',
+    run: async (baseUrl, { dataDir }) => {
+      const failures = [];
+      const before = await axios.get(`${baseUrl}/audit/verify`, as(API_KEYS.admin));
+      if (before.data.valid !== true || before.data.entries < 2) {
+        failures.push(`Expected a valid chain of several entries, got ${JSON.stringify(before.data)}`);
+      }
+
+      const logPath = path.join(dataDir, 'audit.jsonl');
+      const lines = fs.readFileSync(logPath, 'utf8').split('\n');
+      lines[0] = lines[0].replace('"confidence":95', '"confidence":99');
+      fs.writeFileSync(logPath, lines.join('\n'));
+
+      const after = await axios.get(`${baseUrl}/audit/verify`, as(API_KEYS.admin));
+      if (after.data.valid !== false || after.data.brokenAt !== 1) {
+        failures.push(`Expected the edited first entry to break the chain, got ${JSON.stringify(after.data)}`);
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Observability - Request ID and Trace',
+    description: 'A caller-supplied request ID and traceparent reach the case, the Gigs calls and the exported spans',
+    run: async (baseUrl, { gigsCalls, spans, flushSpans }) => {
+      const failures = [];
+      const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+      // A cached subscription would skip the Gigs call this check traces
+      await new Promise(resolve => setTimeout(resolve, GIGS_CACHE_TTL_MS + 50));
+      const response = await axios.post(`${baseUrl}/diagnose`, { subscriptionId: 'sub_test_billing', userIssue: 'my eSIM never activated' }, {
+        ...as(API_KEYS.agent),
+        headers: { 'X-API-Key': API_KEYS.agent, 'X-Request-Id': 'req-test-123', 'traceparent': `00-${traceId}-00f067aa0ba902b7-01` }
+      });
+      if (response.headers['x-request-id'] !== 'req-test-123') {
+        failures.push(`Expected X-Request-Id to be echoed, got ${response.headers['x-request-id']}`);
+      }
+
+      const caseRecord = await axios.get(`${baseUrl}/cases/${response.data.caseId}`, as(API_KEYS.agent));
+      if (caseRecord.data.requestId !== 'req-test-123' || caseRecord.data.traceId !== traceId) {
+        failures.push(`Expected the case to record the request and trace IDs, got ${JSON.stringify({ requestId: caseRecord.data.requestId, traceId: caseRecord.data.traceId })}`);
+      }
+      const diagnosisCalls = gigsCalls.filter(call => call.path !== '/subscriptions');
+      if (diagnosisCalls.length === 0 || !diagnosisCalls.every(call => call.headers['x-request-id'] === 'req-test-123' && call.headers.traceparent?.includes(traceId))) {
+        failures.push('Expected every Gigs call to carry the request ID and traceparent');
+      }
+
+      await flushSpans();
+      const names = spans.filter(span => span.traceId === traceId).map(span => span.name);
+      for (const name of ['POST /diagnose', 'diagnosis.fetch', 'diagnosis.rules', 'gigs.request']) {
+        if (!names.includes(name)) failures.push(`Expected an exported ${name} span in the trace, got ${names.join(', ')}`);
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Gigs Cache - Coalescing and Invalidation',
+    description: 'Concurrent diagnoses share one Gigs read, repeats hit the cache and a reprovision drops the SIM\'s entries',
+    run: async (baseUrl, { gigsMock, gigsClient }) => {
+      const failures = [];
+      await new Promise(resolve => setTimeout(resolve, GIGS_CACHE_TTL_MS + 50));
+      const body = { subscriptionId: 'sub_test_recent', userIssue: 'my eSIM is still activating' };
+      const reads = () => gigsMock.calls.filter(call => call.path === '/subscriptions/sub_test_recent').length;
+
+      const concurrent = await Promise.all([api.post(`${baseUrl}/diagnose`, body), api.post(`${baseUrl}/diagnose`, body)]);
+      const labels = concurrent.map(response => response.data.apiCalls?.[0]).sort();
+      if (reads() !== 1 || labels.join() !== 'GET /subscriptions/sub_test_recent (cache coalesced),GET /subscriptions/sub_test_recent (cache miss)') {
+        failures.push(`Expected one coalesced Gigs read, got ${reads()} read(s) and apiCalls ${JSON.stringify(labels)}`);
+      }
+      const repeat = await api.post(`${baseUrl}/diagnose`, body);
+      if (reads() !== 1 || repeat.data.apiCalls?.[0] !== 'GET /subscriptions/sub_test_recent (cache hit)') {
+        failures.push(`Expected a cache hit, got ${reads()} read(s) and ${repeat.data.apiCalls?.[0]}`);
+      }
+
+      await gigsClient.getSubscription('sub_test_stuck');
+      await gigsClient.reprovisionSIM('sim_test_stuck');
+      const afterWrite = await gigsClient.getSubscription('sub_test_stuck');
+      const stuckReads = gigsMock.calls.filter(call => call.path === '/subscriptions/sub_test_stuck').length;
+      if (afterWrite.cache !== 'miss' || stuckReads !== 2) {
+        failures.push(`Expected the reprovision to invalidate the cached subscription, got cache ${afterWrite.cache} after ${stuckReads} read(s)`);
+      }
+      const fresh = await gigsClient.getSubscription('sub_test_recent', { fresh: true });
+      if (fresh.cache !== 'miss' || reads() !== 2) failures.push('Expected a fresh read to bypass the cache');
+      return failures;
+    }
+  },
+  {
+    name: 'Actions - Handlers and Preconditions',
+    description: 'Every action runs its handler: signed payment links, device settings guides and state notes; unmet preconditions escalate',
+    run: async baseUrl => {
+      const failures = [];
+      const diagnose = body => axios.post(`${baseUrl}/diagnose`, body, as(API_KEYS.agent)).then(response => response.data);
+
+      for (const [subscriptionId, purpose] of [['sub_test_billing', 'activation'], ['sub_test_restricted', 'restoration']]) {
+        const { actionResult } = await diagnose({ subscriptionId, userIssue: 'my eSIM never activated', locale: 'de' });
+        const link = actionResult?.link && new URL(actionResult.link);
+        const expected = link && crypto.createHmac('sha256', PAYMENT_LINK_SECRET)
+          .update(`${subscriptionId}.${purpose}.${link.searchParams.get('expires')}`).digest('hex');
+        if (actionResult?.status !== 'completed' || link.origin !== 'https://pay.example.com' || link.searchParams.get('subscription') !== subscriptionId ||
+          link.searchParams.get('purpose') !== purpose || link.searchParams.get('lang') !== 'de' || link.searchParams.get('sig') !== expected) {
+          failures.push(`Expected a signed ${purpose} payment link for ${subscriptionId}, got ${JSON.stringify(actionResult)}`);
+        }
+      }
+
+      // Without a portal the message still goes out, as it did before payment links existed
+      const actionRegistry = require('../actions/actionRegistry');
+      const PaymentLinkHandler = require('../actions/handlers/paymentLink');
+      const paymentHandler = actionRegistry.get('route_to_payment');
+      actionRegistry.register(new PaymentLinkHandler({ action: 'route_to_payment', purpose: 'activation', portalUrl: null, secret: null, ttlMinutes: 60 }));
+      try {
+        const unlinked = await diagnose({ subscriptionId: 'sub_test_billing', userIssue: 'my eSIM never activated' });
+        if (unlinked.action !== 'route_to_payment' || unlinked.actionResult?.status !== 'completed' || unlinked.actionResult.link !== null || unlinked.escalation) {
+          failures.push(`Expected the payment message without a link when no portal is configured, got ${JSON.stringify({ action: unlinked.action, actionResult: unlinked.actionResult })}`);
+        }
+      } finally {
+        actionRegistry.register(paymentHandler);
+      }
+
+      const noService = 'I have no service even though it says active';
+      const ios = await diagnose({ subscriptionId: 'sub_test_active', userIssue: noService, device: { os: 'ios' } });
+      const generic = await diagnose({ subscriptionId: 'sub_test_active', userIssue: noService });
+      if (ios.actionResult?.guide?.platform !== 'ios' || !ios.actionResult.guide.steps.some(step => step.includes('Cellular Data'))) {
+        failures.push(`Expected the iPhone settings guide, got ${JSON.stringify(ios.actionResult?.guide)}`);
+      }
+      if (generic.actionResult?.guide?.platform !== 'generic' || generic.actionResult.device !== null) {
+        failures.push(`Expected the generic guide without a device, got ${JSON.stringify(generic.actionResult)}`);
+      }
+      const badDevice = await axios.post(`${baseUrl}/diagnose`, { subscriptionId: 'sub_test_active', userIssue: noService, device: { os: 'symbian' } }, as(API_KEYS.agent));
+      if (badDevice.status !== 400) failures.push(`Expected 400 for an unknown device OS, got ${badDevice.status}`);
+
+      const ended = await diagnose({ subscriptionId: 'sub_test_ended', userIssue: 'my plan does not work anymore' });
+      if (ended.actionResult?.status !== 'completed' || ended.actionResult.subscriptionStatus !== 'ended') {
+        failures.push(`Expected inform_only to report the subscription status, got ${JSON.stringify(ended.actionResult)}`);
+      }
+
+      // The LLM picks the settings guide, but the SIM is in an error state, so the guide cannot help
+      const blocked = await diagnose({ subscriptionId: 'sub_test_error', userIssue: 'It\'s an iPhone and I already scanned the code' });
+      const failed = blocked.actionResult?.preconditions?.filter(precondition => !precondition.passed).map(precondition => precondition.name);
+      if (blocked.action !== 'escalate' || blocked.actionResult?.status !== 'precondition_failed' || failed?.join() !== 'sim_active' ||
+        blocked.escalation?.reason !== 'action_failed' || blocked.apiCalls.some(call => call.includes('reprovision'))) {
+        failures.push(`Expected an unmet precondition to escalate, got ${JSON.stringify({ action: blocked.action, actionResult: blocked.actionResult, escalation: blocked.escalation })}`);
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Actions - Wait Follow-Up',
+    description: 'A wait schedules a fresh re-check that runs the rules again as a linked case',
+    run: async (baseUrl, { gigsMock, followUps }) => {
+      const failures = [];
+      const delayMs = followUps.delayMs;
+      followUps.delayMs = 100;
+      try {
+        const response = await axios.post(`${baseUrl}/diagnose`, { subscriptionId: 'sub_test_recent', userIssue: 'my eSIM is still activating' }, as(API_KEYS.agent));
+        const { action, actionResult, followUp, caseId } = response.data;
+        if (action !== 'wait' || followUp?.status !== 'scheduled' || followUp.check !== 1 || actionResult?.followUp?.recheckAt !== followUp.recheckAt) {
+          return [`Expected a scheduled follow-up, got ${JSON.stringify({ action, actionResult, followUp })}`];
+        }
+
+        // The SIM activates while the customer waits; the re-check must see it despite the read cache
+        gigsMock.setState('sub_test_recent', { simStatus: 'active', subscriptionStatus: 'active' });
+        let record = null;
+        const deadline = Date.now() + 2000;
+        while (Date.now() < deadline) {
+          record = (await axios.get(`${baseUrl}/cases/${caseId}`, as(API_KEYS.agent))).data;
+          if (record.followUp?.status !== 'scheduled') break;
+          await new Promise(resolve => setTimeout(resolve, 25));
+        }
+        if (record.followUp?.status !== 'completed' || record.followUp.result?.method !== 'no_match') {
+          return [`Expected the re-check to find nothing left to fix, got ${JSON.stringify(record.followUp)}`];
+        }
+        const recheck = (await axios.get(`${baseUrl}/cases/${record.followUp.result.caseId}`, as(API_KEYS.agent))).data;
+        if (recheck.source !== 'follow_up' || recheck.followUpOf?.caseId !== caseId || recheck.principal?.id !== 'test-agent') {
+          failures.push(`Expected a follow_up case linked to ${caseId}, got ${JSON.stringify({ source: recheck.source, followUpOf: recheck.followUpOf, principal: recheck.principal })}`);
+        }
+      } finally {
+        followUps.delayMs = delayMs;
+        // Later checks expect the activating SIM, so let the re-check's read age out of the cache
+        gigsMock.reset();
+        await new Promise(resolve => setTimeout(resolve, GIGS_CACHE_TTL_MS + 50));
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Guardrail - History Survives Restart',
+    description: 'A guard rebuilt from stored cases counts failed reprovisions like the running one does',
+    run: async () => {
+      const caseStore = require('../store/caseStore');
+      const actionGuard = require('../actions/actionGuard');
+      caseStore.create({
+        subscriptionId: 'sub_restart',
+        subscriptionSnapshot: { id: 'sub_restart', status: 'pending', sim: { id: 'sim_restart', status: 'inactive' } },
+        method: 'rule_engine',
+        rule: 'provisioning_stuck',
+        action: 'escalate',
+        actionResult: { action: 'reprovision', status: 'failed', success: false, error: { kind: 'unavailable', message: 'Gigs API unavailable' } }
+      });
+
+      const restarted = new actionGuard.constructor();
+      const decision = restarted.authorize('reprovision', 'sim_restart');
+      return decision.allowed ? ['Expected the failed reprovision to start the cooldown after a restart'] : [];
+    }
+  },
+  {
+    name: 'Escalation - Background Delivery',
+    description: 'A slow ticketing system does not hold up the response; the delivery result lands on the case afterwards',
+    run: async baseUrl => {
+      const failures = [];
+      const escalationService = require('../escalation/escalationService');
+      const sinks = escalationService.sinks;
+      const delivered = [];
+      escalationService.sinks = [{
+        name: 'slow',
+        deliver: ticket => new Promise(resolve => setTimeout(() => {
+          delivered.push(ticket.id);
+          resolve({ delivered: true });
+        }, 400))
+      }];
+      try {
+        const startedAt = Date.now();
+        const { data } = await axios.post(`${baseUrl}/diagnose`, { subscriptionId: 'sub_test_ambiguous', userIssue: 'it just doesn\'t work' }, as(API_KEYS.agent));
+        const elapsedMs = Date.now() - startedAt;
+        const pending = (await axios.get(`${baseUrl}/cases/${data.caseId}`, as(API_KEYS.agent))).data.escalation;
+        if (data.action !== 'escalate' || elapsedMs >= 400 || pending?.delivery !== 'pending' || pending.ticketId !== data.escalation?.ticketId) {
+          failures.push(`Expected the response before the slow sink answered, got ${JSON.stringify({ action: data.action, elapsedMs, escalation: pending })}`);
+        }
+        const escalation = await waitForEscalation(baseUrl, data.caseId);
+        if (escalation?.delivery !== 'delivered' || escalation.sinks[0]?.sink !== 'slow' || !delivered.includes(data.escalation?.ticketId)) {
+          failures.push(`Expected the delivery result to be recorded on the case, got ${JSON.stringify(escalation)}`);
+        }
+      } finally {
+        escalationService.sinks = sinks;
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Devices - Catalog and OS-Specific Guides',
+    description: 'Device metadata drives device rules from the catalog and picks the guide for the OS version',
+    run: async baseUrl => {
+      const failures = [];
+      const post = (path, body) => axios.post(`${baseUrl}${path}`, body, as(API_KEYS.agent));
+      const noService = 'I have no service even though it says active';
+
+      const cases = [
+        ['sub_test_recent', 'my eSIM is still activating', { os: 'ios', model: 'iPhone 8' }, 'device_not_esim_capable'],
+        ['sub_test_active', noService, { os: 'android', manufacturer: 'Samsung', model: 'Galaxy S23', carrierLocked: true }, 'device_carrier_locked'],
+        ['sub_test_active', noService, { os: 'ios', osVersion: '17.0.1', model: 'iPhone 15' }, 'device_os_known_issue']
+      ];
+      for (const [subscriptionId, userIssue, device, expectedRule] of cases) {
+        const { data } = await post('/diagnose', { subscriptionId, userIssue, device, locale: 'en' });
+        if (data.rule !== expectedRule || data.action !== 'inform_only') {
+          failures.push(`Expected ${expectedRule} for ${JSON.stringify(device)}, got ${data.rule} -> ${data.action}`);
+        }
+        if (expectedRule === 'device_os_known_issue' && !data.message.includes('iOS 17.0.3')) {
+          failures.push(`Expected the known-issue message to name the fixed version, got "${data.message}"`);
+        }
+      }
+
+      // Same no-service complaint, different phones: the guide follows OS and version
+      const guides = [
+        [{ os: 'ios', osVersion: '15.4' }, 'en', 'ios_12', 'Cellular Plans'],
+        [{ os: 'ios', osVersion: '17.4' }, 'en', 'ios', 'Cellular Data'],
+        [{ os: 'android', osVersion: '14', manufacturer: 'Samsung' }, 'de', 'samsung', 'SIM-Manager'],
+        [{ os: 'android', osVersion: '11' }, 'en', 'android_10', 'Downloaded SIM']
+      ];
+      for (const [device, locale, guideId, phrase] of guides) {
+        const { data } = await post('/diagnose', { subscriptionId: 'sub_test_active', userIssue: noService, device, locale });
+        if (data.rule !== 'device_config' || data.actionResult?.guide?.id !== guideId || !data.message.includes(phrase)) {
+          failures.push(`Expected the ${guideId} guide in message and actionResult for ${JSON.stringify(device)}, got ${JSON.stringify({ rule: data.rule, guide: data.actionResult?.guide?.id, message: data.message })}`);
+        }
+      }
+
+      const explain = (await post('/diagnose/explain', { subscriptionId: 'sub_test_active', userIssue: noService, device: { os: 'ios', osVersion: '12.0', model: 'iPhone XR' } })).data;
+      if (explain.matchedRule !== 'device_os_known_issue' || explain.context?.device?.knownIssue !== 'os_below_minimum') {
+        failures.push(`Expected explain to show the device profile, got ${JSON.stringify({ matchedRule: explain.matchedRule, device: explain.context?.device })}`);
+      }
+
+      const session = (await post('/sessions', { subscriptionId: 'sub_test_recent', message: 'my eSIM is still activating', device: { os: 'android', model: 'Pixel 2' } })).data;
+      if (session.rule !== 'device_not_esim_capable') {
+        failures.push(`Expected the session's device to reach the rules, got ${session.rule}`);
+      }
+
+      for (const device of [{ os: 'ios', osVersion: 'latest' }, { os: 'ios', color: 'blue' }, { os: 'ios', carrierLocked: 'yes' }]) {
+        const response = await post('/diagnose', { subscriptionId: 'sub_test_active', userIssue: noService, device });
+        if (response.status !== 400 || !Array.isArray(response.data.details)) {
+          failures.push(`Expected 400 with details for device ${JSON.stringify(device)}, got ${response.status}`);
+        }
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Batch - Diagnose Many',
+    description: 'Agents can diagnose several subscriptions in one call; a failing item does not stop the others',
+    run: async baseUrl => {
+      const failures = [];
+      const items = [
+        { subscriptionId: 'sub_test_recent', userIssue: 'my eSIM is still activating' },
+        { subscriptionId: 'sub_does_not_exist', userIssue: 'my eSIM never activated' },
+        { subscriptionId: 'sub_test_billing', userIssue: 'my eSIM never activated' }
+      ];
+      const response = await axios.post(`${baseUrl}/diagnose/batch`, { items }, as(API_KEYS.agent));
+      const { summary, results = [] } = response.data;
+      if (response.status !== 200 || summary?.total !== 3 || summary.failed !== 1 || summary.byAction?.wait !== 1 || summary.byAction?.route_to_payment !== 1) {
+        return [`Expected 3 results with one failure, got ${response.status} ${JSON.stringify(summary)}`];
+      }
+      if (results.map(result => result.subscriptionId).join() !== items.map(item => item.subscriptionId).join() || results[1].status !== 500) {
+        failures.push('Expected results in item order with the unknown subscription failing');
+      }
+      const caseRecord = await axios.get(`${baseUrl}/cases/${results[2].caseId}`, as(API_KEYS.agent));
+      if (caseRecord.data.source !== 'batch') failures.push(`Expected the case source to be batch, got ${caseRecord.data.source}`);
+
+      const chatbot = await axios.post(`${baseUrl}/diagnose/batch`, { items }, as(API_KEYS.chatbot));
+      if (chatbot.status !== 403) failures.push(`Expected 403 for the chatbot role, got ${chatbot.status}`);
+      const missingIssue = await axios.post(`${baseUrl}/diagnose/batch`, { subscriptionIds: ['sub_test_recent'] }, as(API_KEYS.agent));
+      if (missingIssue.status !== 400 || missingIssue.data.index !== 0) failures.push(`Expected 400 for items without a userIssue, got ${missingIssue.status}`);
+      const tooMany = await axios.post(`${baseUrl}/diagnose/batch`, { subscriptionIds: Array(101).fill('sub_test_recent'), userIssue: 'help' }, as(API_KEYS.agent));
+      if (tooMany.status !== 400) failures.push(`Expected 400 for more than 100 items, got ${tooMany.status}`);
+      return failures;
+    }
+  },
+  {
+    name: 'Fleet Scan - Dry Run and Fix',
+    description: 'The scanner pages through every subscription, plans fixes on a dry run and fixes through the guarded pipeline',
+    run: async (baseUrl, { gigsMock }) => {
+      const failures = [];
+      const runScan = async body => {
+        const started = await axios.post(`${baseUrl}/admin/scan`, body, as(API_KEYS.admin));
+        if (started.status !== 202) {
+          throw new Error(`Expected 202, got ${started.status} ${JSON.stringify(started.data)}`);
+        }
+        const job = await waitForJob(baseUrl, started.data.jobId, 10000);
+        return job?.result;
+      };
+      const bySubscription = report => Object.fromEntries(report.findings.map(finding => [finding.subscriptionId, finding]));
+
+      const dryRun = await runScan({ fix: true, dryRun: true });
+      const planned = bySubscription(dryRun);
+      if (dryRun.scanned !== 11 || dryRun.pages !== 3 || dryRun.summary.findings.provisioning_stuck !== 4 || dryRun.summary.findings.billing_hold !== 1) {
+        failures.push(`Expected 4 stuck and 1 billing hold across 3 pages of 11, got ${JSON.stringify({ scanned: dryRun.scanned, pages: dryRun.pages, ...dryRun.summary })}`);
+      }
+      if (planned.sub_test_stuck?.remediation?.status !== 'planned' || planned.sub_test_recent || planned.sub_test_restricted) {
+        failures.push('Expected only stuck and billing-held subscriptions, each with a planned fix');
+      }
+      const reprovisions = () => gigsMock.calls.filter(call => call.path.endsWith('/reprovision')).length;
+      if (reprovisions() !== 0) failures.push('Expected a dry run to send no reprovision');
+
+      const fixed = bySubscription(await runScan({ fix: true, concurrency: 2 }));
+      if (fixed.sub_test_billing?.remediation?.status !== 'applied' || fixed.sub_test_billing.remediation.action !== 'route_to_payment') {
+        failures.push(`Expected the billing hold to be routed to payment, got ${JSON.stringify(fixed.sub_test_billing?.remediation)}`);
+      }
+      // Every stuck SIM was reprovisioned by the scenarios above, so the guardrail cooldown must hold
+      if (fixed.sub_test_stuck?.remediation?.status !== 'escalated' || reprovisions() !== 0) {
+        failures.push(`Expected the cooldown to turn the stuck fix into an escalation, got ${JSON.stringify(fixed.sub_test_stuck?.remediation)} and ${reprovisions()} reprovision(s)`);
+      }
+      const caseRecord = await axios.get(`${baseUrl}/cases/${fixed.sub_test_billing?.remediation?.caseId}`, as(API_KEYS.agent));
+      if (caseRecord.data.source !== 'fleet_scan' || caseRecord.data.principal?.id !== 'test-admin') {
+        failures.push(`Expected a fleet_scan case recorded for the admin, got ${JSON.stringify({ source: caseRecord.data.source, principal: caseRecord.data.principal })}`);
+      }
+
+      const status = await axios.get(`${baseUrl}/admin/scan`, as(API_KEYS.admin));
+      if (status.data.running !== false || !status.data.lastReport?.options?.fix || status.data.lastReport.options.dryRun) {
+        failures.push('Expected GET /admin/scan to return the last report');
+      }
+
+      // A scan still waiting in the job queue holds the scanner, so a second request is refused
+      const jobQueue = require('../jobs/jobQueue');
+      const jobConcurrency = jobQueue.concurrency;
+      jobQueue.concurrency = 0;
+      let queued;
+      let second;
+      try {
+        queued = await axios.post(`${baseUrl}/admin/scan`, { dryRun: true }, as(API_KEYS.admin));
+        second = await axios.post(`${baseUrl}/admin/scan`, { dryRun: true }, as(API_KEYS.admin));
+      } finally {
+        jobQueue.concurrency = jobConcurrency;
+        jobQueue.enqueue('noop', async () => null); // drains the queue
+      }
+      if (queued.status !== 202 || second.status !== 409) {
+        failures.push(`Expected a second scan request to get 409 while the first is queued, got ${queued.status} and ${second.status}`);
+      }
+      const queuedJob = await waitForJob(baseUrl, queued.data.jobId, 10000);
+      if (queuedJob?.status !== 'completed' || (await axios.get(`${baseUrl}/admin/scan`, as(API_KEYS.admin))).data.running) {
+        failures.push(`Expected the queued scan to run and release the scanner, got ${JSON.stringify(queuedJob?.status)}`);
+      }
+
+      const invalid = await axios.post(`${baseUrl}/admin/scan`, { concurrency: 0 }, as(API_KEYS.admin));
+      if (invalid.status !== 400) failures.push(`Expected 400 for concurrency 0, got ${invalid.status}`);
+      const agent = await axios.post(`${baseUrl}/admin/scan`, {}, as(API_KEYS.agent));
+      if (agent.status !== 403) failures.push(`Expected 403 for the agent role, got ${agent.status}`);
+      return failures;
+    }
+  },
+  {
+    name: 'Readiness - Dependencies Up',
+    description: 'GET /ready is public, probes Gigs and the LLM chain and caches the results',
+    run: async baseUrl => {
+      const failures = [];
+      await new Promise(resolve => setTimeout(resolve, READY_CACHE_TTL_MS + 50));
+      const first = await axios.get(`${baseUrl}/ready`, as(null));
+      const { config, gigs, llm } = first.data.checks || {};
+      if (first.status !== 200 || first.data.status !== 'ready') {
+        return [`Expected 200 ready, got ${first.status} ${JSON.stringify(first.data)}`];
+      }
+      if (config.status !== 'up' || config.errors.length !== 0) failures.push(`Expected a valid configuration, got ${JSON.stringify(config)}`);
+      if (gigs.status !== 'up' || typeof gigs.latencyMs !== 'number' || gigs.cached !== false) {
+        failures.push(`Expected a fresh Gigs probe with its latency, got ${JSON.stringify(gigs)}`);
+      }
+      if (llm.status !== 'up' || llm.details?.providers?.[0]?.name !== 'stub') {
+        failures.push(`Expected the stub LLM to be up, got ${JSON.stringify(llm)}`);
+      }
+
+      const second = await axios.get(`${baseUrl}/ready`, as(null));
+      if (second.data.checks?.gigs?.cached !== true || second.data.checks?.llm?.cached !== true) {
+        failures.push('Expected a second check within the TTL to be served from the cache');
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Degraded - Gigs Down',
+    description: 'With Gigs failing its probe, /ready answers 503 and /diagnose escalates without calling Gigs',
+    run: async (baseUrl, { gigsMock }) => {
+      const failures = [];
+      gigsMock.setAvailable(false);
+      await new Promise(resolve => setTimeout(resolve, READY_CACHE_TTL_MS + 50));
+
+      const ready = await axios.get(`${baseUrl}/ready`, as(null));
+      if (ready.status !== 503 || ready.data.checks?.gigs?.status !== 'down' || !/503/.test(ready.data.checks?.gigs?.error)) {
+        failures.push(`Expected 503 with Gigs down, got ${ready.status} ${JSON.stringify(ready.data.checks?.gigs)}`);
+      }
+
+      const response = await api.post(`${baseUrl}/diagnose`, { subscriptionId: 'sub_test_stuck', userIssue: 'my eSIM has been stuck for 2 hours' }, { validateStatus: () => true });
+      const result = response.data;
+      if (response.status !== 200 || result.method !== 'degraded' || result.action !== 'escalate' || result.escalation?.reason !== 'dependency_down') {
+        failures.push(`Expected a degraded escalation, got ${response.status} ${JSON.stringify({ method: result.method, action: result.action, escalation: result.escalation })}`);
+      }
+      if (gigsMock.calls.some(call => call.path !== '/subscriptions')) {
+        failures.push(`Expected no Gigs calls besides the probe, got ${gigsMock.calls.map(call => `${call.method} ${call.path}`).join(', ')}`);
+      }
+
+      gigsMock.setAvailable(true);
+      await new Promise(resolve => setTimeout(resolve, READY_CACHE_TTL_MS + 50));
+      return failures;
+    }
+  },
+  {
+    name: 'Degraded - LLM Down',
+    description: 'With the LLM failing its probe, rules still run and unmatched issues escalate instead of reaching the LLM',
+    run: async (baseUrl, { stubFixturesPath }) => {
+      const failures = [];
+      const fixtures = fs.readFileSync(stubFixturesPath, 'utf8');
+      fs.writeFileSync(stubFixturesPath, JSON.stringify({ ...JSON.parse(fixtures), unavailable: 'simulated outage' }));
+      await new Promise(resolve => setTimeout(resolve, READY_CACHE_TTL_MS + 50));
+
+      try {
+        const ready = await axios.get(`${baseUrl}/ready`, as(null));
+        if (ready.status !== 503 || ready.data.checks?.llm?.status !== 'down' || ready.data.checks?.llm?.details?.providers?.[0]?.status !== 'down') {
+          failures.push(`Expected 503 with the LLM down, got ${ready.status} ${JSON.stringify(ready.data.checks?.llm)}`);
+        }
+
+        const unmatched = await api.post(`${baseUrl}/diagnose`, { subscriptionId: 'sub_test_ambiguous', userIssue: 'it just doesn\'t work' });
+        if (unmatched.data.method !== 'degraded' || unmatched.data.action !== 'escalate' || unmatched.data.escalation?.reason !== 'dependency_down' || unmatched.data.llmAttempts) {
+          failures.push(`Expected an unmatched issue to escalate without an LLM call, got ${JSON.stringify({ method: unmatched.data.method, action: unmatched.data.action, escalation: unmatched.data.escalation })}`);
+        }
+
+        const matched = await api.post(`${baseUrl}/diagnose`, { subscriptionId: 'sub_test_billing', userIssue: 'my eSIM never activated' });
+        if (matched.data.method !== 'rule_engine' || matched.data.action !== 'route_to_payment') {
+          failures.push(`Expected rules to keep working, got ${JSON.stringify({ method: matched.data.method, action: matched.data.action })}`);
+        }
+      } finally {
+        fs.writeFileSync(stubFixturesPath, fixtures);
+        await new Promise(resolve => setTimeout(resolve, READY_CACHE_TTL_MS + 50));
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Evaluation - Thresholds and Replay',
+    description: 'LLM auto-actions use per-action thresholds; the replay harness scores the labelled cases offline',
+    run: async (baseUrl, { diagnosisService }) => {
+      const failures = [];
+      const { loadThresholds } = require('../actions/thresholds');
+      const { loadEvalSet, replay } = require('../evaluation/replay');
+
+      const thresholds = diagnosisService.thresholds;
+      diagnosisService.thresholds = loadThresholds({ CONFIDENCE_THRESHOLDS: 'reprovision:90' });
+      try {
+        // The stub LLM proposes reprovision at 85%: enough for the default 80, not for 90
+        const { data } = await axios.post(`${baseUrl}/diagnose`, { subscriptionId: 'sub_test_error', userIssue: 'getting a weird error message' }, as(API_KEYS.agent));
+        if (data.action !== 'escalate' || data.autoActionThreshold?.threshold !== 90 || data.autoActionThreshold.action !== 'reprovision' ||
+          data.escalation?.reason !== 'low_confidence' || data.apiCalls.some(call => call.includes('reprovision'))) {
+          failures.push(`Expected the reprovision threshold to escalate an 85% diagnosis, got ${JSON.stringify({ action: data.action, autoActionThreshold: data.autoActionThreshold, escalation: data.escalation })}`);
+        }
+        const record = (await axios.get(`${baseUrl}/cases/${data.caseId}`, as(API_KEYS.agent))).data;
+        if (record.llm?.diagnosis?.recommendedAction !== 'reprovision' || !record.escalation?.reason?.detail?.includes('90% auto-action threshold for reprovision')) {
+          failures.push(`Expected the case to keep the LLM's proposal and name the threshold, got ${JSON.stringify({ llm: record.llm?.diagnosis, escalation: record.escalation?.reason })}`);
+        }
+      } finally {
+        diagnosisService.thresholds = thresholds;
+      }
+
+      for (const env of [{ CONFIDENCE_THRESHOLDS: 'teleport:50' }, { CONFIDENCE_THRESHOLDS: 'wait:150' }, { CONFIDENCE_THRESHOLD: '-1' }]) {
+        try {
+          loadThresholds(env);
+          failures.push(`Expected ${JSON.stringify(env)} to be rejected`);
+        } catch {
+          // expected
+        }
+      }
+
+      const report = await replay(loadEvalSet(), { thresholds: loadThresholds({}), sweep: [70, 80, 90] });
+      const recorded = report.decisions.find(decision => decision.case === 'recorded case replayed as of when it was recorded');
+      if (report.total !== 26 || report.failures.length !== 6 || report.rules.activation_failed.precision !== 0.5 || report.rules.provisioning_stuck.recall !== 1) {
+        failures.push(`Unexpected replay scores: ${JSON.stringify({ total: report.total, failures: report.failures.length, rules: report.rules.activation_failed })}`);
+      }
+      if (recorded?.rule !== 'normal_delay') {
+        failures.push(`Expected a recorded case to be replayed as of its recording time, got ${recorded?.rule}`);
+      }
+      const rates = report.escalation.sweep.map(row => row.escalationRate);
+      if (rates.length !== 3 || rates[0] > rates[1] || rates[1] > rates[2] || report.escalation.configured.escalationRate !== rates[1]) {
+        failures.push(`Expected escalation to rise with the threshold and the default to match 80, got ${JSON.stringify(report.escalation.sweep)}`);
+      }
+      if (report.calibration.buckets.length === 0 || typeof report.calibration.expectedCalibrationError !== 'number' || !report.escalation.byAction.reprovision) {
+        failures.push(`Expected calibration buckets and per-action escalation rows, got ${JSON.stringify(report.calibration)}`);
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Privacy - Prompt Redaction',
+    description: 'Personal data is masked before the LLM prompt, restored in the customer message and logged without values',
+    run: async baseUrl => {
+      const failures = [];
+      const { LLMHandler } = require('../llm/llmHandler');
+      const { loadLLMConfig } = require('../llm/config');
+
+      const userIssue = 'getting a weird error message - my name is Anna Schmidt, call me on +49 151 12345678 or anna.schmidt@example.com';
+      // The service runs in this process, so its log lines can be captured from stdout
+      const logLines = [];
+      const stdoutWrite = process.stdout.write;
+      process.stdout.write = function (chunk, ...rest) {
+        logLines.push(String(chunk));
+        return stdoutWrite.call(this, chunk, ...rest);
+      };
+      let data;
+      try {
+        ({ data } = await axios.post(`${baseUrl}/diagnose`, { subscriptionId: 'sub_test_error', userIssue }, as(API_KEYS.agent)));
+      } finally {
+        process.stdout.write = stdoutWrite;
+      }
+      const startedLine = logLines.find(line => line.includes('"Diagnosis started"') && line.includes('weird error'));
+      if (!startedLine || /Anna|12345678|example\.com/.test(startedLine)) {
+        failures.push(`Expected the "Diagnosis started" log to carry the masked message, got ${startedLine}`);
+      }
+      const record = (await axios.get(`${baseUrl}/cases/${data.caseId}`, as(API_KEYS.agent))).data;
+      const redaction = record.llm?.redaction;
+      if (data.method !== 'llm' || !redaction || ['NAME', 'PHONE', 'EMAIL'].some(kind => !redaction.kinds[kind]) ||
+        /Anna|12345678|example\.com/.test(JSON.stringify(redaction))) {
+        failures.push(`Expected the case to log masked name, phone and email without their values, got ${JSON.stringify(redaction)}`);
+      }
+
+      // The first fixture fails the call if personal data reaches the prompt
+      const subscription = {
+        object: 'subscription', id: 'sub_pii', status: 'active', plan: 'pln_basic',
+        user: { id: 'usr_42', fullName: 'Anna Schmidt', email: 'anna.schmidt@example.com' },
+        phoneNumber: '+4915112345678',
+        sim: { object: 'sim', id: 'sim_pii', status: 'active', type: 'esim', iccid: '8949000012345678901' }
+      };
+      const handlerWith = (env, responses) => {
+        const config = loadLLMConfig({ ...env, LLM_PROVIDER: 'stub', LLM_FALLBACK_PROVIDERS: '' });
+        return new LLMHandler({ ...config, providers: { stub: { ...config.providers.stub, fixtures: { responses } } } });
+      };
+      const leak = { whenPromptContains: ['anna'], response: { error: 'prompt contains the customer name' } };
+      const reply = {
+        diagnosis: 'Settings issue', recommendedAction: 'route_to_settings_guide', confidence: 85, reasoning: 'Customer [NAME_1] installed the eSIM',
+        userMessage: 'Hi [NAME_1], we will text [PHONE_1] once your eSIM is ready.'
+      };
+
+      const masked = await handlerWith({}, [leak, { whenPromptContains: ['[name_1]', '[phone_1]', '[iccid_1]', 'pln_basic'], response: reply }])
+        .diagnose(subscription, 'Anna Schmidt here, I already scanned the code');
+      if (!masked.success || masked.diagnosis.userMessage !== 'Hi Anna Schmidt, we will text +4915112345678 once your eSIM is ready.' ||
+        masked.diagnosis.reasoning !== reply.reasoning) {
+        failures.push(`Expected tokens restored in the userMessage only, got ${JSON.stringify(masked.diagnosis || masked.error)}`);
+      }
+
+      const blocked = await handlerWith({ LLM_REDACTION_BLOCK_UNLISTED: 'true', LLM_REDACTION_ALLOWED_FIELDS: 'user.id' }, [
+        leak,
+        { whenPromptContains: ['phoneNumber'], response: { error: 'prompt contains a blocked field' } },
+        { whenPromptContains: ['usr_42', 'sim_pii'], response: reply }
+      ]).diagnose(subscription, 'I already scanned the code');
+      if (!blocked.success || blocked.redaction.blocked !== 4 || blocked.redaction.masked !== 0 ||
+        !blocked.redaction.entries.some(entry => entry.source === 'subscription.sim.iccid' && entry.action === 'blocked')) {
+        failures.push(`Expected unlisted fields to be left out of the prompt, got ${JSON.stringify(blocked.redaction || blocked.error)}`);
+      }
+      return failures;
+    }
+  },
+  {
+    name: 'Observability - Metrics',
+    description: 'GET /metrics is public and counts diagnoses, escalations, stage latency and LLM tokens',
+    run: async baseUrl => {
+      const failures = [];
+      const response = await axios.get(`${baseUrl}/metrics`, as(null));
+      if (response.status !== 200 || !response.headers['content-type'].startsWith('text/plain')) {
+        return [`Expected a public text/plain /metrics, got ${response.status} ${response.headers['content-type']}`];
+      }
+      const expected = [
+        'esim_diagnoses_total{method="rule_engine",rule="provisioning_stuck",action="reprovision"}',
+        'esim_escalations_total{reason="',
+        'esim_diagnosis_stage_duration_seconds_count{stage="rules"}',
+        'esim_gigs_requests_total{method="POST",endpoint="/v1/sims/:id/reprovision",outcome="server"}',
+        'esim_llm_tokens_total{provider="stub",model="stub",type="input"}',
+        'esim_http_requests_total{method="POST",route="/diagnose",status="200"}'
+      ];
+      for (const line of expected) {
+        if (!response.data.includes(line)) failures.push(`Expected /metrics to include ${line}`);
+      }
+      return failures;
+    }
+  }
+];
+
+/**
+ * Write stub LLM fixtures to a temporary file
+ * @returns {string} Path for LLM_STUB_FIXTURES
+ */
+function writeStubFixtures(fixtures) {
+  const fixturesPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'stub-llm-')), 'stub.json');
+  fs.writeFileSync(fixturesPath, JSON.stringify(fixtures));
+  return fixturesPath;
+}
+
+/**
+ * Start an express app on an ephemeral port
+ * @returns {Promise<{server: object, url: string}>}
+ */
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+/**
+ * Poll an async job until it finishes
+ * @returns {Promise<object|null>} Job, or null if it did not finish in time
+ */
+async function waitForJob(baseUrl, jobId, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const response = await api.get(`${baseUrl}/diagnose/jobs/${jobId}`, { validateStatus: () => true });
+    if (response.status === 200 && ['completed', 'failed'].includes(response.data.status)) {
+      return response.data;
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  return null;
+}
+
+/**
+ * Wait until a received callback matches a predicate
+ * @returns {Promise<object|undefined>}
+ */
+async function waitForCallback(callbacks, predicate, timeoutMs = 1000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!callbacks.some(predicate) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  return callbacks.find(predicate);
+}
+
+/**
+ * Poll a case's verification until it leaves 'pending'
+ * @returns {Promise<object|null>} Verification status response
+ */
+async function waitForVerification(baseUrl, caseId, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const response = await api.get(`${baseUrl}/cases/${caseId}/verification`, { validateStatus: () => true });
+    if (response.status === 200 && response.data.verification.status !== 'pending') {
+      return response.data;
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  return null;
+}
+
+/**
+ * Poll a case's escalation until its delivery leaves 'pending'
+ * @returns {Promise<object|null>} The case's escalation
+ */
+async function waitForEscalation(baseUrl, caseId, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const response = await api.get(`${baseUrl}/cases/${caseId}`, { validateStatus: () => true });
+    if (response.status === 200 && response.data.escalation && response.data.escalation.delivery !== 'pending') {
+      return response.data.escalation;
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  return null;
+}
+
+/**
+ * Send a session scenario's messages in order
+ * @returns {Promise<{response: object, turns: string[]}>} Last turn's response and every turn's action
+ */
+async function runSession(baseUrl, scenario, request) {
+  const [first, ...replies] = scenario.session;
+  let response = await api.post(`${baseUrl}/sessions`, { ...request, message: first }, { validateStatus: () => true });
+  const turns = [response.data.action];
+
+  for (const message of replies) {
+    response = await api.post(`${baseUrl}/sessions/${response.data.sessionId}/messages`, { message }, {
+      validateStatus: () => true
+    });
+    turns.push(response.data.action);
+  }
+  return { response, turns };
+}
+
+/**
+ * Compare a response with a scenario's expectations
+ * @returns {string[]} Failure descriptions (empty if the scenario passed)
+ */
+function check(scenario, status, result, reprovisionCalls, turns) {
+  const reprovisioned = reprovisionCalls.length > 0;
+  const expected = scenario.expected;
+  const failures = [];
+
+  if (status !== (expected.status || 200)) {
+    failures.push(`Expected status ${expected.status || 200}, got ${status}`);
+  }
+  for (const field of ['method', 'rule', 'action']) {
+    if (expected[field] !== undefined && result[field] !== expected[field]) {
+      failures.push(`Expected ${field} ${expected[field]}, got ${result[field]}`);
+    }
+  }
+  if (expected.locale !== undefined && result.locale?.code !== expected.locale) {
+    failures.push(`Expected locale ${expected.locale}, got ${result.locale?.code}`);
+  }
+  if (expected.messageIncludes !== undefined && !String(result.message).includes(expected.messageIncludes)) {
+    failures.push(`Expected message to include "${expected.messageIncludes}", got "${result.message}"`);
+  }
+  if (expected.turns && turns.join(',') !== expected.turns.join(',')) {
+    failures.push(`Expected session turns ${expected.turns.join(' -> ')}, got ${turns.join(' -> ')}`);
+  }
+  if (expected.reprovisioned !== undefined && reprovisioned !== expected.reprovisioned) {
+    failures.push(`Expected reprovision ${expected.reprovisioned ? '' : 'not '}to be called`);
+  }
+  if (expected.reprovisionCalls !== undefined && reprovisionCalls.length !== expected.reprovisionCalls) {
+    failures.push(`Expected ${expected.reprovisionCalls} reprovision call(s), got ${reprovisionCalls.length}`);
+  }
+
+  // Retries of one reprovision must reuse the same idempotency key
+  const keys = new Set(reprovisionCalls.map(call => call.headers['idempotency-key']));
+  if (reprovisioned && (keys.size !== 1 || keys.has(undefined))) {
+    failures.push(`Expected every reprovision call to carry the same Idempotency-Key, got ${[...keys].join(', ')}`);
+  }
+
+  return failures;
+}
+
 async function runTests() {
+  const gigsMock = createGigsMock();
+  const mock = await listen(gigsMock.app);
+  const zendeskMock = createZendeskMock();
+  const zendesk = await listen(zendeskMock.app);
+
+  // Must be set before the app (and its singletons) are loaded
+  process.env.GIGS_API_BASE_URL = mock.url;
+  process.env.GIGS_API_KEY = 'test_key';
+  process.env.GIGS_RETRY_BASE_MS = '5';
+  process.env.VERIFY_POLL_INTERVAL_MS = '20';
+  process.env.VERIFY_TIMEOUT_MS = '200';
+  process.env.WEBHOOK_SECRET = WEBHOOK_SECRET;
+  // The receivers below listen on loopback, which is refused unless allow-listed
+  process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+  process.env.LLM_PROVIDER = 'stub';
+  process.env.LLM_FALLBACK_PROVIDERS = '';
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gigs-tests-'));
+  process.env.CASE_STORE_PATH = path.join(dataDir, 'cases.jsonl');
+  process.env.ESCALATION_SINKS = 'file,zendesk';
+  process.env.ESCALATION_FILE_PATH = path.join(dataDir, 'escalations.jsonl');
+  process.env.AUDIT_LOG_PATH = path.join(dataDir, 'audit.jsonl');
+  process.env.ZENDESK_BASE_URL = zendesk.url;
+  process.env.API_KEYS = [
+    `test-chatbot:chatbot:${API_KEYS.chatbot}`,
+    `test-agent:agent:${API_KEYS.agent}`,
+    `test-admin:admin:${API_KEYS.admin}`,
+    `test-limited:chatbot:${API_KEYS.limited}:2`
+  ].join(',');
+  process.env.JWT_SECRET = JWT_SECRET;
+  process.env.RATE_LIMIT_PER_MINUTE = '1000';
+  process.env.READY_CACHE_TTL_MS = String(READY_CACHE_TTL_MS);
+  process.env.GIGS_CACHE_TTL_MS = String(GIGS_CACHE_TTL_MS);
+  process.env.SCAN_PAGE_SIZE = '4';
+  process.env.PAYMENT_PORTAL_URL = 'https://pay.example.com/update';
+  process.env.PAYMENT_LINK_SECRET = PAYMENT_LINK_SECRET;
+  // A copy, so the LLM outage check can edit it
+  const stubFixturesPath = path.join(dataDir, 'stub.json');
+  fs.copyFileSync(path.join(__dirname, '..', 'llm', 'fixtures', 'stub.json'), stubFixturesPath);
+  process.env.LLM_STUB_FIXTURES = stubFixturesPath;
+
+  // Collects spans exported by the tracer (OTLP/HTTP JSON)
+  const spans = [];
+  const collectorApp = express();
+  collectorApp.use(express.json({ limit: '5mb' }));
+  collectorApp.post('/v1/traces', (req, res) => {
+    for (const resourceSpans of req.body.resourceSpans || []) {
+      for (const scopeSpans of resourceSpans.scopeSpans || []) {
+        spans.push(...scopeSpans.spans);
+      }
+    }
+    res.json({});
+  });
+  const collector = await listen(collectorApp);
+  process.env.OTEL_EXPORTER_OTLP_ENDPOINT = collector.url;
+
+  const app = require('../server');
+  const { tracer } = require('../observability/tracing');
+  const gigsClient = require('../api/gigsClient');
+  const followUps = require('../actions/followUps');
+  const diagnosisService = require('../services/diagnosisService');
+  const service = await listen(app);
+
+  // Receives webhook callbacks sent by the service
+  const callbacks = [];
+  const callbackApp = express();
+  callbackApp.use(express.json({
+    verify: (req, res, buffer) => { req.rawBody = buffer.toString(); }
+  }));
+  callbackApp.post(['/callback', '/webhook'], (req, res) => {
+    callbacks.push({ path: req.path, headers: req.headers, rawBody: req.rawBody, body: req.body });
+    res.sendStatus(204);
+  });
+  const callbackReceiver = await listen(callbackApp);
+
   console.log('\n🧪 Running Test Scenarios\n');
-  console.log('=' .repeat(80));
-  
+  console.log('='.repeat(80));
+
   let passed = 0;
   let failed = 0;
 
@@ -69,27 +1634,154 @@ async function runTests() {
     console.log(`\n📝 ${scenario.name}`);
     console.log(`   ${scenario.description}`);
     console.log(`   Request: ${JSON.stringify(scenario.request)}`);
-    
+    if (scenario.session) {
+      console.log(`   Messages: ${JSON.stringify(scenario.session)}`);
+    }
+
+    gigsMock.reset();
+    zendeskMock.reset();
+    callbacks.length = 0;
+    const request = { ...scenario.request };
+    if (scenario.withCallback) {
+      request.callbackUrl = `${callbackReceiver.url}/callback`;
+    }
+    if (scenario.withWebhook) {
+      request.webhookUrl = `${callbackReceiver.url}/webhook`;
+    }
+
     try {
-      const response = await axios.post(`${BASE_URL}/diagnose`, scenario.request);
-      const result = response.data;
-      
-      console.log(`   ✓ Response received`);
+      let response;
+      let turns = [];
+      if (scenario.session) {
+        ({ response, turns } = await runSession(service.url, scenario, request));
+      } else {
+        response = await api.post(`${service.url}/diagnose`, request, {
+          validateStatus: () => true
+        });
+      }
+      let result = response.data;
+      const failures = [];
+
+      if (scenario.request.async) {
+        const job = await waitForJob(service.url, result.jobId);
+        if (job?.status !== 'completed') {
+          failures.push(`Expected job ${result.jobId} to complete, got ${job ? job.status : 'timeout'}`);
+        }
+        result = job?.result || {};
+
+        if (scenario.withWebhook) {
+          const webhook = await waitForCallback(callbacks, callback => callback.body.jobId === job?.id);
+          const expectedSignature = webhook &&
+            sign(webhook.rawBody, webhook.headers['x-webhook-timestamp'], WEBHOOK_SECRET);
+          if (!webhook) {
+            failures.push('Expected the job webhook to be delivered');
+          } else if (webhook.headers['x-webhook-signature'] !== expectedSignature) {
+            failures.push('Expected the job webhook to carry a valid HMAC signature');
+          }
+        }
+      }
+
+      const reprovisionCalls = gigsMock.calls.filter(call =>
+        call.method === 'POST' && call.path.endsWith('/reprovision')
+      );
+
       console.log(`   Method: ${result.method}`);
       console.log(`   Action: ${result.action}`);
       console.log(`   Confidence: ${result.confidence}%`);
-      
-      if (scenario.expectedMethod && result.method !== scenario.expectedMethod) {
-        console.log(`   ✗ FAILED: Expected method ${scenario.expectedMethod}, got ${result.method}`);
+
+      failures.push(...check(scenario, response.status, result, reprovisionCalls, turns));
+
+      // Every diagnosis must be retrievable as a case
+      const caseResponse = await api.get(`${service.url}/cases/${result.caseId}`, { validateStatus: () => true });
+      if (caseResponse.status !== 200 || caseResponse.data.subscriptionId !== scenario.request.subscriptionId) {
+        failures.push(`Expected case ${result.caseId} to be stored for ${scenario.request.subscriptionId}`);
+      } else if (caseResponse.data.principal?.id !== 'test-agent') {
+        failures.push(`Expected case ${result.caseId} to record the calling principal, got ${JSON.stringify(caseResponse.data.principal)}`);
+      }
+
+      // Escalations must produce a handoff ticket that reached the ticketing system
+      if (result.action === 'escalate') {
+        const ticketId = result.escalation?.ticketId;
+        const escalation = ticketId && await waitForEscalation(service.url, result.caseId);
+        const ticket = zendeskMock.tickets.find(candidate => candidate.external_id === ticketId);
+        if (!ticketId) {
+          failures.push('Expected an escalation ticket ID in the response');
+        } else if (escalation?.delivery !== 'delivered' || !ticket) {
+          failures.push(`Expected ticket ${ticketId} to be delivered to the Zendesk sink, got ${JSON.stringify(escalation)}`);
+        } else if (scenario.expected.ticketMentions && !ticket.comment.body.includes(scenario.expected.ticketMentions)) {
+          failures.push(`Expected the ticket to mention '${scenario.expected.ticketMentions}', got ${ticket.comment.body}`);
+        }
+      } else if (result.escalation) {
+        failures.push(`Did not expect an escalation ticket for action ${result.action}`);
+      }
+
+      // A session records every turn and is closed once resolved or escalated
+      if (scenario.session) {
+        const session = await api.get(`${service.url}/sessions/${result.sessionId}`, { validateStatus: () => true });
+        if (session.data.turns?.length !== scenario.session.length * 2 || caseResponse.data.sessionId !== result.sessionId) {
+          failures.push(`Expected session ${result.sessionId} to record every turn and link its cases`);
+        }
+        const followUp = await api.post(`${service.url}/sessions/${result.sessionId}/messages`, { message: 'hello?' }, {
+          validateStatus: () => true
+        });
+        if (result.action !== 'clarify' && followUp.status !== 409) {
+          failures.push(`Expected a reply to a ${result.sessionStatus} session to be rejected with 409, got ${followUp.status}`);
+        }
+      }
+
+      if (scenario.expected.verification) {
+        const verified = await waitForVerification(service.url, result.caseId);
+        const status = verified?.verification.status;
+        if (status !== scenario.expected.verification) {
+          failures.push(`Expected verification ${scenario.expected.verification}, got ${status}`);
+        }
+        if (Boolean(verified?.escalation) !== Boolean(scenario.expected.escalated)) {
+          failures.push(`Expected case ${scenario.expected.escalated ? '' : 'not '}to be escalated`);
+        }
+        if (scenario.withCallback &&
+          !await waitForCallback(callbacks, callback => callback.body.caseId === result.caseId)) {
+          failures.push('Expected the verification callback to be delivered');
+        }
+      }
+
+      if (failures.length > 0) {
+        failures.forEach(failure => console.log(`   ✗ FAILED: ${failure}`));
         failed++;
-      } else if (scenario.expectedRule && result.rule !== scenario.expectedRule) {
-        console.log(`   ✗ FAILED: Expected rule ${scenario.expectedRule}, got ${result.rule}`);
+      } else {
+        console.log(`   ✓ PASSED`);
+        passed++;
+      }
+
+    } catch (error) {
+      console.log(`   ✗ ERROR: ${error.message}`);
+      failed++;
+    }
+  }
+
+  for (const check of endpointChecks) {
+    console.log(`\n📝 ${check.name}`);
+    console.log(`   ${check.description}`);
+    gigsMock.reset();
+
+    try {
+      const failures = await check.run(service.url, {
+        dataDir,
+        gigsMock,
+        gigsCalls: gigsMock.calls,
+        gigsClient,
+        followUps,
+        diagnosisService,
+        stubFixturesPath,
+        spans,
+        flushSpans: () => tracer.flush()
+      });
+      if (failures.length > 0) {
+        failures.forEach(failure => console.log(`   ✗ FAILED: ${failure}`));
         failed++;
       } else {
         console.log(`   ✓ PASSED`);
         passed++;
       }
-      
     } catch (error) {
       console.log(`   ✗ ERROR: ${error.message}`);
       failed++;
@@ -98,13 +1790,19 @@ async function runTests() {
 
   console.log('\n' + '='.repeat(80));
   console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+  service.server.close();
+  mock.server.close();
+  zendesk.server.close();
+  callbackReceiver.server.close();
+  collector.server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  return failed === 0;
 }
 
-// Check if server is running
-axios.get(`${BASE_URL}/health`)
-  .then(() => runTests())
-  .catch(() => {
-    console.error('\n❌ Error: Server is not running');
-    console.error('Please start the server first: npm start\n');
+runTests()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error('\n❌ Test runner crashed:', error);
     process.exit(1);
   });
@@ -0,0 +1,28 @@
+/**
+ * Helpers for bounded parallel work
+ */
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * The function should handle its own errors; a rejection fails the whole map
+ * @param {Array} items - Input items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,18 @@
+/**
+ * Helpers for reading typed settings from environment variables
+ */
+
+/**
+ * Read a numeric env var, falling back to a default when unset or not a number
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @param {object} env - Environment (defaults to process.env)
+ * @returns {number}
+ */
+function envNumber(name, fallback, env = process.env) {
+  const value = env[name];
+  const parsed = Number(value);
+  return value === undefined || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+}
+
+module.exports = { envNumber };
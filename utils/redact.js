@@ -0,0 +1,38 @@
+/**
+ * Secret redaction for anything written to durable logs
+ * Values under secret-looking keys are replaced, and bearer/basic credentials
+ * embedded in strings are masked, so audit entries never carry credentials
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are always secret, matched case-insensitively
+const SECRET_KEY_PATTERN = /(authorization|api[-_]?key|token|secret|password|passwd|cookie|signature|credential)/i;
+
+// Credentials embedded in free text, e.g. "Bearer abc123"
+const SECRET_VALUE_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g;
+
+/**
+ * Deep-copy a value with secrets replaced by [REDACTED]
+ * @param {*} value - Any JSON-serializable value
+ * @returns {*} Redacted copy
+ */
+function redactSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) =>
+      [key, SECRET_KEY_PATTERN.test(key) && entry !== null && entry !== undefined ? REDACTED : redactSecrets(entry)]
+    ));
+  }
+  if (typeof value === 'string') {
+    return value.replace(SECRET_VALUE_PATTERN, `$1 ${REDACTED}`);
+  }
+  return value;
+}
+
+module.exports = {
+  REDACTED,
+  redactSecrets
+};
@@ -0,0 +1,31 @@
+/**
+ * Request validation shared by the diagnosis and session endpoints
+ */
+
+const { envNumber } = require('./env');
+
+// Longer messages add nothing to a diagnosis but keep the intent classifier busy
+const DEFAULT_MAX_USER_ISSUE_LENGTH = 4000;
+
+/**
+ * Check a customer message against USER_ISSUE_MAX_LENGTH
+ * @param {string} text - userIssue or session message
+ * @param {string} field - Field name for the error
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {string|null} Error message, or null if the message is acceptable
+ */
+function validateUserIssue(text, field = 'userIssue', env = process.env) {
+  const maxLength = envNumber('USER_ISSUE_MAX_LENGTH', DEFAULT_MAX_USER_ISSUE_LENGTH, env);
+  if (typeof text !== 'string') {
+    return `${field} must be a string`;
+  }
+  if (text.length > maxLength) {
+    return `${field} must be at most ${maxLength} characters (got ${text.length})`;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_MAX_USER_ISSUE_LENGTH,
+  validateUserIssue
+};